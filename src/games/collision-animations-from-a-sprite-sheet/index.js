@@ -1,54 +1,39 @@
 /** @import { SpriteInfoInput, SpriteInfo } from "#libs/types/core.js"; */
 
+import { LooseQuadtree } from "#libs/broad-phase.js";
 import initGameScreen from "#libs/core/dom.js";
+import { GameLoop } from "#libs/create-game-loop.js";
 import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
+import { InputManager } from "#libs/input.js";
 import { scale2dSizeToFit } from "#libs/math.js";
+import { ObjectPool } from "#libs/object-pool.js";
+import { ParticleSystem } from "#libs/particles.js";
+import { Scheduler } from "#libs/scheduler.js";
 import { t } from "#libs/spa/dom.js";
-import { generateSpriteAnimationStates } from "#libs/sprite.js";
-import { resolveBaseImportUrl } from "#libs/urls.js";
+import { drawSprite } from "#libs/sprite-render.js";
+import { generateSpriteAnimationStates, SpriteAnimator } from "#libs/sprite.js";
 
 const gameScreen = await initGameScreen({
-  assetsInfo: /** @type {const} */ ([
-    {
-      type: "image",
-      src: resolveBaseImportUrl(
-        "#games/collision-animations-from-a-sprite-sheet/assets/images/boom.png",
-      ),
-    },
-    {
-      type: "audio",
-      src: resolveBaseImportUrl(
-        "#assets/audios/Magic SFX Preview Pack/Fire impact 1.wav",
-      ),
-    },
-    {
-      type: "audio",
-      src: resolveBaseImportUrl(
-        "#assets/audios/Magic SFX Preview Pack/Healing Full.wav",
-      ),
-    },
-    {
-      type: "audio",
-      src: resolveBaseImportUrl(
-        "#assets/audios/Magic SFX Preview Pack/Ice attack 2.wav",
-      ),
-    },
-    {
-      type: "audio",
-      src: resolveBaseImportUrl(
-        "#assets/audios/Magic SFX Preview Pack/Misc 02.wav",
-      ),
-    },
-    {
-      type: "audio",
-      src: resolveBaseImportUrl(
-        "#assets/audios/Magic SFX Preview Pack/Wind effects 5.wav",
-      ),
-    },
-  ]),
-  cb: async ({ appId, assets, cleanupManager, createLayout }) => {
+  manifest: import.meta.resolve("./assets.json", new URL(import.meta.url)),
+  showSeed: true,
+  autoPause: true,
+  cb: async ({
+    appId,
+    assets,
+    cleanupManager,
+    createLayout,
+    registerGameLoop,
+    rng,
+  }) => {
     const canvasId = `${appId}-canvas`;
-    const [explosionImage, ...sfxs] = assets;
+    const explosionImage = assets.get("boom", "image");
+    const sfxs = [
+      "fire-impact-sfx",
+      "healing-full-sfx",
+      "ice-attack-sfx",
+      "misc-sfx",
+      "wind-effects-sfx",
+    ].map((key) => assets.get(key, "audio"));
 
     const explosionFramesSize = 5;
     const explosionImageDW = explosionImage.naturalWidth / explosionFramesSize;
@@ -98,7 +83,7 @@ const gameScreen = await initGameScreen({
       onUpdateCanvasSize: (boundingBox) => {
         canvasConfig.updateDomConfig(boundingBox).adjustRenderScale({
           ctx,
-          ctxActions: ["scaleBasedImageSmoothing"],
+          ctxActions: ["scaleBasedImageSmoothing", "setScale"],
           canvas,
           canvasActions: ["setSize", "setStyleSize"],
         });
@@ -106,21 +91,16 @@ const gameScreen = await initGameScreen({
     });
     cleanupManager.register(adjustCanvasCleanup);
 
-    let gameFrame = 0;
-
     /** @template {string} TSpriteAnimationName */
     class Explosion {
       /**
        * @param {{
-       * 	x: number,
-       * 	y: number,
        *  sprite: SpriteInfoInput<TSpriteAnimationName>
-       *  sfx: HTMLAudioElement;
        * }} props
        */
       constructor(props) {
-        this.x = props.x;
-        this.y = props.y;
+        this.x = 0;
+        this.y = 0;
 
         const dimensions = scale2dSizeToFit({
           containerWidth: props.sprite.renderBaseWidth,
@@ -141,177 +121,215 @@ const gameScreen = await initGameScreen({
         this.width = dimensions.width;
         this.height = dimensions.height;
 
-        this.speedModifier = 8;
-        this.angle = Math.random() * Math.PI * 2;
-        this.sfx = props.sfx;
+        this.angle = 0;
+        /** @type {HTMLAudioElement|null} */
+        this.sfx = null;
+        this.isDone = false;
+        this.animator = new SpriteAnimator({
+          animations: {
+            default: {
+              frames:
+                props.sprite.animationStates[props.sprite.currentAnimationState]
+                  .size,
+              fps: 7.5,
+              mode: "once",
+            },
+          },
+          initial: "default",
+          onFrame: (frame) => {
+            this.sprite.currentFrameX = frame;
+            if (frame === 0) {
+              // Rejected by the autoplay rules until the page is clicked, e.g. on a mousemove
+              this.sfx?.play().catch(() => {});
+            }
+          },
+          onComplete: () => {
+            this.isDone = true;
+          },
+        });
+      }
+      /**
+       * Plays it from the start centered on `x`, `y`, it's reused from the pool
+       * @param {number} x
+       * @param {number} y
+       * @param {HTMLAudioElement} sfx
+       */
+      spawn(x, y, sfx) {
+        this.x = x - this.width * 0.5;
+        this.y = y - this.height * 0.5;
+        this.angle = rng.range(0, Math.PI * 2);
+        this.sfx = sfx;
+        this.isDone = false;
+        this.animator.play("default", { restart: true });
       }
       draw() {
-        ctx.save();
-        ctx.translate(this.x + this.width * 0.5, this.y + this.height * 0.5);
-
-        console.log(this.x + this.width * 0.5, 0 - this.width * 0.5);
-        // TODO: Fix the scaling
-        // Instead of scaling here, maybe scale the sizes themselves on the constructor?
-        ctx.scale(canvasConfig.scale[0], canvasConfig.scale[1]);
-        ctx.rotate(this.angle);
-        ctx.drawImage(
-          this.sprite.img,
-          this.sprite.width * this.sprite.currentFrameX,
-          this.sprite.height * this.sprite.currentFrameY,
-          this.sprite.width,
-          this.sprite.height,
-          0 - this.width * 0.5,
-          0 - this.height * 0.5,
-          this.width,
-          this.height,
+        drawSprite(
+          ctx,
+          this.sprite,
+          this.sprite.animationStates[this.sprite.currentAnimationState]
+            .locations[this.sprite.currentFrameX],
+          {
+            x: this.x + this.width * 0.5,
+            y: this.y + this.height * 0.5,
+            width: this.width,
+            height: this.height,
+            pivotX: 0.5,
+            pivotY: 0.5,
+            rotation: this.angle,
+          },
         );
-        ctx.restore();
       }
-      update() {
-        const animationState =
-          this.sprite.animationStates[this.sprite.currentAnimationState];
-
-        if (this.sprite.currentFrameX === 0) {
-          this.sfx.play();
-        }
-
-        if (gameFrame % this.speedModifier === 0) {
-          this.sprite.currentFrameX =
-            this.sprite.currentFrameX >= animationState.size - 1
-              ? 0
-              : this.sprite.currentFrameX + 1;
-        }
+      /** @param {number} dt */
+      update(dt) {
+        this.animator.update(dt);
       }
     }
 
-    // /** @type {(Explosion<string>)[]} */
-    // const explosions = new Set();
-    /** @type {Set<Explosion<string>>} */
+    /** @type {Set<Explosion<"default">>} */
     const explosions = new Set();
+    /**
+     * A move can add an explosion every frame, they're reused instead of left to the GC
+     * @type {ObjectPool<Explosion<"default">>}
+     */
+    const explosionsPool = new ObjectPool({
+      create: () =>
+        new Explosion({
+          sprite: {
+            animationStates: explosionAnimationsStates,
+            currentAnimationState: "default",
+            img: explosionImage,
+            renderBaseWidth: 100,
+            width: explosionImageDW,
+            height: explosionImageDH,
+          },
+        }),
+      initialSize: 32,
+      maxSize: 256,
+    });
+    /**
+     * The explosions by their center, a move only adds one when none started this close to the pointer
+     * @type {LooseQuadtree<Explosion<"default">>}
+     */
+    const explosionsTree = new LooseQuadtree({
+      bounds: {
+        x: 0,
+        y: 0,
+        width: canvasConfig.render.width,
+        height: canvasConfig.render.height,
+      },
+    });
+    const explosionsSpacing = 24;
+
+    const particles = new ParticleSystem({ cleanupManager });
+    // Cosmetic, so it doesn't take numbers from the session stream
+    const fxRng = rng.fork("particles");
+    const sparks = particles.createEmitter({
+      x: 0,
+      y: 0,
+      lifetime: [0.3, 0.6],
+      speed: [80, 220],
+      gravity: { x: 0, y: 300 },
+      drag: 1.5,
+      size: [3, 1],
+      color: ["#ffffff", "#ffcc00", "#ff4400"],
+      blendMode: "lighter",
+      random: () => fxRng.next(),
+    });
 
-    /** @param {MouseEvent} e */
-    function handleAddExplosion(e) {
-      const renderBaseWidth = 100;
-      ctx.fillStyle = "white";
-      const posX = e.pageX - canvasConfig.dom.x;
-      const posY = e.pageY - canvasConfig.dom.y;
-
-      const explosion = new Explosion({
+    /**
+     * @param {number} posX
+     * @param {number} posY
+     */
+    function addExplosion(posX, posY) {
+      const explosion = explosionsPool.acquire();
+      explosion.spawn(posX, posY, rng.pick(sfxs));
+      explosions.add(explosion);
+      sparks.burst(12, posX, posY);
+      explosionsTree.insert(explosion, {
         x: posX,
         y: posY,
-        sprite: {
-          animationStates: explosionAnimationsStates,
-          currentAnimationState: "default",
-          img: explosionImage,
-          renderBaseWidth,
-          width: explosionImageDW,
-          height: explosionImageDH,
-        },
-        sfx: sfxs[Math.floor(Math.random() * sfxs.length)],
+        width: 0,
+        height: 0,
       });
-      // explosions.push(explosion);
-      explosions.add(explosion);
-      explosion.x -= explosion.width * 0.5;
-      explosion.y -= explosion.height * 0.5;
     }
 
-    cleanupManager.registerEventListener({
-      elem: canvas,
-      type: "mousemove",
-      listener: handleAddExplosion,
+    const input = new InputManager({
+      cleanupManager,
+      target: canvas,
+      canvasConfig,
     });
 
-    cleanupManager.registerEventListener({
-      elem: canvas,
-      type: "click",
-      listener: handleAddExplosion,
-    });
-
-    /** @type {number|undefined} */
-    let animateId;
-
-    setTimeout(() => {
+    // On game time, so it waits while the game is paused, and is dropped with the screen
+    const scheduler = new Scheduler({ cleanupManager });
+    scheduler.after(1, () => {
       ctx.fillStyle = "red";
       ctx.fillRect(0, 0, canvasConfig.render.width, canvasConfig.render.height);
-    }, 1000);
+    });
 
     let hexColorCounter = 0;
 
-    function animate() {
-      ctx.clearRect(
-        0,
-        0,
-        canvasConfig.render.width,
-        canvasConfig.render.height,
-      );
-
-      hexColorCounter = (hexColorCounter + 1) % 360;
-      ctx.fillStyle = `hsl(${hexColorCounter}, 100%, 50%)`;
-      ctx.fillRect(0, 0, canvasConfig.render.width, canvasConfig.render.height);
-      // for (let i = 0; i < explosions.length; i++) {
-      //   const explosion = explosions[i];
-      //   if (!explosion) {
-      //     continue;
-      //   }
-      //   explosion.update();
-      //   explosion.draw();
-      //   // On The last frame, destroy
-      //   if (
-      //     explosion.sprite.currentFrameX >=
-      //     explosion.sprite.animationStates[
-      //       explosion.sprite.currentAnimationState
-      //     ].size -
-      //       1
-      //   ) {
-      //     explosions[i] = null;
-      //   }
-      // }
-
-      explosions.forEach((explosion) => {
-        if (!explosion) {
-          return;
-        }
-        explosion.update();
-        explosion.draw();
-        // On The last frame, destroy
+    // The hue is in steps, so it runs at a fixed 60 steps per second, the explosions animate on time
+    const gameLoop = new GameLoop({
+      update(dt) {
+        // An explosion on the moves over the canvas, spaced out, and on every press, one per finger on touch screens
         if (
-          explosion.sprite.currentFrameX >=
-          explosion.sprite.animationStates[
-            explosion.sprite.currentAnimationState
-          ].size -
-            1
+          input.pointer.hasMoved &&
+          input.pointer.isInside &&
+          explosionsTree.queryRadius(
+            input.pointer.x,
+            input.pointer.y,
+            explosionsSpacing,
+          ).length === 0
         ) {
-          explosions.delete(explosion);
+          addExplosion(input.pointer.x, input.pointer.y);
+        }
+        for (const press of input.pointerPresses) {
+          addExplosion(press.x, press.y);
         }
-      });
 
-      gameFrame++;
-      animateId = requestAnimationFrame(animate);
-    }
+        explosions.forEach((explosion) => {
+          explosion.update(dt);
+          if (explosion.isDone) {
+            explosions.delete(explosion);
+            explosionsTree.remove(explosion);
+            explosionsPool.release(explosion);
+          }
+        });
+      },
+      fixedFps: 60,
+      fixedUpdate() {
+        hexColorCounter = (hexColorCounter + 1) % 360;
+      },
+      render() {
+        ctx.clearRect(
+          0,
+          0,
+          canvasConfig.render.width,
+          canvasConfig.render.height,
+        );
 
-    cleanupManager.register(() => {
-      if (!animateId) {
-        return;
-      }
-      cancelAnimationFrame(animateId);
+        ctx.fillStyle = `hsl(${hexColorCounter}, 100%, 50%)`;
+        ctx.fillRect(
+          0,
+          0,
+          canvasConfig.render.width,
+          canvasConfig.render.height,
+        );
+
+        explosions.forEach((explosion) => {
+          explosion.draw();
+        });
+        sparks.draw(ctx);
+      },
+      name: "collision-animations",
     });
+    registerGameLoop(gameLoop);
+    input.attach(gameLoop);
+    particles.attach(gameLoop);
+    scheduler.attach(gameLoop);
 
-    animate();
+    gameLoop.start();
   },
 });
 
 export default gameScreen;
-
-/*
-🤯 Optional Cool Touch
-💥 Particle Sparks on Explosion?
-When triggering an explosion, you could also add:
-
-js
-Copy
-Edit
-for (let i = 0; i < 5; i++) {
-  addSparkParticle({ x: posX, y: posY, direction: i * 45 + Math.random() * 30 });
-}
-With some tiny particles fading out — gives it a lot more juice.
-*/
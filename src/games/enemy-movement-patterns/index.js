@@ -3,43 +3,25 @@
  */
 
 import initGameScreen from "#libs/core/dom.js";
+import { GameLoop } from "#libs/create-game-loop.js";
 import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
 import { scale2dSizeToFit } from "#libs/math.js";
 import { limitDecimalPlaces } from "#libs/math.js";
-import { generateSpriteAnimationStates } from "#libs/sprite.js";
+import { drawSprite } from "#libs/sprite-render.js";
+import { generateSpriteAnimationStates, SpriteAnimator } from "#libs/sprite.js";
 
 const gameScreen = await initGameScreen({
-  assetsInfo: /** @type {const} */ ([
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./assets/images/enemies/1.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./assets/images/enemies/2.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./assets/images/enemies/3.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./assets/images/enemies/4.png",
-        new URL(import.meta.url),
-      ),
-    },
-  ]),
-  cb: async ({ appId, assets, cleanupManager, createLayout }) => {
+  manifest: import.meta.resolve("./assets.json", new URL(import.meta.url)),
+  showSeed: true,
+  autoPause: true,
+  cb: async ({
+    appId,
+    assets,
+    cleanupManager,
+    createLayout,
+    registerGameLoop,
+    rng,
+  }) => {
     const canvasId = `${appId}-canvas`;
 
     const canvasConfig = new CanvasConfig({
@@ -133,7 +115,12 @@ const gameScreen = await initGameScreen({
     ctx.imageSmoothingEnabled = true;
     ctx.imageSmoothingQuality = "medium";
     let gameFrame = 0;
-    const [enemyImg1, enemyImg2, enemyImg3, enemyImg4] = assets;
+    const [enemyImg1, enemyImg2, enemyImg3, enemyImg4] = [
+      "enemy-1",
+      "enemy-2",
+      "enemy-3",
+      "enemy-4",
+    ].map((key) => assets.get(key, "image"));
 
     /**
      * @template {string} TSpriteAnimationName
@@ -179,9 +166,14 @@ const gameScreen = await initGameScreen({
         this.height = dimensions.height;
         this.spriteWidth = options.spriteMeta.width;
         this.spriteHeight = options.spriteMeta.height;
+        this.sprite = {
+          img: this.img,
+          width: this.spriteWidth,
+          height: this.spriteHeight,
+        };
 
-        this.x = Math.random() * (canvasConfig.render.width - this.width); // To prevent initial overflow
-        this.y = Math.random() * (canvasConfig.render.height - this.height); // To prevent initial overflow
+        this.x = rng.range(0, canvasConfig.render.width - this.width); // To prevent initial overflow
+        this.y = rng.range(0, canvasConfig.render.height - this.height); // To prevent initial overflow
 
         this.currentFrameX = 0;
         this.spriteAnimationStates = generateSpriteAnimationStates(
@@ -208,34 +200,40 @@ const gameScreen = await initGameScreen({
             }) ?? {}
           );
         options.onInitEnd?.(this);
+
+        const animationState =
+          this.spriteAnimationStates[this.currentAnimationState];
+        this.animator = new SpriteAnimator({
+          animations: {
+            default: {
+              frames: animationState.size,
+              // One frame every `speedModifier` steps of the 60 per second
+              fps: 60 / this.speedModifier,
+            },
+          },
+          initial: "default",
+          onFrame: (frame) => {
+            this.currentFrameX = frame;
+          },
+        });
       }
       draw() {
-        ctx.drawImage(
-          this.img,
-          this.spriteWidth * this.currentFrameX,
-          0,
-          this.spriteWidth,
-          this.spriteHeight,
-          this.x,
-          this.y,
-          this.width,
-          this.height,
+        drawSprite(
+          ctx,
+          this.sprite,
+          this.spriteAnimationStates[this.currentAnimationState].locations[
+            this.currentFrameX
+          ],
+          { x: this.x, y: this.y, width: this.width, height: this.height },
         );
         ctx.strokeRect(this.x, this.y, this.width, this.height);
       }
       update() {
         this.movePatternHandler(this);
-
-        // Animation sprite
-        const animationState =
-          this.spriteAnimationStates[this.currentAnimationState];
-
-        if (gameFrame % this.speedModifier === 0) {
-          this.currentFrameX =
-            this.currentFrameX >= animationState.size - 1
-              ? 0
-              : this.currentFrameX + 1;
-        }
+      }
+      /** @param {number} dt */
+      animate(dt) {
+        this.animator.update(dt);
       }
     }
 
@@ -287,12 +285,12 @@ const gameScreen = await initGameScreen({
         currentAnimationState: /** @type {const} */ ("default"),
         createMovePatternMeta: () => ({}),
         movePatternHandler: (enemy) => {
-          enemy.x += Math.random() * 5 - 2.5; // (random * rangeX) - offsetX
-          enemy.y += Math.random() * 5 - 2.5; // (random * rangeY) - offsetY
+          enemy.x += rng.range(-2.5, 2.5); // Jitter around the current position
+          enemy.y += rng.range(-2.5, 2.5);
         },
         onInitEnd: (enemy) => {
-          enemy.speed = Math.random() * 4 + 1; // 1 to 5
-          enemy.speedModifier = Math.floor(Math.random() * 3 + 1); // 1 to 4
+          enemy.speed = rng.range(1, 5); // 1 to 5
+          enemy.speedModifier = rng.int(1, 3); // 1 to 3
         },
       }),
       enemy2: createEnemyMeta({
@@ -301,10 +299,10 @@ const gameScreen = await initGameScreen({
         spriteAnimationStates: [{ name: "default", frames: enemy2Frames }],
         currentAnimationState: /** @type {const} */ ("default"),
         createMovePatternMeta: () => ({
-          angle: Math.random() * 0,
-          angleSpeed: Math.random() * 0.2,
-          curveY: Math.random() * 0.7 - 0.35,
-          curveX: Math.random() * 0.7 - 0.35,
+          angle: 0,
+          angleSpeed: rng.range(0, 0.2),
+          curveY: rng.range(-0.35, 0.35),
+          curveX: rng.range(-0.35, 0.35),
         }),
         movePatternHandler: (enemy) => {
           enemy.x -= enemy.speed;
@@ -316,12 +314,12 @@ const gameScreen = await initGameScreen({
           if (enemy.x + enemy.width < 0) {
             enemy.x = canvasConfig.render.width;
             enemy.x = canvasConfig.render.width;
-            enemy.y = Math.random() * canvasConfig.render.height;
+            enemy.y = rng.range(0, canvasConfig.render.height);
           }
         },
         onInitEnd: (enemy) => {
-          enemy.speed = Math.random() * 4 + 1; // 1 to 5
-          enemy.speedModifier = Math.floor(Math.random() * 3 + 1); // 1 to 4
+          enemy.speed = rng.range(1, 5); // 1 to 5
+          enemy.speedModifier = rng.int(1, 3); // 1 to 3
         },
       }),
       enemy3: createEnemyMeta({
@@ -330,8 +328,8 @@ const gameScreen = await initGameScreen({
         spriteAnimationStates: [{ name: "default", frames: enemy3Frames }],
         currentAnimationState: /** @type {const} */ ("default"),
         createMovePatternMeta: () => ({
-          angle: Math.random() * 500,
-          angleSpeed: Math.random() * 0.5 + 0.5,
+          angle: rng.range(0, 500),
+          angleSpeed: rng.range(0.5, 1),
           curveY: canvasConfig.render.width / 2,
           curveX: canvasConfig.render.height / 2,
         }),
@@ -349,12 +347,12 @@ const gameScreen = await initGameScreen({
           if (enemy.x + enemy.width < 0) {
             enemy.x = canvasConfig.render.width;
             enemy.x = canvasConfig.render.width;
-            enemy.y = Math.random() * canvasConfig.render.height;
+            enemy.y = rng.range(0, canvasConfig.render.height);
           }
         },
         onInitEnd: (enemy) => {
-          enemy.speed = Math.random() * 4 + 1; // 1 to 5
-          enemy.speedModifier = Math.floor(Math.random() * 3 + 1); // 1 to 4
+          enemy.speed = rng.range(1, 5); // 1 to 5
+          enemy.speedModifier = rng.int(1, 3); // 1 to 3
         },
       }),
       enemy4: createEnemyMeta({
@@ -363,21 +361,29 @@ const gameScreen = await initGameScreen({
         spriteAnimationStates: [{ name: "default", frames: enemy4Frames }],
         currentAnimationState: /** @type {const} */ ("default"),
         createMovePatternMeta: (basicEnemy) => ({
-          destinationX:
-            Math.random() * (canvasConfig.render.height - basicEnemy.height),
-          destinationY:
-            Math.random() * (canvasConfig.render.width - basicEnemy.width),
-          destinationFrameMoveInterval: Math.floor(Math.random() * 30 + 10),
+          destinationX: rng.range(
+            0,
+            canvasConfig.render.height - basicEnemy.height,
+          ),
+          destinationY: rng.range(
+            0,
+            canvasConfig.render.width - basicEnemy.width,
+          ),
+          destinationFrameMoveInterval: rng.int(10, 39),
         }),
         movePatternHandler: (enemy) => {
           if (
             gameFrame % enemy.movePatternMeta.destinationFrameMoveInterval ===
             0
           ) {
-            enemy.movePatternMeta.destinationX =
-              Math.random() * (canvasConfig.render.width - enemy.width);
-            enemy.movePatternMeta.destinationY =
-              Math.random() * (canvasConfig.render.height - enemy.height);
+            enemy.movePatternMeta.destinationX = rng.range(
+              0,
+              canvasConfig.render.width - enemy.width,
+            );
+            enemy.movePatternMeta.destinationY = rng.range(
+              0,
+              canvasConfig.render.height - enemy.height,
+            );
           }
 
           let dx = enemy.movePatternMeta.destinationX - enemy.x;
@@ -389,20 +395,22 @@ const gameScreen = await initGameScreen({
           if (enemy.x + enemy.width < 0) {
             enemy.x = canvasConfig.render.width;
             enemy.x = canvasConfig.render.width;
-            enemy.y = Math.random() * canvasConfig.render.height;
+            enemy.y = rng.range(0, canvasConfig.render.height);
           }
         },
         onInitEnd: (enemy) => {
-          enemy.speed = Math.random() * 4 + 1; // 1 to 5
-          enemy.speedModifier = Math.floor(Math.random() * 3 + 1); // 1 to 4
-
-          enemy.movePatternMeta.destinationFrameMoveInterval = Math.floor(
-            Math.random() * 30 + 10,
-          ); // 10 to 40
-          enemy.movePatternMeta.destinationX =
-            Math.random() * (canvasConfig.render.width - enemy.width);
-          enemy.movePatternMeta.destinationY =
-            Math.random() * (canvasConfig.render.height - enemy.height);
+          enemy.speed = rng.range(1, 5); // 1 to 5
+          enemy.speedModifier = rng.int(1, 3); // 1 to 3
+
+          enemy.movePatternMeta.destinationFrameMoveInterval = rng.int(10, 39); // 10 to 39
+          enemy.movePatternMeta.destinationX = rng.range(
+            0,
+            canvasConfig.render.width - enemy.width,
+          );
+          enemy.movePatternMeta.destinationY = rng.range(
+            0,
+            canvasConfig.render.height - enemy.height,
+          );
         },
       }),
     });
@@ -450,34 +458,37 @@ const gameScreen = await initGameScreen({
       });
     });
 
-    /** @type {number|undefined} */
-    let animateId;
-
-    function animate() {
-      ctx.clearRect(
-        0,
-        0,
-        canvasConfig.render.width,
-        canvasConfig.render.height,
-      );
-
-      for (const enemy of enemies) {
-        enemy.update();
-        enemy.draw();
-      }
+    // The move patterns are in steps, so they run at a fixed 60 steps per second, the animations on time
+    const gameLoop = new GameLoop({
+      update(dt) {
+        for (const enemy of enemies) {
+          enemy.animate(dt);
+        }
+      },
+      fixedFps: 60,
+      fixedUpdate() {
+        for (const enemy of enemies) {
+          enemy.update();
+        }
 
-      gameFrame++;
-      animateId = requestAnimationFrame(animate);
-    }
+        gameFrame++;
+      },
+      render() {
+        ctx.clearRect(
+          0,
+          0,
+          canvasConfig.render.width,
+          canvasConfig.render.height,
+        );
 
-    cleanupManager.register(() => {
-      if (!animateId) {
-        return;
-      }
-      cancelAnimationFrame(animateId);
+        for (const enemy of enemies) {
+          enemy.draw();
+        }
+      },
+      name: "enemy-movement-patterns",
     });
-
-    animate();
+    registerGameLoop(gameLoop);
+    gameLoop.start();
   },
 });
 
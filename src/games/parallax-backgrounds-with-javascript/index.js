@@ -1,47 +1,19 @@
 import { clamp } from "#libs/math.js";
 
 import initGameScreen from "#libs/core/dom.js";
+import { GameLoop } from "#libs/create-game-loop.js";
 import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
 
 const gameScreen = await initGameScreen({
-  assetsInfo: /** @type {const} */ ([
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./backgroundLayers/layer-1.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./backgroundLayers/layer-2.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./backgroundLayers/layer-3.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./backgroundLayers/layer-4.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./backgroundLayers/layer-5.png",
-        new URL(import.meta.url),
-      ),
-    },
-  ]),
-  cb: async ({ appId, assets, cleanupManager, createLayout }) => {
+  manifest: import.meta.resolve("./assets.json", new URL(import.meta.url)),
+  autoPause: true,
+  cb: async ({
+    appId,
+    assets,
+    cleanupManager,
+    createLayout,
+    registerGameLoop,
+  }) => {
     const canvasId = `${appId}-canvas`;
 
     const minGameSpeed = 1;
@@ -120,7 +92,13 @@ const gameScreen = await initGameScreen({
 		// Approach 3
 		let gameFrame = 0;
 		*/
-    const [bgLayer1, bgLayer2, bgLayer3, bgLayer4, bgLayer5] = assets;
+    const [bgLayer1, bgLayer2, bgLayer3, bgLayer4, bgLayer5] = [
+      "layer-1",
+      "layer-2",
+      "layer-3",
+      "layer-4",
+      "layer-5",
+    ].map((key) => assets.get(key, "image"));
 
     class Layer {
       /**
@@ -196,36 +174,36 @@ const gameScreen = await initGameScreen({
       new Layer(bgLayer5, 1),
     ];
 
-    /** @type {number|undefined} */
-    let animateId;
-    function animate() {
-      ctx.clearRect(
-        0,
-        0,
-        canvasConfig.render.width,
-        canvasConfig.render.height,
-      );
-
-      for (const layer of layers) {
-        layer.update();
-        layer.draw();
-      }
+    // The layers speeds are in pixels per step, so they move at a fixed 60 steps per second
+    const gameLoop = new GameLoop({
+      fixedFps: 60,
+      fixedUpdate() {
+        for (const layer of layers) {
+          layer.update();
+        }
 
-      /*
-			// Approach 3
-			gameFrame++;
-			*/
-      animateId = requestAnimationFrame(animate);
-    }
+        /*
+				// Approach 3
+				gameFrame++;
+				*/
+      },
+      render() {
+        ctx.clearRect(
+          0,
+          0,
+          canvasConfig.render.width,
+          canvasConfig.render.height,
+        );
 
-    cleanupManager.register(() => {
-      if (!animateId) {
-        return;
-      }
-      cancelAnimationFrame(animateId);
+        for (const layer of layers) {
+          layer.draw();
+        }
+      },
+      name: "parallax-backgrounds",
     });
+    registerGameLoop(gameLoop);
 
-    animate();
+    gameLoop.start();
   },
 });
 
@@ -1,10 +1,20 @@
 /* eslint-disable @typescript-eslint/no-unused-vars */
+import { getShapeVertices, moveAndCollide } from "#libs/collision.js";
 import initGameScreen from "#libs/core/dom.js";
-import { GameLoop } from "#libs/create-game-loop.js";
+import { GameLoop, InterpolatedState } from "#libs/create-game-loop.js";
 import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
+import { createFrameStatsPanel } from "#libs/frame-stats-overlay.js";
+import { InputManager, POINTER_BUTTON_ID } from "#libs/input.js";
+import { createReplayControls } from "#libs/replay-controls.js";
+import { SimulationRecorder } from "#libs/replay.js";
+
+/**
+ * @import { AABBShape, CircleShape, Shape } from "#libs/collision.js";
+ */
 
 const gravityBallDemo = await initGameScreen({
-  cb: async ({ appId, cleanupManager, createLayout }) => {
+  autoPause: true,
+  cb: async ({ appId, cleanupManager, createLayout, registerGameLoop }) => {
     const canvasId = `${appId}-canvas`;
 
     const canvasConfig = new CanvasConfig({
@@ -12,7 +22,7 @@ const gravityBallDemo = await initGameScreen({
       maxSize: { width: 1024 },
     });
 
-    await createLayout(/* html */ `<small class='block text-center'><em>In Progress</em></small><canvas
+    await createLayout(/* html */ `<small class='block text-center'><em>In Progress</em> - press F3 for frame stats</small><canvas
 				id="${canvasId}"
 				width="${canvasConfig.render.width}"
 				height="${canvasConfig.render.height}"
@@ -35,6 +45,17 @@ const gravityBallDemo = await initGameScreen({
     }
 
     let groundPosY = canvasConfig.render.height - 10;
+    /**
+     * Past the canvas sides, so the ball wrapping around stays on it
+     * @type {AABBShape}
+     */
+    const ground = {
+      type: "aabb",
+      x: -100,
+      y: groundPosY,
+      width: canvasConfig.render.width + 200,
+      height: 10,
+    };
     const adjustCanvasCleanup = adjustCanvas({
       canvas,
       ctx,
@@ -47,11 +68,84 @@ const gravityBallDemo = await initGameScreen({
         });
 
         groundPosY = canvasConfig.render.height - 10;
+        ground.y = groundPosY;
+        ground.width = canvasConfig.render.width + 200;
       },
     });
     cleanupManager.register(adjustCanvasCleanup);
 
     const gravity = 9.8; // gravity acceleration in pixels per second squared
+    const restitution = 0.8; // the part of the speed kept when bouncing
+
+    /**
+     * Static, so they're not part of the snapshots
+     * @type {Shape[]}
+     */
+    const obstacles = [
+      {
+        type: "capsule",
+        a: { x: 90, y: 260 },
+        b: { x: 170, y: 220 },
+        radius: 10,
+      },
+      {
+        type: "obb",
+        x: 280,
+        y: 340,
+        width: 180,
+        height: 20,
+        rotation: -0.3,
+      },
+      { type: "circle", x: 480, y: 300, radius: 30 },
+      {
+        type: "polygon",
+        points: [
+          { x: 560, y: 490 },
+          { x: 600, y: 420 },
+          { x: 640, y: 490 },
+        ],
+      },
+    ];
+    const colliders = [ground, ...obstacles];
+
+    /**
+     * The pointer as seen by the fixed steps, the only input of the simulation
+     * @typedef {{ isDown: boolean; x: number; y: number }} BallInput
+     *
+     * @typedef {{
+     *  x: number;
+     *  y: number;
+     *  vx: number;
+     *  vy: number;
+     *  canUpdate: boolean;
+     *  heldVx: number;
+     *  heldVy: number;
+     * }} BallSnapshot
+     */
+
+    /**
+     * For imported recordings, e.g. one from another game or an older format.
+     *
+     * @param {unknown} value
+     * @returns {value is BallSnapshot}
+     */
+    function isBallSnapshot(value) {
+      if (typeof value !== "object" || value === null) {
+        return false;
+      }
+
+      const snapshot = /** @type {Record<string, unknown>} */ (value);
+      return (
+        Number.isFinite(snapshot.x) &&
+        Number.isFinite(snapshot.y) &&
+        Number.isFinite(snapshot.vx) &&
+        Number.isFinite(snapshot.vy) &&
+        typeof snapshot.canUpdate === "boolean" &&
+        Number.isFinite(snapshot.heldVx) &&
+        Number.isFinite(snapshot.heldVy)
+      );
+    }
+
     class Ball {
       /**
        *
@@ -70,34 +164,108 @@ const gravityBallDemo = await initGameScreen({
         this.vy = vy;
         this.color = color;
         this.canUpdate = true;
+        // The velocity to get back when released after being dragged
+        this.heldVx = vx;
+        this.heldVy = vy;
+        // Position at the previous fixed step, used to smooth the rendering
+        this.interpolated = new InterpolatedState(this, ["x", "y"]);
+        // Scratch shape and velocity for the collisions
+        /** @type {CircleShape} */
+        this.body = { type: "circle", x, y, radius };
+        this.velocity = { x: vx, y: vy };
+      }
+
+      /**
+       * Dragging holds the ball under the pointer, releasing it gives it back its velocity
+       * @param {BallInput} input
+       */
+      applyInput(input) {
+        if (input.isDown) {
+          if (this.canUpdate) {
+            this.canUpdate = false;
+            this.heldVx = this.vx;
+            this.heldVy = this.vy;
+          }
+          this.x = input.x;
+          this.y = input.y;
+          this.vx = 0;
+          this.vy = 0;
+          return;
+        }
+
+        if (!this.canUpdate) {
+          this.canUpdate = true;
+          this.vx = this.heldVx;
+          this.vy = this.heldVy;
+        }
       }
 
-      update() {
+      /** @param {number} et - The fixed step in seconds */
+      update(et) {
+        this.interpolated.capture();
         if (!this.canUpdate) {
           return;
         }
-        const et = game.elapsedTimeS;
         this.vy += gravity; // gravity increases the vertical speed
-        this.x += this.vx * et; // horizontal speed increases horizontal position
-        this.y += this.vy * et; // vertical speed increases vertical position
-        if (this.y > groundPosY - this.radius) {
-          // if ball hits the ground
-          this.y = groundPosY - this.radius; // reposition it at the ground
-          this.vy *= -0.8; // then reverse and reduce its vertical speed
-        }
+
+        // Swept along its velocity, so it can't go through the obstacles between two steps
+        this.body.x = this.x;
+        this.body.y = this.y;
+        this.velocity.x = this.vx;
+        this.velocity.y = this.vy;
+        moveAndCollide(this.body, this.velocity, et, colliders, {
+          restitution,
+        });
+        this.x = this.body.x;
+        this.y = this.body.y;
+        this.vx = this.velocity.x;
+        this.vy = this.velocity.y;
+
         if (this.x > canvasConfig.render.width + this.radius) {
           // if ball goes beyond canvas
           this.x = -this.radius; // wrap it around
+          this.interpolated.capture(); // don't smear the wrap across the canvas
+        } else if (this.x < -this.radius) {
+          // bounced back beyond the left side
+          this.x = canvasConfig.render.width + this.radius;
+          this.interpolated.capture();
         }
       }
 
-      draw() {
+      /** @param {number} alpha */
+      draw(alpha) {
+        const { x, y } = this.interpolated.interpolate(alpha);
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, 2 * Math.PI, true);
+        ctx.arc(x, y, this.radius, 0, 2 * Math.PI, true);
         ctx.closePath();
         ctx.fill();
       }
+
+      /** @returns {BallSnapshot} */
+      toSnapshot() {
+        return {
+          x: this.x,
+          y: this.y,
+          vx: this.vx,
+          vy: this.vy,
+          canUpdate: this.canUpdate,
+          heldVx: this.heldVx,
+          heldVy: this.heldVy,
+        };
+      }
+
+      /** @param {BallSnapshot} snapshot */
+      fromSnapshot(snapshot) {
+        this.x = snapshot.x;
+        this.y = snapshot.y;
+        this.vx = snapshot.vx;
+        this.vy = snapshot.vy;
+        this.canUpdate = snapshot.canUpdate;
+        this.heldVx = snapshot.heldVx;
+        this.heldVy = snapshot.heldVy;
+        this.interpolated.capture();
+      }
     }
 
     const radius = 20;
@@ -109,72 +277,64 @@ const gravityBallDemo = await initGameScreen({
 
     const ball = new Ball(x, y, radius, vx, vy, color);
 
-    let oldState = {
-      vx: ball.vx,
-      vy: ball.vy,
-    };
-    cleanupManager.registerEventListener({
-      elem: canvas,
-      type: "mousedown",
-      listener: (e) => {
-        ball.canUpdate = false;
-
-        ball.x = e.clientX - canvasConfig.dom.left;
-        ball.y = e.clientY - canvasConfig.dom.top;
-        oldState = {
-          vx: ball.vx,
-          vy: ball.vy,
-        };
-        ball.vx = 0;
-        ball.vy = 0;
-      },
-    });
-    cleanupManager.registerEventListener({
-      elem: canvas,
-      type: "mouseup",
-      listener: () => {
-        ball.canUpdate = true;
-        ball.vx = oldState.vx;
-        ball.vy = oldState.vy;
-      },
-    });
-    cleanupManager.registerEventListener({
-      elem: canvas,
-      type: "mousemove",
-      listener: (e) => {
-        if (ball.canUpdate) {
-          return;
+    function drawObstacles() {
+      ctx.fillStyle = "#6b7280";
+      ctx.strokeStyle = "#6b7280";
+      ctx.lineCap = "round";
+      for (const obstacle of obstacles) {
+        ctx.beginPath();
+        switch (obstacle.type) {
+          case "circle":
+            ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, 2 * Math.PI);
+            ctx.fill();
+            break;
+          case "capsule":
+          case "segment":
+            ctx.lineWidth =
+              obstacle.type === "capsule" ? obstacle.radius * 2 : 1;
+            ctx.moveTo(obstacle.a.x, obstacle.a.y);
+            ctx.lineTo(obstacle.b.x, obstacle.b.y);
+            ctx.stroke();
+            break;
+          default:
+            for (const vertex of getShapeVertices(obstacle)) {
+              ctx.lineTo(vertex.x, vertex.y);
+            }
+            ctx.closePath();
+            ctx.fill();
         }
+      }
+    }
 
-        ball.x = e.clientX - canvasConfig.dom.left;
-        ball.y = e.clientY - canvasConfig.dom.top;
-        ball.vx = 0;
-        ball.vy = 0;
-      },
+    const input = new InputManager({
+      cleanupManager,
+      target: canvas,
+      canvasConfig,
     });
-    cleanupManager.registerEventListener({
-      elem: canvas,
-      type: "mouseleave",
-      listener: () => {
-        if (ball.canUpdate) {
-          return;
-        }
-        ball.canUpdate = true;
-        ball.vx = oldState.vx;
-        ball.vy = oldState.vy;
+
+    /** @type {SimulationRecorder<BallInput, BallSnapshot>} */
+    const recorder = new SimulationRecorder({
+      readInput: () => ({
+        isDown: input.isHeld(POINTER_BUTTON_ID),
+        x: input.pointer.x,
+        y: input.pointer.y,
+      }),
+      step: (input, step) => {
+        ball.applyInput(input);
+        ball.update(step);
       },
+      snapshot: () => ball.toSnapshot(),
+      restore: (snapshot) => ball.fromSnapshot(snapshot),
     });
 
+    // The ball is only simulated through the recorder, so the session can be replayed
     const game = new GameLoop({
-      fixedUpdate() {
-        ball.update();
-      },
-      // Render with interpolation (alpha is fraction of leftover time, not needed here)
-      render() {
+      // Render with interpolation (alpha is the fraction of leftover time between fixed steps)
+      render(alpha) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
-        console.log(game.fps);
 
-        ball.draw();
+        drawObstacles();
+        ball.draw(alpha);
 
         // Draw the ground
         ctx.fillStyle = "green";
@@ -183,10 +343,22 @@ const gravityBallDemo = await initGameScreen({
 
       name: "bounce-ball-demo",
     });
+    registerGameLoop(game);
+    input.attach(game);
+    createFrameStatsPanel({ gameLoop: game, cleanupManager });
+
+    recorder.attach(game, cleanupManager);
+    createReplayControls({
+      recorder,
+      gameLoop: game,
+      cleanupManager,
+      container: /** @type {HTMLElement} */ (canvas.parentElement),
+      fileName: "bounce-ball-recording",
+      validateState: isBallSnapshot,
+    });
+    recorder.start();
 
     game.start();
-
-    cleanupManager.register(game.cleanup);
   },
 });
 
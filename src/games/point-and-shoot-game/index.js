@@ -1,10 +1,15 @@
 /** @import { SpriteInfoInput, SpriteInfo } from "#libs/types/core.js"; */
 
+import { SpatialHash } from "#libs/broad-phase.js";
 import initGameScreen from "#libs/core/dom.js";
+import { GameLoop } from "#libs/create-game-loop.js";
 import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
+import { InputManager } from "#libs/input.js";
 import { scale2dSizeToFit } from "#libs/math.js";
-import { generateSpriteAnimationStates } from "#libs/sprite.js";
-import { resolveBaseImportUrl } from "#libs/urls.js";
+import { ObjectPool } from "#libs/object-pool.js";
+import { ParticleSystem } from "#libs/particles.js";
+import { drawSprite } from "#libs/sprite-render.js";
+import { generateSpriteAnimationStates, SpriteAnimator } from "#libs/sprite.js";
 
 /**
  * Check if canvas pixel reading is blocked or spoofed (e.g., by Brave).
@@ -27,45 +32,27 @@ function isCanvasReadBlocked() {
   );
 }
 
-/*
-TODO:
-- [ ] Particles from the raven end.
-	- [ ] Add tail _(particles array)_ to the raven, it should be empty at first.
-	- [ ] At the last frame of the raven animation, it should add a new particle to the tail.
-	- [ ] It should be drawn when the raven is on the screen, and the raven has `.hasTrail` set to true.
-	- [ ] The particles will start at the raven's end and move to the right, gradually fading out and growing larger.
-*/
-
 const gameScreen = await initGameScreen({
-  assetsInfo: /** @type {const} */ ([
-    {
-      type: "image",
-      src: import.meta.resolve(
-        "./assets/images/raven.png",
-        new URL(import.meta.url),
-      ),
-    },
-    {
-      type: "image",
-      src: resolveBaseImportUrl(
-        "#games/collision-animations-from-a-sprite-sheet/assets/images/boom.png",
-      ),
-    },
-    {
-      type: "audio",
-      src: resolveBaseImportUrl(
-        "#assets/audios/Magic SFX Preview Pack/Ice attack 2.wav",
-      ),
-    },
-  ]),
+  manifest: import.meta.resolve("./assets.json", new URL(import.meta.url)),
   stylesheetLink: import.meta.resolve(
     "./assets/styles/index.css",
     new URL(import.meta.url),
   ),
-  cb: async ({ appId, assets, cleanupManager, createLayout }) => {
+  autoPause: true,
+  showSeed: true,
+  cb: async ({
+    appId,
+    assets,
+    cleanupManager,
+    createLayout,
+    registerGameLoop,
+    rng,
+  }) => {
     const canvasId = `${appId}-canvas`;
     const canvas2Id = `${appId}-canvas2`;
-    const [ravenImage, explosionImage, iceAttack2Sfx] = assets;
+    const ravenImage = assets.get("raven", "image");
+    const explosionImage = assets.get("boom", "image");
+    const iceAttack2Sfx = assets.get("ice-attack-sfx", "audio");
 
     const ravenMetadata = {
       framesX: 6,
@@ -159,20 +146,31 @@ const gameScreen = await initGameScreen({
     });
     cleanupManager.register(adjustCanvasCleanup);
 
-    let gameFrame = 0;
     let score = 0;
     let lives = 3;
 
-    const canvas2ClickCleanup = cleanupManager.registerEventListener({
-      elem: canvas2,
-      type: "click",
-      listener: (e) => {
-        const posX = e.pageX - canvasConfig.dom.x;
-        const posY = e.pageY - canvasConfig.dom.y;
+    // The hit boxes canvas is on top, and keeps its render size, so the pointer is read in render space on it
+    const input = new InputManager({
+      cleanupManager,
+      target: canvas2,
+      canvasConfig,
+    });
 
-        const detectPixelColor = ctx2.getImageData(posX, posY, 1, 1);
+    /**
+     * Every pointer that went down hits the raven whose color is under it,
+     * so more than one finger can shoot at once.
+     */
+    function handleShots() {
+      for (const press of input.pointerPresses) {
+        const detectPixelColor = ctx2.getImageData(
+          Math.floor(press.x),
+          Math.floor(press.y),
+          1,
+          1,
+        );
 
-        for (const raven of ravens) {
+        // Only the ravens under the pointer, their hit boxes colors tell the one on top
+        for (const raven of ravensHash.queryPoint(press.x, press.y)) {
           if (
             raven.color[0] === detectPixelColor.data[0] &&
             raven.color[1] === detectPixelColor.data[1] &&
@@ -183,20 +181,17 @@ const gameScreen = await initGameScreen({
             raven.sfx.currentTime = 0;
             raven.sfx.play();
             // Show the explosion animation
-            raven.explosion.x = raven.x;
-            raven.explosion.y = raven.y;
-            raven.explosion.sprite.currentFrameX = 0;
-            raven.explosion.frameInterval = 4;
-            raven.resetPosition();
-            raven.isHit = true;
+            const explosion = explosionsPool.acquire();
+            explosion.spawn(raven.x, raven.y);
+            explosions.add(explosion);
+            replaceRaven(ravens.indexOf(raven));
             break;
           }
         }
-      },
-    });
+      }
+    }
 
     function drawGameOver() {
-      canvas2ClickCleanup();
       ctx.fillStyle = "white";
       ctx.font = "24px Impact";
       ctx.textAlign = "center";
@@ -237,8 +232,6 @@ const gameScreen = await initGameScreen({
     class Explosion {
       /**
        * @param {{
-       * 	x: number,
-       * 	y: number,
        *  sprite: SpriteInfoInput<TSpriteAnimationName>
        * }} props
        */
@@ -262,37 +255,58 @@ const gameScreen = await initGameScreen({
         this.width = dimensions.width;
         this.height = dimensions.height;
 
-        this.x = props.x;
-        this.y = props.y;
-
-        this.frameInterval = 0;
+        this.x = 0;
+        this.y = 0;
+
+        this.isDone = false;
+        this.animator = new SpriteAnimator({
+          animations: {
+            default: {
+              frames:
+                props.sprite.animationStates[props.sprite.currentAnimationState]
+                  .size,
+              fps: 15,
+              mode: "once",
+            },
+          },
+          initial: "default",
+          onFrame: (frame) => {
+            this.sprite.currentFrameX = frame;
+          },
+          onComplete: () => {
+            this.isDone = true;
+          },
+        });
+      }
+      /**
+       * Plays it from the start, it's reused from the pool
+       * @param {number} x
+       * @param {number} y
+       */
+      spawn(x, y) {
+        this.x = x;
+        this.y = y;
+        this.isDone = false;
+        this.animator.play("default", { restart: true });
       }
       draw() {
-        ctx.drawImage(
-          this.sprite.img,
-          this.sprite.currentFrameX * this.sprite.width,
-          this.sprite.currentFrameY * this.sprite.height,
-          this.sprite.width,
-          this.sprite.height,
-          this.x - this.width * 0.5,
-          this.y - this.height * 0.5,
-          this.width * 2,
-          this.height * 2,
+        drawSprite(
+          ctx,
+          this.sprite,
+          this.sprite.animationStates[this.sprite.currentAnimationState]
+            .locations[this.sprite.currentFrameX],
+          {
+            x: this.x - this.width * 0.5,
+            y: this.y - this.height * 0.5,
+            width: this.width,
+            height: this.height,
+            scale: 2,
+          },
         );
       }
-      update() {
-        const animationState =
-          this.sprite.animationStates[this.sprite.currentAnimationState];
-
-        if (gameFrame % this.frameInterval === 0) {
-          if (this.sprite.currentFrameX >= animationState.size - 1) {
-            return;
-          }
-          this.sprite.currentFrameX =
-            this.sprite.currentFrameX >= animationState.size - 1
-              ? 0
-              : this.sprite.currentFrameX + 1;
-        }
+      /** @param {number} dt */
+      update(dt) {
+        this.animator.update(dt);
       }
     }
 
@@ -301,8 +315,6 @@ const gameScreen = await initGameScreen({
       /**
        *
        * @param {{
-       * 	x: number,
-       * 	y: number,
        *  sprite: SpriteInfoInput<TSpriteAnimationName>
        *  sfx: HTMLAudioElement;
        * }} props
@@ -327,62 +339,99 @@ const gameScreen = await initGameScreen({
         this.width = dimensions.width;
         this.height = dimensions.height;
 
-        this.x = props.x;
-        this.y = props.y;
+        this.x = 0;
+        this.y = 0;
 
         this.frameInterval = 0;
         this.dx = 0;
         this.dy = 0;
-        this.recalculateMotionParameters();
+        this.animator = new SpriteAnimator({
+          animations: {
+            default: {
+              frames:
+                props.sprite.animationStates[props.sprite.currentAnimationState]
+                  .size,
+              fps: 60,
+            },
+          },
+          initial: "default",
+          onFrame: (frame) => {
+            this.sprite.currentFrameX = frame;
+          },
+        });
         this.color = /** @type {const} */ ([
-          Math.floor(Math.random() * 255),
-          Math.floor(Math.random() * 255),
-          Math.floor(Math.random() * 255),
+          rng.int(0, 254),
+          rng.int(0, 254),
+          rng.int(0, 254),
         ]);
         this.sfx = props.sfx;
-        this.isHit = false;
-        this.explosion = new Explosion({
-          x: this.x,
-          y: this.y,
-          sprite: {
-            img: explosionImage,
-            animationStates: explosionAnimationsStates,
-            currentAnimationState: "default",
-            renderBaseWidth: this.width * 0.5,
-            width: explosionAnimationsMetadata.width,
-            height: explosionAnimationsMetadata.height,
-          },
+        // Some ravens leave a trail from their end, fading out and growing larger
+        this.hasTrail = false;
+        this.trail = particles.createEmitter({
+          x: 0,
+          y: 0,
+          rate: 30,
+          lifetime: [0.5, 0.9],
+          speed: [10, 30],
+          spread: 0.6,
+          size: [6, 18],
+          alpha: [0.5, 0],
+          color: `rgb(${this.color[0]}, ${this.color[1]}, ${this.color[2]})`,
+          random: () => fxRng.next(),
         });
+        this.trail.stop();
       }
       recalculateMotionParameters() {
-        this.frameInterval = Math.floor(Math.random() * 5 + 2.5);
-        this.dx = Math.random() * 1.24 + (8 - this.frameInterval) * 0.5;
-        this.dy = Math.random() * 1.24 + (8 - this.frameInterval) * 0.5;
+        this.frameInterval = Math.floor(rng.range(2.5, 7.5));
+        this.dx = rng.range(0, 1.24) + (8 - this.frameInterval) * 0.5;
+        this.dy = rng.range(0, 1.24) + (8 - this.frameInterval) * 0.5;
+        // The faster ravens flap faster
+        this.animator.speed = 1 / this.frameInterval;
       }
-      resetPosition() {
-        this.x =
+      /**
+       * Sets it flying from a new position, it's reused from the pool
+       * @param {number} x
+       * @param {number} y
+       */
+      spawn(x, y) {
+        this.x = x;
+        this.y = y;
+        this.recalculateMotionParameters();
+        this.hasTrail = rng.bool(0.5);
+        this.trail.stop();
+        this.moveTrail();
+        if (this.hasTrail) {
+          this.trail.start();
+        }
+      }
+      /** At its end, it flies to the left */
+      moveTrail() {
+        this.trail.x = this.x + this.width * 0.75;
+        this.trail.y = this.y + this.height * 0.5;
+      }
+      /** A new position off the right side of the screen */
+      spawnOffScreen() {
+        this.spawn(
           canvasConfig.render.width +
-          canvasConfig.render.width * Math.floor(Math.random() * 5) +
-          this.width * Math.floor(Math.random() * 5);
-        this.y =
+            canvasConfig.render.width * rng.int(0, 4) +
+            this.width * rng.int(0, 4),
           canvasConfig.render.height * 0.25 +
-          Math.random() * canvasConfig.render.height * 0.4;
-        this.recalculateMotionParameters();
+            rng.range(0, canvasConfig.render.height * 0.4),
+        );
+      }
+      get isOffStartScreen() {
+        return this.x + this.width < 0;
       }
       draw() {
         ctx2.fillStyle = `rgba(${this.color[0]}, ${this.color[1]}, ${this.color[2]})`;
         ctx2.fillRect(this.x, this.y, this.width, this.height);
 
-        ctx.drawImage(
-          this.sprite.img,
-          this.sprite.currentFrameX * this.sprite.width,
-          this.sprite.currentFrameY * this.sprite.height,
-          this.sprite.width,
-          this.sprite.height,
-          this.x,
-          this.y,
-          this.width,
-          this.height,
+        drawSprite(
+          ctx,
+          this.sprite,
+          this.sprite.animationStates[this.sprite.currentAnimationState]
+            .locations[this.sprite.currentFrameX],
+          { x: this.x, y: this.y, width: this.width, height: this.height },
         );
       }
       update() {
@@ -395,115 +444,176 @@ const gameScreen = await initGameScreen({
         ) {
           this.dy = -this.dy;
         }
-
-        const isOffStartScreen = this.x + this.width < 0;
-
-        if (isOffStartScreen) {
-          this.resetPosition();
-          this.isHit = false;
-          lives--;
-        } else {
-          // Animation sprite
-          const animationState =
-            this.sprite.animationStates[this.sprite.currentAnimationState];
-
-          if (gameFrame % this.frameInterval === 0) {
-            this.sprite.currentFrameX =
-              this.sprite.currentFrameX >= animationState.size - 1
-                ? 0
-                : this.sprite.currentFrameX + 1;
-          }
-        }
-
-        if (this.isHit) {
-          this.explosion.draw();
-          this.explosion.update();
-
-          if (this.explosion.sprite.currentFrameX >= 4) {
-            this.explosion.sprite.currentFrameX = 0;
-            this.isHit = false;
-          }
-        }
+        this.moveTrail();
+      }
+      /** @param {number} dt */
+      animate(dt) {
+        this.animator.update(dt);
       }
     }
 
+    const particles = new ParticleSystem({ cleanupManager });
+    // The particles are emitted on variable frames, so they draw from their own stream,
+    // how many there are between two fixed steps doesn't change the ravens of a seed
+    const fxRng = rng.fork("particles");
+
+    const ravenRenderBaseWidth = 80;
     const ravensMaxSize = 10;
+    /**
+     * The ravens by their hit boxes, so a shot only checks the ones under it
+     * @type {SpatialHash<Raven<"default">>}
+     */
+    const ravensHash = new SpatialHash({ cellSize: 100 });
+    /**
+     * A shot or escaped raven goes back to the pool, and a fresh one takes its place
+     * @type {ObjectPool<Raven<"default">>}
+     */
+    const ravensPool = new ObjectPool({
+      create: () =>
+        new Raven({
+          sprite: {
+            img: ravenImage,
+            animationStates: ravenAnimationsStates,
+            currentAnimationState: "default",
+            renderBaseWidth: ravenRenderBaseWidth,
+            width: ravenMetadata.width,
+            height: ravenMetadata.height,
+          },
+          sfx: iceAttack2Sfx,
+        }),
+      reset: (raven) => ravensHash.remove(raven),
+      initialSize: ravensMaxSize,
+    });
     /** @type {Raven<"default">[]} */
-    let ravens = new Array(ravensMaxSize);
+    const ravens = new Array(ravensMaxSize);
 
     for (let i = 0; i < ravensMaxSize; i++) {
       const prevRaven = i > 0 ? ravens[i - 1] : null;
-      const raven = new Raven({
-        x:
-          // Make sure the raven is not too close to the previous one
-          (prevRaven?.x
-            ? (prevRaven.x + canvasConfig.render.width) * Math.random() +
-              prevRaven.width
-            : 0) +
+      const raven = ravensPool.acquire();
+      raven.spawn(
+        // Make sure the raven is not too close to the previous one
+        (prevRaven?.x
+          ? (prevRaven.x + canvasConfig.render.width) * rng.next() +
+            prevRaven.width
+          : 0) +
           canvasConfig.render.width * 1.5 +
-          Math.random() * canvasConfig.render.width +
+          rng.range(0, canvasConfig.render.width) +
           10 +
-          (prevRaven ? prevRaven.width * (Math.random() * 6) : 0),
-        y:
-          canvasConfig.render.height * 0.25 +
-          Math.random() * canvasConfig.render.height * 0.4,
-        sprite: {
-          img: ravenImage,
-          animationStates: ravenAnimationsStates,
-          currentAnimationState: "default",
-          renderBaseWidth: 80,
-          width: ravenMetadata.width,
-          height: ravenMetadata.height,
-        },
-        sfx: iceAttack2Sfx,
-      });
+          (prevRaven ? prevRaven.width * rng.range(0, 6) : 0),
+        canvasConfig.render.height * 0.25 +
+          rng.range(0, canvasConfig.render.height * 0.4),
+      );
 
       if (raven.y > canvasConfig.render.height * 0.5) {
-        raven.dy = -1 * Math.random() * 2 - 0.5;
+        raven.dy = -rng.range(0, 2) - 0.5;
       } else {
-        raven.dy = Math.random() * 2 - 0.5;
+        raven.dy = rng.range(-0.5, 1.5);
       }
       ravens[i] = raven;
+      ravensHash.insert(raven, raven);
     }
 
-    /** @type {number|undefined} */
-    let animateId;
+    /**
+     * @param {number} index - In `ravens`.
+     */
+    function replaceRaven(index) {
+      ravensPool.release(ravens[index]);
+      const raven = ravensPool.acquire();
+      raven.spawnOffScreen();
+      ravens[index] = raven;
+      ravensHash.insert(raven, raven);
+    }
 
-    function animate() {
-      ctx.clearRect(
-        0,
-        0,
-        canvasConfig.render.width,
-        canvasConfig.render.height,
-      );
-      ctx2.clearRect(
-        0,
-        0,
-        canvasConfig.render.width,
-        canvasConfig.render.height,
-      );
+    /** @type {Set<Explosion<"default">>} */
+    const explosions = new Set();
+    /** @type {ObjectPool<Explosion<"default">>} */
+    const explosionsPool = new ObjectPool({
+      create: () =>
+        new Explosion({
+          sprite: {
+            img: explosionImage,
+            animationStates: explosionAnimationsStates,
+            currentAnimationState: "default",
+            renderBaseWidth: ravenRenderBaseWidth * 0.5,
+            width: explosionAnimationsMetadata.width,
+            height: explosionAnimationsMetadata.height,
+          },
+        }),
+      initialSize: 4,
+    });
 
-      for (const raven of ravens) {
-        raven.update();
-        raven.draw();
-      }
+    // The ravens speeds are in steps, so they run at a fixed 60 steps per second, their animations on time
+    const gameLoop = new GameLoop({
+      update(dt) {
+        if (lives <= 0) {
+          return;
+        }
 
-      drawScore();
-      drawLives();
-      if (lives <= 0) {
-        drawGameOver();
-        return;
-      }
-      gameFrame++;
-      animateId = requestAnimationFrame(animate);
-    }
+        handleShots();
+        for (const raven of ravens) {
+          raven.animate(dt);
+        }
+        for (const explosion of explosions) {
+          explosion.update(dt);
+          if (explosion.isDone) {
+            explosions.delete(explosion);
+            explosionsPool.release(explosion);
+          }
+        }
+      },
+      fixedFps: 60,
+      fixedUpdate() {
+        if (lives <= 0) {
+          return;
+        }
 
-    cleanupManager.register(() => {
-      if (!animateId) {
-        return;
-      }
-      cancelAnimationFrame(animateId);
+        for (let i = 0; i < ravens.length; i++) {
+          const raven = ravens[i];
+          raven.update();
+
+          if (raven.isOffStartScreen) {
+            lives--;
+            replaceRaven(i);
+          } else {
+            ravensHash.update(raven, raven);
+          }
+        }
+      },
+      render() {
+        ctx.clearRect(
+          0,
+          0,
+          canvasConfig.render.width,
+          canvasConfig.render.height,
+        );
+        ctx2.clearRect(
+          0,
+          0,
+          canvasConfig.render.width,
+          canvasConfig.render.height,
+        );
+
+        // The trails are behind the ravens
+        particles.draw(ctx);
+        for (const explosion of explosions) {
+          explosion.draw();
+        }
+        for (const raven of ravens) {
+          raven.draw();
+        }
+
+        drawScore();
+        drawLives();
+        if (lives <= 0) {
+          drawGameOver();
+          gameLoop.stop();
+        }
+      },
+      name: "point-and-shoot",
     });
+    registerGameLoop(gameLoop);
+    input.attach(gameLoop);
+    particles.attach(gameLoop);
 
     // Optionally show a warning
     if (isCanvasReadBlocked()) {
@@ -511,7 +621,7 @@ const gameScreen = await initGameScreen({
         "⚠️ Your browser is blocking canvas pixel reads.\nPlease allow fingerprinting in Brave to play this game.",
       );
     } else {
-      animate();
+      gameLoop.start();
     }
   },
 });
@@ -1,7 +1,21 @@
-/** @import { CleanupManager } from "#libs/cleanup.js"; */
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { Tween } from "#libs/tween.js";
+ */
 
 import initGameScreen from "#libs/core/dom.js";
+import { GameLoop } from "#libs/create-game-loop.js";
 import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
+import { createFrameStatsOverlay } from "#libs/frame-stats-overlay.js";
+import { GamepadInput, GAMEPAD_BUTTON_IDS } from "#libs/gamepad.js";
+import { InputManager } from "#libs/input.js";
+import { createReplayControls } from "#libs/replay-controls.js";
+import { SimulationRecorder } from "#libs/replay.js";
+import { TweenManager } from "#libs/tween.js";
+import {
+  createVirtualDpad,
+  VIRTUAL_DPAD_BUTTON_IDS,
+} from "#libs/virtual-dpad.js";
 
 /**
  * ========================================================
@@ -60,19 +74,72 @@ import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
  *   +---------------+---------------+---------------+---------------+
  *  (0,160)        (40,160)       (80,160)      (120,160)      (160,160)
  */
+/**
+ * @typedef {"up" | "right" | "down" | "left"} Direction
+ *
+ * @typedef {{
+ *   tileFrom: [x: number, y: number];
+ *   tileTo: [x: number, y: number];
+ *   position: [x: number, y: number];
+ *   moveTime: number;
+ * }} CharacterSnapshot
+ */
+
+/**
+ * For imported recordings, e.g. an older one with `timeMoved` instead of `moveTime`.
+ *
+ * @param {unknown} value
+ * @returns {value is { character: CharacterSnapshot }}
+ */
+function isGameSnapshot(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    "character" in value &&
+    isCharacterSnapshot(value.character)
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is CharacterSnapshot}
+ */
+function isCharacterSnapshot(value) {
+  if (typeof value !== "object" || value === null) {
+    return false;
+  }
+
+  const snapshot = /** @type {Record<string, unknown>} */ (value);
+  return (
+    isPoint(snapshot.tileFrom) &&
+    isPoint(snapshot.tileTo) &&
+    isPoint(snapshot.position) &&
+    Number.isFinite(snapshot.moveTime)
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is [x: number, y: number]}
+ */
+function isPoint(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every((n) => Number.isFinite(n))
+  );
+}
+
 class Character {
   /**
    * The Character class handles:
    * 1. Tracking both tile and pixel positions
    * 2. Smooth movement between tiles
-   * 3. Processing keyboard input
+   * 3. Reading movement input
    * 4. Collision detection with map tiles
    *
    * @param {{
-   *   registerEvents: (options: {
-   *     keydownCb: (e: KeyboardEvent) => void;
-   *     keyupCb: (e: KeyboardEvent) => void;
-   *   }) => void;
+   *   input: InputManager;
    *   tile: { w: number; h: number };
    * }} options
    */
@@ -161,19 +228,26 @@ class Character {
     ]);
 
     /**
-     * The timestamp when movement began (in milliseconds)
-     * Used to calculate the progress of animated movement
+     * Runs the tweens animating the character, e.g. its movement
+     *
+     * It's not attached to the game loop, `update` advances it,
+     * so the movement only happens on the recorded steps and can be replayed
+     */
+    this.tweens = new TweenManager();
+
+    /**
+     * The tween moving `position` from `tileFrom` to `tileTo`,
+     * null when the character is standing on a tile
      *
-     * Example: If current time is 1000ms and timeMoved is 800ms,
-     * then the character has been moving for 200ms
+     * @type {Tween<[x: number, y: number]> | null}
      */
-    this.timeMoved = 0;
+    this.movement = null;
 
     /**
-     * How long a movement from one tile to another should take (in milliseconds)
+     * How long a movement from one tile to another should take (in seconds)
      * Lower values = faster movement; Higher values = slower movement
      *
-     * Example: 300ms means it takes 0.3 seconds to move between tiles
+     * Example: 0.3 means it takes 300ms to move between tiles
      *
      * Timeline visualization:
      *
@@ -183,64 +257,93 @@ class Character {
      * Movement                         Movement
      * (tileFrom)                       (tileTo)
      */
-    this.delayMove = 300;
+    this.moveDuration = 0.3;
 
     /**
-     * Maps direction names to keyboard keys
-     * This allows for easy reference in code and makes
-     * key rebinding simpler to implement later
-     */
-    this.directionKeyMap = {
-      up: "ArrowUp",
-      right: "ArrowRight",
-      down: "ArrowDown",
-      left: "ArrowLeft",
-    };
-
-    /**
-     * Collection of all direction keys
-     * This makes it easy to iterate through all movement keys
-     */
-    this.KeysCollection = Object.values(this.directionKeyMap);
-
-    /**
-     * Maps keyboard keys to directions and their pressed state
-     * The structure is: { "KeyCode": ["direction", isPressed] }
+     * Maps direction names to input actions
+     * The keys (or buttons) behind each action are bound on the
+     * `InputManager`, so rebinding doesn't touch the character
      *
-     * Example: { "ArrowUp": ["up", false] } means the up arrow
-     * corresponds to the "up" direction and is currently not pressed
-     */
-    this.keyDirectionMap = Object.fromEntries(
-      Object.entries(this.directionKeyMap).map((item) => [
-        item[1],
-        [item[0], false],
-      ]),
-    );
-
-    /**
-     * Register keyboard event handlers
-     * This sets up the key press detection for character movement
-     *
-     * Keyboard state tracking:
+     * Input state tracking:
      *
      * ┌───────────┐
-     * │   ↑(up)   │ ← When pressed: keyDirectionMap["ArrowUp"][1] = true
-     * ├───┬───┬───┤   When released: keyDirectionMap["ArrowUp"][1] = false
+     * │   ↑(up)   │ ← "move-up" is held while ArrowUp, W, the on-screen ↑ or a gamepad up is down
+     * ├───┬───┬───┤
      * │ ← │ ↓ │ → │
      * └───┴───┴───┘
      */
-    options.registerEvents({
-      keydownCb: (e) => {
-        if (e.key in this.keyDirectionMap) {
-          this.keyDirectionMap[e.key][1] = true;
-        }
-      },
-      keyupCb: (e) => {
-        if (e.key in this.keyDirectionMap) {
-          this.keyDirectionMap[e.key][1] = false;
-        }
-      },
+    this.directionActionMap = /** @type {const} */ ({
+      up: "move-up",
+      right: "move-right",
+      down: "move-down",
+      left: "move-left",
     });
+
+    /**
+     * Collection of all directions, in the order they are tried
+     * This makes it easy to iterate through all movement actions
+     */
+    this.directions = /** @type {Direction[]} */ (
+      Object.keys(this.directionActionMap)
+    );
+
+    this.input = options.input;
+  }
+
+  /**
+   * The directions of the currently held actions, in the `directions` order
+   *
+   * Kept apart from `update` so the input of a step can be recorded and replayed
+   *
+   * @returns {Direction[]}
+   */
+  getPressedDirections() {
+    /** @type {Direction[]} */
+    const directions = [];
+    for (const direction of this.directions) {
+      if (this.input.isActionHeld(this.directionActionMap[direction])) {
+        directions.push(direction);
+      }
+    }
+    return directions;
+  }
+
+  /** @returns {CharacterSnapshot} */
+  toSnapshot() {
+    return {
+      tileFrom: [this.tileFrom[0], this.tileFrom[1]],
+      tileTo: [this.tileTo[0], this.tileTo[1]],
+      position: [this.position[0], this.position[1]],
+      // How far into the movement tween it is, the tween itself is recreated on restore
+      moveTime: this.movement ? Math.max(this.movement.time, 0) : 0,
+    };
+  }
+
+  /**
+   * @param {CharacterSnapshot} snapshot
+   * @param {{ w: number; h: number }} tile - Tile dimensions
+   */
+  fromSnapshot(snapshot, tile) {
+    this.tileFrom = /** @type {[number, number]} */ ([
+      snapshot.tileFrom[0],
+      snapshot.tileFrom[1],
+    ]);
+    this.tileTo = /** @type {[number, number]} */ ([
+      snapshot.tileTo[0],
+      snapshot.tileTo[1],
+    ]);
+    this.position[0] = snapshot.position[0];
+    this.position[1] = snapshot.position[1];
+
+    // Restart the movement the snapshot was in, and jump to where it was
+    this.tweens.cancelAll();
+    this.movement = null;
+    if (
+      this.tileFrom[0] !== this.tileTo[0] ||
+      this.tileFrom[1] !== this.tileTo[1]
+    ) {
+      this.startMovement(tile).seek(snapshot.moveTime);
+    }
   }
 
   /**
@@ -251,6 +354,9 @@ class Character {
    * 2. Calculates the corresponding pixel position, with centering
    * 3. Updates the character's position immediately (no animation)
    *
+   * The `position` array is updated in place, since the movement
+   * tween holds on to it
+   *
    * VISUAL EXAMPLE:
    * If we call placeAt(tile, 2, 3) with 40x40 tiles and 30x30 character:
    *
@@ -286,7 +392,22 @@ class Character {
     this.tileTo = /** @type {[number, number]} */ ([x, y]);
 
     // Then `position` is set to the new tile position
-    this.position = /** @type {[number, number]} */ ([
+    const [pixelX, pixelY] = this.toPixelPosition(tile, x, y);
+    this.position[0] = pixelX;
+    this.position[1] = pixelY;
+  }
+
+  /**
+   * Converts tile coordinates to the pixel position of the character
+   * centered in that tile
+   *
+   * @param {{ w: number; h: number }} tile - Tile dimensions
+   * @param {number} x - Tile x-coordinate
+   * @param {number} y - Tile y-coordinate
+   * @returns {[x: number, y: number]}
+   */
+  toPixelPosition(tile, x, y) {
+    return [
       // `x` is multiplied by the tile width + the padding
       // (half the difference between the tile width and the character width)
       Math.floor(x * tile.w + (tile.w - this.dimensions[0]) * 0.5),
@@ -294,21 +415,23 @@ class Character {
       // `y` is multiplied by the tile height + the padding
       // (half the difference between the tile height and the character height)
       Math.floor(y * tile.h + (tile.h - this.dimensions[1]) * 0.5),
-    ]);
+    ];
   }
 
   /**
-   * Processes character movement between tiles
+   * Starts the movement from `tileFrom` to `tileTo`
    *
    * This is what creates smooth animation as the character moves
    * from one tile to another, rather than teleporting instantly.
    *
    * HOW ANIMATION WORKS:
    * ====================
-   * 1. Check if a movement is in progress (tileFrom != tileTo)
-   * 2. Calculate how much time has elapsed since movement began
-   * 3. Calculate progress as a value from 0.0 (start) to 1.0 (end)
-   * 4. Use linear interpolation (lerp) to find the current position
+   * 1. Calculate the pixel positions of the start and end tiles
+   * 2. Create a tween that moves `position` between them over `moveDuration`
+   * 3. Each `update`, the tween calculates the progress as a value
+   *    from 0.0 (start) to 1.0 (end), and uses linear interpolation
+   *    (lerp) to find the current position
+   * 4. When it completes, the character snaps to the destination tile
    *
    * VISUAL EXAMPLE:
    * Moving from tile [1,1] to [2,1] over 300ms:
@@ -326,75 +449,44 @@ class Character {
    * The formula for the intermediate position is:
    * Start position + (progress × distance)
    *
+   * EXAMPLE:
+   * - Moving from tile [1,1] to [2,1] (moving right)
+   * - Tile width = 40px
+   * - Character width = 30px
+   * - 50% progress (progress = 0.5)
+   *
+   * Start: 1 * 40 + (40 - 30) * 0.5 = 45
+   * End:   2 * 40 + (40 - 30) * 0.5 = 85
+   * position[0] = 45 + 0.5 * (85 - 45) = 65
+   *
+   * Result: Character is halfway between tiles at pixel x=65
+   *
    * @param {{ w: number; h: number }} tile - Tile dimensions
-   * @param {number} currentFrameTime - Current game time in milliseconds
-   * @returns {boolean} - True if still moving, false if not moving
+   * @returns {Tween<[x: number, y: number]>} - The movement tween
    */
-  processMovement(tile, currentFrameTime) {
-    // Not moving if start and end positions are the same
-    if (
-      this.tileFrom[0] === this.tileTo[0] &&
-      this.tileFrom[1] === this.tileTo[1]
-    ) {
-      return false;
-    }
-
-    // Calculate elapsed time since movement started
-    const elapsed = currentFrameTime - this.timeMoved;
-
-    if (elapsed >= this.delayMove) {
-      // Movement finished - snap to destination
-      this.placeAt(tile, this.tileTo[0], this.tileTo[1]);
-    } else {
-      // Calculate movement progress (0.0 to 1.0)
-      const progress = elapsed / this.delayMove;
-
-      /**
-       * Update x position based on progress
-       *
-       * EXAMPLE:
-       * - Moving from tile [1,1] to [2,1] (moving right)
-       * - Tile width = 40px
-       * - Character width = 30px
-       * - 50% progress (progress = 0.5)
-       *
-       * Step 1: Calculate tile distance
-       * tileDistance = 2 - 1 = 1 (moving 1 tile right)
-       *
-       * Step 2: Calculate move distance with progress
-       * moveDistance = 1 * 0.5 = 0.5 (moved half a tile)
-       *
-       * Step 3: Calculate new pixel position
-       * position[0] = (1 + 0.5) * 40 + (40 - 30) * 0.5
-       *             = 1.5 * 40 + 5
-       *             = 60 + 5
-       *             = 65
-       *
-       * Result: Character is halfway between tiles at pixel x=65
-       */
-      if (this.tileTo[0] !== this.tileFrom[0]) {
-        const tileDistance = this.tileTo[0] - this.tileFrom[0];
-        const moveDistance = tileDistance * progress;
-
-        this.position[0] = Math.floor(
-          (this.tileFrom[0] + moveDistance) * tile.w +
-            (tile.w - this.dimensions[0]) * 0.5,
-        );
-      }
-
-      // Update y position based on progress (same logic as x)
-      if (this.tileTo[1] !== this.tileFrom[1]) {
-        const tileDistance = this.tileTo[1] - this.tileFrom[1];
-        const moveDistance = tileDistance * progress;
-
-        this.position[1] = Math.floor(
-          (this.tileFrom[1] + moveDistance) * tile.h +
-            (tile.h - this.dimensions[1]) * 0.5,
-        );
-      }
-    }
-
-    return true; // Still moving
+  startMovement(tile) {
+    const from = this.toPixelPosition(tile, this.tileFrom[0], this.tileFrom[1]);
+    const to = this.toPixelPosition(tile, this.tileTo[0], this.tileTo[1]);
+
+    this.movement = this.tweens.tween(
+      this.position,
+      { 0: to[0], 1: to[1] },
+      {
+        duration: this.moveDuration,
+        from: { 0: from[0], 1: from[1] },
+        // Keep the character on whole pixels, like the tiles
+        onUpdate: () => {
+          this.position[0] = Math.floor(this.position[0]);
+          this.position[1] = Math.floor(this.position[1]);
+        },
+        // Movement finished - snap to destination
+        onComplete: () => {
+          this.movement = null;
+          this.placeAt(tile, this.tileTo[0], this.tileTo[1]);
+        },
+      },
+    );
+    return this.movement;
   }
 
   /**
@@ -433,7 +525,7 @@ class Character {
    * Updates the character's position based on input and game state
    *
    * This is the main function that:
-   * 1. Processes ongoing movement (if any)
+   * 1. Advances ongoing movement (if any)
    * 2. Checks for new movement input
    * 3. Handles collision detection with map walls
    * 4. Initiates new movement if possible
@@ -441,33 +533,37 @@ class Character {
    * MOVEMENT SEQUENCE EXAMPLE:
    * 1. Player presses right arrow
    * 2. Check if the tile to the right is walkable (value 1)
-   * 3. If yes, set tileTo to the new position and record movement time
-   * 4. During subsequent updates, processMovement handles the animation
-   * 5. When animation completes, character snaps to final position
+   * 3. If yes, set tileTo to the new position and start the movement tween
+   * 4. During subsequent updates, the tween handles the animation
+   * 5. When the tween completes, character snaps to final position
    *
    * @param {{ w: number; h: number }} tile - Tile dimensions
    * @param {{ w: number; h: number }} map - Map dimensions
    * @param {number[]} gameMap - 1D array of map data (0 = wall, 1 = path)
    * @param {Record<number, { color: string; floor: number }>} tileTypes
    * @param {Record<string, number>} floorTypes
-   * @param {number} currentFrameTime - Current game time in milliseconds
+   * @param {number} dt - Elapsed game time in seconds
+   * @param {Direction[]} [pressedDirections] - Directions to try, in order, the held movement actions by default
    */
-  update(tile, map, gameMap, tileTypes, floorTypes, currentFrameTime) {
-    // Process ongoing movement first
-    const isMoving = this.processMovement(tile, currentFrameTime);
+  update(
+    tile,
+    map,
+    gameMap,
+    tileTypes,
+    floorTypes,
+    dt,
+    pressedDirections = this.getPressedDirections(),
+  ) {
+    // Advance ongoing movement first
+    this.tweens.update(dt);
 
     // Only check for new movement if not already ongoing
-    if (isMoving) {
+    if (this.movement) {
       return;
     }
 
-    // Check each direction key
-    for (const key of this.KeysCollection) {
-      const [direction, isPressed] = this.keyDirectionMap[key];
-
-      // Skip keys that aren't pressed
-      if (!isPressed) continue;
-
+    // Check each pressed direction
+    for (const direction of pressedDirections) {
       // Try to move in the pressed direction
       let hadMoved = false;
 
@@ -550,8 +646,8 @@ class Character {
       }
 
       if (hadMoved) {
-        // Record when movement started
-        this.timeMoved = currentFrameTime;
+        // Animate towards the new tile
+        this.startMovement(tile);
         break; // Process only one movement direction
       }
     }
@@ -1177,14 +1273,10 @@ class Viewport {
  *  ctx: CanvasRenderingContext2D;
  *  canvasConfig: CanvasConfig;
  *  cleanupManager: CleanupManager;
+ *  registerGameLoop: (gameLoop: GameLoop) => void;
  * }} props
  */
-function initGame({ ctx, canvasConfig, cleanupManager }) {
-  let currentSecond = 0;
-  let frameCount = 0;
-  let frameLastSecond = 0;
-  let lastFrameTime = 0;
-
+function initGame({ ctx, canvasConfig, cleanupManager, registerGameLoop }) {
   // // prettier-ignore
   // const gameMap = [
   // 	0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
@@ -1268,79 +1360,126 @@ function initGame({ ctx, canvasConfig, cleanupManager }) {
     h: 20,
   };
 
-  const character = new Character({
-    registerEvents: (options) => {
-      cleanupManager.registerWindowEventListener({
-        type: "keyup",
-        listener: options.keyupCb,
-      });
-      cleanupManager.registerWindowEventListener({
-        type: "keydown",
-        listener: options.keydownCb,
-      });
+  const input = new InputManager({
+    cleanupManager,
+    actions: {
+      "move-up": [
+        "ArrowUp",
+        "KeyW",
+        VIRTUAL_DPAD_BUTTON_IDS.up,
+        GAMEPAD_BUTTON_IDS.dpadUp,
+        GAMEPAD_BUTTON_IDS.leftStickUp,
+      ],
+      "move-right": [
+        "ArrowRight",
+        "KeyD",
+        VIRTUAL_DPAD_BUTTON_IDS.right,
+        GAMEPAD_BUTTON_IDS.dpadRight,
+        GAMEPAD_BUTTON_IDS.leftStickRight,
+      ],
+      "move-down": [
+        "ArrowDown",
+        "KeyS",
+        VIRTUAL_DPAD_BUTTON_IDS.down,
+        GAMEPAD_BUTTON_IDS.dpadDown,
+        GAMEPAD_BUTTON_IDS.leftStickDown,
+      ],
+      "move-left": [
+        "ArrowLeft",
+        "KeyA",
+        VIRTUAL_DPAD_BUTTON_IDS.left,
+        GAMEPAD_BUTTON_IDS.dpadLeft,
+        GAMEPAD_BUTTON_IDS.leftStickLeft,
+      ],
     },
-    tile,
   });
+  const gamepads = new GamepadInput({ input, cleanupManager });
+  createVirtualDpad({
+    input,
+    cleanupManager,
+    container: /** @type {HTMLElement} */ (ctx.canvas.parentElement),
+  });
+  const character = new Character({ input, tile });
   ctx.font = "bold 10pt sans-serif";
 
   const viewport = new Viewport({
     screen: [canvasConfig.render.width, canvasConfig.render.height],
   });
 
-  /** @type {number|undefined} */
-  let animateId;
-  function animate() {
-    ctx.clearRect(0, 0, canvasConfig.render.width, canvasConfig.render.height);
-
-    const currentFrameTime = Date.now();
-    // eslint-disable-next-line @typescript-eslint/no-unused-vars
-    const timeElapsed = currentFrameTime - lastFrameTime;
-
-    const sec = Math.floor(Date.now() * 0.001);
-    if (sec !== currentSecond) {
-      currentSecond = sec;
-      frameLastSecond = frameCount;
-      frameCount = 1;
-    } else {
-      frameCount++;
-    }
-
-    character.update(
-      tile,
-      map,
-      gameMap,
-      TILE_TYPES,
-      FLOOR_TYPES,
-      currentFrameTime,
-    );
-    viewport.update(
-      tile,
-      map,
-      character.position[0] + character.dimensions[0] / 2,
-      character.position[1] + character.dimensions[1] / 2,
-    );
-
-    ctx.fillStyle = "#000000";
-    ctx.fillRect(0, 0, viewport.screen[0], viewport.screen[1]);
-    viewport.draw(ctx, tile, map, gameMap, TILE_TYPES);
-    character.draw(ctx, viewport.offset);
-
-    // FPS counter
-    ctx.fillStyle = "#ff0000";
-    ctx.fillText(`FPS: ${frameLastSecond}`, 10, 20);
+  /**
+   * @type {SimulationRecorder<
+   *   Direction[],
+   *   { character: CharacterSnapshot }
+   * >}
+   */
+  const recorder = new SimulationRecorder({
+    readInput: () => character.getPressedDirections(),
+    step: (pressedDirections, dt) => {
+      character.update(
+        tile,
+        map,
+        gameMap,
+        TILE_TYPES,
+        FLOOR_TYPES,
+        dt,
+        pressedDirections,
+      );
+    },
+    snapshot: () => ({ character: character.toSnapshot() }),
+    restore: (snapshot) => {
+      character.fromSnapshot(snapshot.character, tile);
+    },
+  });
 
-    lastFrameTime = currentFrameTime;
-    animateId = requestAnimationFrame(animate);
-  }
+  // The character is only simulated through the recorder, on fixed steps, so the session can be replayed
+  const gameLoop = new GameLoop({
+    render() {
+      viewport.update(
+        tile,
+        map,
+        character.position[0] + character.dimensions[0] / 2,
+        character.position[1] + character.dimensions[1] / 2,
+      );
+
+      ctx.clearRect(
+        0,
+        0,
+        canvasConfig.render.width,
+        canvasConfig.render.height,
+      );
+
+      ctx.fillStyle = "#000000";
+      ctx.fillRect(0, 0, viewport.screen[0], viewport.screen[1]);
+      viewport.draw(ctx, tile, map, gameMap, TILE_TYPES);
+      character.draw(ctx, viewport.offset);
+
+      statsOverlay.draw(ctx);
+    },
+    name: "tile-based-game",
+  });
+  // Shown by default since it replaces the old FPS counter, F3 hides it
+  const statsOverlay = createFrameStatsOverlay({
+    gameLoop,
+    cleanupManager,
+    visible: true,
+  });
 
-  cleanupManager.register(() => {
-    if (!animateId) {
-      return;
-    }
-    cancelAnimationFrame(animateId);
+  registerGameLoop(gameLoop);
+  gamepads.attach(gameLoop);
+  input.attach(gameLoop);
+
+  recorder.attach(gameLoop, cleanupManager);
+  createReplayControls({
+    recorder,
+    gameLoop,
+    cleanupManager,
+    container: /** @type {HTMLElement} */ (ctx.canvas.parentElement),
+    fileName: "tile-based-game-recording",
+    validateState: isGameSnapshot,
   });
+  recorder.start();
 
-  animate();
+  gameLoop.start();
 }
 
 /**
@@ -1359,7 +1498,7 @@ function initGame({ ctx, canvasConfig, cleanupManager }) {
  * 1. Detect key presses
  * 2. Check if movement is allowed (boundaries, collisions)
  * 3. Update destination tile (tileTo)
- * 4. Animate movement over time using linear interpolation
+ * 4. Animate movement over time with a linear tween
  *
  * TILE-BASED STRUCTURE BENEFITS
  * ============================
@@ -1381,7 +1520,8 @@ function initGame({ ctx, canvasConfig, cleanupManager }) {
  * }} ReverseRecord
  */
 const gameScreen = await initGameScreen({
-  cb: async ({ appId, cleanupManager, createLayout }) => {
+  autoPause: true,
+  cb: async ({ appId, cleanupManager, createLayout, registerGameLoop }) => {
     const canvasId = `${appId}-canvas`;
 
     const canvasConfig = new CanvasConfig({
@@ -1438,6 +1578,7 @@ const gameScreen = await initGameScreen({
       ctx,
       canvasConfig,
       cleanupManager,
+      registerGameLoop,
     });
   },
 });
@@ -1,56 +1,75 @@
+import { AnimationStateMachine } from "#libs/animation-state-machine.js";
 import initGameScreen from "#libs/core/dom.js";
+import { GameLoop } from "#libs/create-game-loop.js";
 import { adjustCanvas, CanvasConfig } from "#libs/dom/index.js";
-import { generateSpriteAnimationStates } from "#libs/sprite.js";
+import { InputManager } from "#libs/input.js";
+import {
+  drawSpriteAtlasFrame,
+  getSpriteAtlasAnimatorAnimations,
+  parseSpriteAtlas,
+} from "#libs/sprite-atlas.js";
+import { SpriteAnimator } from "#libs/sprite.js";
 import { reduceToString } from "#libs/string.js";
+import {
+  createVirtualDpad,
+  VIRTUAL_DPAD_BUTTON_IDS,
+} from "#libs/virtual-dpad.js";
 
 // Project title: Vanilla JavaScript sprite animation techniques
 // Project description: This project demonstrates how to create sprite animations using JavaScript. It includes a simple game where the player can control a character and make it perform different animations.
 // Project tags: animation, sprite, canvas, sprite-animation
 
 const gameScreen = await initGameScreen({
-  assetsInfo: /** @type {const} */ ([
-    {
-      type: "image",
-      src: import.meta.resolve("./shadow_dog.png", new URL(import.meta.url)),
-    },
-  ]),
+  manifest: import.meta.resolve("./assets.json", new URL(import.meta.url)),
   stylesheetLink: import.meta.resolve(
     "./__style.css",
     new URL(import.meta.url),
   ),
-  cb: async ({ appId, assets, cleanupManager, createLayout }) => {
+  autoPause: true,
+  cb: async ({
+    appId,
+    assets,
+    cleanupManager,
+    createLayout,
+    registerGameLoop,
+  }) => {
     const canvasId = `${appId}-canvas`;
-    const animationsControlId = `${appId}-animations`;
-    const animationsControlGroupId = `${appId}-animations-group`;
-
-    const [playerImage] = assets;
-    const playerImageSourceWidth = playerImage.naturalWidth;
-    const playerImageSourceHeight = playerImage.naturalHeight;
-    const playerImageDW = playerImageSourceWidth / 12 + 2;
-    const playerImageDH = playerImageSourceHeight / 10;
-    const playerAnimationsStates = generateSpriteAnimationStates(
-      [
-        { name: "idle", frames: 7 },
-        { name: "jump", frames: 7 },
-        { name: "fall", frames: 7 },
-        { name: "run", frames: 9 },
-        { name: "dizzy", frames: 11 },
-        { name: "sit", frames: 5 },
-        { name: "roll", frames: 7 },
-        { name: "bite", frames: 7 },
-        { name: "ko", frames: 12 },
-        { name: "getHit", frames: 4 },
-      ],
-      { width: playerImageDW, height: playerImageDH },
+    const stateId = `${appId}-state`;
+    const controlsId = `${appId}-controls`;
+
+    const playerAtlas = assets.get("shadow-dog", "atlas");
+    const playerImage = playerAtlas.image;
+    const [playerSpriteError, playerSprite] = parseSpriteAtlas(
+      playerAtlas.data,
     );
-    /** @type {keyof typeof playerAnimationsStates} */
-    let currentAnimation = "idle";
+    if (playerSpriteError) {
+      throw playerSpriteError;
+    }
+    const playerAnimations = playerSprite.animations;
+    // Each frame lasts its duration from the atlas
+    /** @type {SpriteAnimator<string>} */
+    const playerAnimator = new SpriteAnimator({
+      animations: getSpriteAtlasAnimatorAnimations(playerSprite),
+      initial: "idle",
+    });
 
     const canvasConfig = new CanvasConfig({
-      size: { width: 400, height: 400 },
+      size: { width: 600, height: 400 },
       maxSize: { width: 1024 },
     });
 
+    /** @type {[keys: string, description: string][]} */
+    const controls = [
+      ["← →", "Run"],
+      ["↑", "Jump"],
+      ["↓", "Sit"],
+      ["Shift", "Roll while running"],
+      ["Space", "Bite"],
+      ["H", "Get hit"],
+      ["D", "Get dizzy"],
+      ["K", "Knock out"],
+    ];
+
     await createLayout(/* html */ `<canvas
 			id="${canvasId}"
 			width="${canvasConfig.render.width}"
@@ -60,54 +79,21 @@ const gameScreen = await initGameScreen({
 		></canvas>
 		<div
 			class="flex flex-col gap-4 mt-8 grow overflow-y-auto text-center"
-			id="${animationsControlGroupId}"
+			id="${controlsId}"
 		>
-			<label for="animations">Choose an animation:</label>
-			<!--
-<select
-				id="${animationsControlId}"
-				class="border border-solid border-black"
-			>
-				${Object.keys(playerAnimationsStates)
-          .map(
-            (animation) =>
-              `<option value="${animation}" >${animation}</option>`,
-          )
-          .join("")}
-			</select>
-			-->
-			<div
-				class="flex flex-wrap items-center justify-center gap-x-4 gap-y-2 capitalize"
-			>
+			<p aria-live="polite">State: <strong id="${stateId}" class="capitalize">${playerAnimator.animation}</strong></p>
+			<dl class="grid grid-cols-[auto_auto] gap-x-4 gap-y-1 mx-auto w-fit text-start">
 				${reduceToString(
-          Object.keys(playerAnimationsStates),
-          (animation) => `<div class="flex items-center w-fit">
-						<input type="radio" name="animations" id="${animation}" value="${animation}" ${
-            currentAnimation === animation ? "checked" : ""
-          } />
-							<label for="${animation}" class='ps-2'>${animation}</label>
-							</div>`,
+          controls,
+          ([
+            keys,
+            description,
+          ]) => /* html */ `<dt class="font-mono text-end">${keys}</dt>
+					<dd>${description}</dd>`,
         )}
-			</div>
+			</dl>
 		</div>`);
 
-    document
-      .getElementById(animationsControlGroupId)
-      ?.querySelectorAll("input[type='radio']")
-      .forEach((radio) => {
-        cleanupManager.registerEventListener({
-          elem: radio,
-          type: "change",
-          listener: (e) => {
-            currentAnimation =
-              /** @type {keyof typeof playerAnimationsStates} */ (
-                /** @type {HTMLInputElement} */ (e.target).value
-              );
-            frameAcc = 0;
-          },
-        });
-      });
-
     const canvas = /** @type {HTMLCanvasElement|null} */ (
       document.getElementById(canvasId)
     );
@@ -122,6 +108,10 @@ const gameScreen = await initGameScreen({
       throw new Error("Couldn't get the canvas context!");
     }
 
+    const stateElem = /** @type {HTMLElement} */ (
+      document.getElementById(stateId)
+    );
+
     const adjustCanvasCleanup = adjustCanvas({
       canvas,
       ctx,
@@ -136,51 +126,218 @@ const gameScreen = await initGameScreen({
     });
     cleanupManager.register(adjustCanvasCleanup);
 
-    let staggerFrame = 5;
-    let frameAcc = 0;
-
-    /** @type {number|undefined} */
-    let animateId;
-
-    function animate() {
-      let positionX =
-        Math.floor(frameAcc / staggerFrame) %
-        playerAnimationsStates[currentAnimation].size;
-      const frameX = playerImageDW * positionX;
-      const frameY =
-        playerAnimationsStates[currentAnimation].locations[positionX].y;
-
-      ctx.clearRect(
-        0,
-        0,
-        canvasConfig.render.width,
-        canvasConfig.render.height,
-      );
-      ctx.drawImage(
-        playerImage,
-        frameX,
-        frameY,
-        playerImageDW,
-        playerImageDH,
-        0,
-        0,
-        canvasConfig.render.width,
-        canvasConfig.render.height,
+    const input = new InputManager({
+      cleanupManager,
+      actions: {
+        "move-left": ["ArrowLeft", VIRTUAL_DPAD_BUTTON_IDS.left],
+        "move-right": ["ArrowRight", VIRTUAL_DPAD_BUTTON_IDS.right],
+        jump: ["ArrowUp", VIRTUAL_DPAD_BUTTON_IDS.up],
+        sit: ["ArrowDown", VIRTUAL_DPAD_BUTTON_IDS.down],
+        roll: ["ShiftLeft", "ShiftRight"],
+        bite: ["Space"],
+        "get-hit": ["KeyH"],
+        "get-dizzy": ["KeyD"],
+        "knock-out": ["KeyK"],
+      },
+    });
+    createVirtualDpad({
+      input,
+      cleanupManager,
+      container: /** @type {HTMLElement} */ (
+        document.getElementById(controlsId)
+      ),
+    });
+
+    // In render units per second
+    const runSpeed = 220;
+    const rollSpeed = 380;
+    const jumpSpeed = 720;
+    const gravity = 1800;
+    const groundHeight = 40;
+
+    const playerScale = 0.3;
+    const playerFrame = playerAnimations.idle.frames[0];
+    const player = {
+      width: playerFrame.sourceWidth * playerScale,
+      height: playerFrame.sourceHeight * playerScale,
+      x: 0,
+      y: 0,
+      vx: 0,
+      vy: 0,
+      /** @type {1|-1} */
+      facing: 1,
+      isOnGround: true,
+    };
+    player.x = (canvasConfig.render.width - player.width) * 0.5;
+    player.y = canvasConfig.render.height - groundHeight - player.height;
+
+    /** Where the input and the physics stand on this frame, read by the transitions. */
+    const playerContext = {
+      isOnGround: true,
+      vx: 0,
+      vy: 0,
+      isSitting: false,
+      isRolling: false,
+      isBiting: false,
+      isGettingHit: false,
+      isGettingDizzy: false,
+      isKnockedOut: false,
+    };
+
+    /** @param {typeof playerContext} context */
+    const isAirborneUp = (context) => !context.isOnGround && context.vy < 0;
+    /** @param {typeof playerContext} context */
+    const isAirborneDown = (context) => !context.isOnGround && context.vy >= 0;
+
+    const playerStateMachine = new AnimationStateMachine({
+      animator: playerAnimator,
+      initial: "idle",
+      states: {
+        idle: {
+          transitions: [
+            { to: "jump", when: isAirborneUp },
+            { to: "fall", when: isAirborneDown },
+            { to: "sit", when: (context) => context.isSitting },
+            { to: "run", when: (context) => context.vx !== 0 },
+          ],
+        },
+        run: {
+          transitions: [
+            { to: "jump", when: isAirborneUp },
+            { to: "fall", when: isAirborneDown },
+            { to: "roll", when: (context) => context.isRolling },
+            { to: "sit", when: (context) => context.isSitting },
+            { to: "idle", when: (context) => context.vx === 0 },
+          ],
+        },
+        jump: {
+          transitions: [{ to: "fall", when: isAirborneDown }],
+        },
+        fall: {
+          transitions: [{ to: "idle", when: (context) => context.isOnGround }],
+        },
+        sit: {
+          transitions: [{ to: "idle", when: (context) => !context.isSitting }],
+        },
+        roll: {
+          transitions: [
+            { to: "fall", when: isAirborneDown },
+            { to: "run", when: (context) => !context.isRolling },
+          ],
+        },
+        bite: { once: true, priority: 1 },
+        getHit: { once: true, priority: 2 },
+        dizzy: { once: true, priority: 2 },
+        ko: { once: true, priority: 3 },
+      },
+      anyTransitions: [
+        { to: "ko", when: (context) => context.isKnockedOut },
+        { to: "getHit", when: (context) => context.isGettingHit },
+        { to: "dizzy", when: (context) => context.isGettingDizzy },
+        {
+          to: "bite",
+          when: (context) => context.isBiting && context.isOnGround,
+        },
+      ],
+      onChange: (state) => {
+        stateElem.textContent = state;
+      },
+    });
+
+    /** The states the player can't move in, until their animation is done. */
+    const stunnedStates = new Set(["bite", "getHit", "dizzy", "ko"]);
+
+    /** @param {number} dt */
+    function updatePlayer(dt) {
+      const isStunned = stunnedStates.has(playerStateMachine.state);
+      const direction = isStunned
+        ? 0
+        : input.getActionAxis("move-left", "move-right");
+      const isRolling =
+        direction !== 0 && player.isOnGround && input.isActionHeld("roll");
+
+      player.vx = direction * (isRolling ? rollSpeed : runSpeed);
+      if (direction !== 0) {
+        player.facing = direction;
+      }
+      if (!isStunned && player.isOnGround && input.isActionPressed("jump")) {
+        player.vy = -jumpSpeed;
+        player.isOnGround = false;
+      }
+
+      player.vy += gravity * dt;
+      player.x = Math.min(
+        Math.max(player.x + player.vx * dt, 0),
+        canvasConfig.render.width - player.width,
       );
+      player.y += player.vy * dt;
 
-      frameAcc++;
+      const groundY = canvasConfig.render.height - groundHeight - player.height;
+      if (player.y >= groundY) {
+        player.y = groundY;
+        player.vy = 0;
+        player.isOnGround = true;
+      }
 
-      animateId = requestAnimationFrame(animate);
+      playerContext.isOnGround = player.isOnGround;
+      playerContext.vx = player.vx;
+      playerContext.vy = player.vy;
+      playerContext.isSitting =
+        player.isOnGround && direction === 0 && input.isActionHeld("sit");
+      playerContext.isRolling = isRolling;
+      playerContext.isBiting = input.isActionPressed("bite");
+      playerContext.isGettingHit = input.isActionPressed("get-hit");
+      playerContext.isGettingDizzy = input.isActionPressed("get-dizzy");
+      playerContext.isKnockedOut = input.isActionPressed("knock-out");
+
+      playerStateMachine.update(playerContext, dt);
     }
 
-    cleanupManager.register(() => {
-      if (!animateId) {
-        return;
-      }
-      cancelAnimationFrame(animateId);
-    });
+    const gameLoop = new GameLoop({
+      update(dt) {
+        updatePlayer(dt);
+      },
+      render() {
+        const frame =
+          playerAnimations[playerAnimator.animation].frames[
+            playerAnimator.frame
+          ];
+
+        ctx.clearRect(
+          0,
+          0,
+          canvasConfig.render.width,
+          canvasConfig.render.height,
+        );
 
-    animate();
+        ctx.fillStyle = "#6b7280";
+        ctx.fillRect(
+          0,
+          canvasConfig.render.height - groundHeight,
+          canvasConfig.render.width,
+          groundHeight,
+        );
+
+        // The sprite faces right, it's mirrored around its center to face left
+        ctx.save();
+        ctx.translate(player.x + player.width * 0.5, player.y);
+        ctx.scale(player.facing, 1);
+        drawSpriteAtlasFrame(
+          ctx,
+          playerImage,
+          frame,
+          -player.width * 0.5,
+          0,
+          player.width / frame.sourceWidth,
+          player.height / frame.sourceHeight,
+        );
+        ctx.restore();
+      },
+      name: "vanilla-sprite-animation",
+    });
+    registerGameLoop(gameLoop);
+    input.attach(gameLoop);
+    gameLoop.start();
   },
 });
 
@@ -0,0 +1,185 @@
+/**
+ * @import { SpriteAnimator } from "#libs/sprite.js";
+ */
+
+/**
+ * @template {string} TState
+ * @template TContext
+ *
+ * @typedef {{
+ *  to: TState;
+ *  when: (context: TContext) => boolean;
+ * }} AnimationTransition
+ */
+
+/**
+ * @template {string} TState
+ * @template TContext
+ *
+ * @typedef {{
+ *  animation?: string; // The animator animation (default: the state name)
+ *  once?: boolean; // Plays once, then goes to `next`
+ *  next?: TState; // After playing once (default: the initial state)
+ *  priority?: number; // While it plays once, only higher priority states interrupt it (default: 0)
+ *  transitions?: AnimationTransition<TState, TContext>[];
+ * }} AnimationStateConfig
+ */
+
+/**
+ * @template {string} TState
+ * @template TContext
+ *
+ * @typedef {{
+ *  animator: SpriteAnimator<string>;
+ *  states: Record<TState, AnimationStateConfig<TState, TContext>>;
+ *  initial: TState;
+ *  anyTransitions?: AnimationTransition<TState, TContext>[]; // Checked from every state, before its own
+ *  onChange?: (state: TState, prevState: TState) => void;
+ * }} AnimationStateMachineOptions
+ */
+
+/**
+ * Picks a character's animation from its state, e.g. input and physics,
+ * instead of the game switching animations by hand.
+ *
+ * Each `update`, the first transition whose `when` holds is taken, from the `anyTransitions` then the state's own.
+ * A `once` state plays its animation once and goes to its `next` state,
+ * and can only be interrupted by a state of higher `priority` until then.
+ *
+ * @template {string} TState
+ * @template TContext
+ *
+ * @example
+ * ```js
+ * const stateMachine = new AnimationStateMachine({
+ *   animator,
+ *   initial: "idle",
+ *   states: {
+ *     idle: { transitions: [{ to: "run", when: (player) => player.vx !== 0 }] },
+ *     run: { transitions: [{ to: "idle", when: (player) => player.vx === 0 }] },
+ *     bite: { once: true, priority: 1 },
+ *   },
+ *   anyTransitions: [{ to: "bite", when: (player) => player.isBiting }],
+ * });
+ *
+ * gameLoop.addSystem("update", (dt) => stateMachine.update(player, dt));
+ * ```
+ */
+export class AnimationStateMachine {
+  /**
+   * @param {AnimationStateMachineOptions<TState, TContext>} options
+   */
+  constructor(options) {
+    this.animator = options.animator;
+    this.states = options.states;
+    this.initial = options.initial;
+    this.anyTransitions = options.anyTransitions ?? [];
+    this.onChange = options.onChange;
+    /** @type {TState} */
+    this.state = options.initial;
+
+    this.enter(options.initial);
+  }
+
+  /**
+   * @param {TState} state
+   */
+  getStateConfig(state) {
+    const config = this.states[state];
+    if (!config) {
+      throw new Error(`[AnimationStateMachine] Unknown state "${state}".`);
+    }
+    return config;
+  }
+
+  /**
+   * @param {TState} state
+   * @returns {boolean} Whether it can interrupt the current state.
+   */
+  canInterrupt(state) {
+    const current = this.getStateConfig(this.state);
+    if (!current.once || this.animator.isComplete) {
+      return true;
+    }
+
+    return (this.getStateConfig(state).priority ?? 0) > (current.priority ?? 0);
+  }
+
+  /**
+   * Goes to a state, when it can interrupt the current one.
+   *
+   * @param {TState} state
+   * @param {{ force?: boolean; restart?: boolean }} [options] - `force` ignores the priorities,
+   * `restart` plays the current state again from its start.
+   * @returns {boolean} Whether the state changed, or restarted.
+   */
+  set(state, options = {}) {
+    if (state === this.state && !options.restart) {
+      return false;
+    }
+    if (!options.force && !this.canInterrupt(state)) {
+      return false;
+    }
+
+    this.enter(state);
+    return true;
+  }
+
+  /**
+   * @param {TState} state
+   */
+  enter(state) {
+    const config = this.getStateConfig(state);
+    const prevState = this.state;
+    this.state = state;
+    this.animator.play(config.animation ?? state, {
+      restart: true,
+      mode: config.once ? "once" : undefined,
+    });
+
+    if (state !== prevState) {
+      this.onChange?.(state, prevState);
+    }
+  }
+
+  /**
+   * @param {AnimationTransition<TState, TContext>[]} transitions
+   * @param {TContext} context
+   * @returns {boolean} Whether one was taken.
+   */
+  takeTransition(transitions, context) {
+    for (const transition of transitions) {
+      if (
+        transition.to !== this.state &&
+        transition.when(context) &&
+        this.set(transition.to)
+      ) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Takes the transitions, then advances the animator.
+   *
+   * @param {TContext} context - Passed to the transitions `when`.
+   * @param {number} dt - Elapsed time in seconds.
+   */
+  update(context, dt) {
+    const config = this.getStateConfig(this.state);
+    if (config.once && this.animator.isComplete) {
+      this.enter(config.next ?? this.initial);
+    }
+
+    if (!this.takeTransition(this.anyTransitions, context)) {
+      this.takeTransition(
+        this.getStateConfig(this.state).transitions ?? [],
+        context,
+      );
+    }
+
+    this.animator.update(dt);
+  }
+}
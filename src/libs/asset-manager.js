@@ -0,0 +1,397 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { AssetLoadFailure, LoadManyAssetsOptions } from "#libs/dom/index.js";
+ * @import { TElementTypeMapperForAssets, TLoadAsset, TLoadedAsset, TLoadedAtlas, TResult } from "#libs/types/common.js";
+ */
+
+import { AssetsLoadError, loadManyAssets } from "#libs/dom/index.js";
+
+/**
+ * @typedef {{
+ *   key: string;
+ *   url: string;
+ *   type: TLoadAsset["type"];
+ *   value: TLoadedAsset | null;
+ *   isLoaded: boolean; // Apart from `value`, which can be falsy, e.g. an empty text or a `null` JSON
+ *   pending: Promise<TResult<TLoadedAsset>> | null;
+ *   refCount: number;
+ *   bytes: number;
+ *   lastUsedAt: number;
+ * }} AssetCacheEntry
+ *
+ * @typedef {{
+ *   entries: number;
+ *   referenced: number;
+ *   bytes: number;
+ *   budgetBytes: number;
+ * }} AssetManagerStats
+ */
+
+/**
+ * Audio is kept as its encoded file, so it's counted as one second of 16-bit stereo at 44.1kHz
+ * when its size isn't known, a rough guess for short sound effects.
+ */
+const FALLBACK_AUDIO_BYTES = 44100 * 2 * 2;
+
+/**
+ * @param {string} src
+ */
+function resolveAssetUrl(src) {
+  return typeof document === "undefined"
+    ? src
+    : new URL(src, document.baseURI).href;
+}
+
+/**
+ * The memory a loaded asset holds once decoded, as far as it can be guessed.
+ *
+ * @param {TLoadAsset["type"]} type
+ * @param {TLoadedAsset} value
+ * @param {number|null} loadedBytes - The downloaded size, when known.
+ */
+function estimateAssetBytes(type, value, loadedBytes) {
+  switch (type) {
+    case "image": {
+      const image = /** @type {HTMLImageElement} */ (value);
+      // Decoded as RGBA
+      return image.naturalWidth * image.naturalHeight * 4;
+    }
+    case "atlas": {
+      const { image } = /** @type {TLoadedAtlas} */ (value);
+      return image.naturalWidth * image.naturalHeight * 4 + (loadedBytes ?? 0);
+    }
+    case "audio":
+      return loadedBytes ?? FALLBACK_AUDIO_BYTES;
+    case "text":
+      // UTF-16
+      return /** @type {string} */ (value).length * 2;
+    default:
+      return loadedBytes ?? 0;
+  }
+}
+
+/** @param {() => void} cb */
+function onIdle(cb) {
+  if (typeof requestIdleCallback !== "undefined") {
+    requestIdleCallback(() => cb(), { timeout: 2000 });
+    return;
+  }
+
+  setTimeout(cb, 200);
+}
+
+/**
+ * Caches loaded assets by their type and resolved URL, so screens sharing an asset,
+ * or opened again, don't load it again.
+ *
+ * Each `load` holds a reference to its assets until its `CleanupManager` cleans up.
+ * Once the cached assets are over `budgetBytes`, the ones nothing holds are evicted,
+ * least recently used first, and will be loaded again when needed.
+ *
+ * @example
+ * ```js
+ * const [assetsError, assets] = await assetManager.load(assetsInfo, {
+ *   cleanupManager,
+ * });
+ *
+ * // While the player is on this screen, get the next one ready
+ * assetManager.preload(nextScreenAssetsInfo);
+ * ```
+ */
+export class AssetManager {
+  /** @type {Map<string, AssetCacheEntry>} */
+  entries = new Map();
+
+  /**
+   * @param {{ budgetBytes?: number }} [options]
+   */
+  constructor(options = {}) {
+    /** The decoded size the unreferenced assets are evicted down to. */
+    this.budgetBytes = options.budgetBytes ?? 128 * 1024 * 1024;
+  }
+
+  /**
+   * @param {TLoadAsset} asset
+   */
+  getKey(asset) {
+    // The same file can be loaded as more than one font family
+    const type = asset.type === "font" ? `font:${asset.family}` : asset.type;
+    return `${type}:${resolveAssetUrl(asset.src)}`;
+  }
+
+  /**
+   * Gets the assets from the cache, loading the missing ones with `loadManyAssets`.
+   * The progress counts the cached assets as loaded right away.
+   *
+   * @template {TLoadAsset[]} TAssetsInfo
+   * @param {TAssetsInfo} assetsInfo
+   * @param {LoadManyAssetsOptions & { cleanupManager?: CleanupManager }} [options] - Without a `cleanupManager`,
+   * nothing holds the assets, so they can be evicted as soon as the cache is over budget.
+   * @returns {Promise<TResult<TElementTypeMapperForAssets<TAssetsInfo>>>} The error is an `AssetsLoadError`.
+   */
+  async load(assetsInfo, options = {}) {
+    const { cleanupManager, ...loadOptions } = options;
+    const total = assetsInfo.length;
+    const keys = assetsInfo.map((asset) => this.getKey(asset));
+
+    let loaded = 0;
+    let failed = 0;
+    let loadedBytes = 0;
+
+    /** @type {AssetCacheEntry[]} */
+    const entries = [];
+    /**
+     * The indexes of the assets another `load` is already loading, their progress is reported once they're done.
+     * @type {Set<number>}
+     */
+    const sharedPendingIndexes = new Set();
+    for (let i = 0; i < total; i++) {
+      const asset = assetsInfo[i];
+      let entry = this.entries.get(keys[i]);
+
+      if (!entry) {
+        const newEntry = /** @type {AssetCacheEntry} */ ({
+          key: keys[i],
+          url: resolveAssetUrl(asset.src),
+          type: asset.type,
+          value: null,
+          isLoaded: false,
+          pending: null,
+          refCount: 0,
+          bytes: 0,
+          lastUsedAt: performance.now(),
+        });
+        // Loaded on its own, so the others are cached even when it fails
+        newEntry.pending = loadManyAssets([asset], {
+          ...loadOptions,
+          onProgress: (progress) => {
+            if (progress.status === "loaded") {
+              loaded++;
+              loadedBytes += progress.bytes ?? 0;
+              newEntry.bytes = progress.bytes ?? 0;
+            } else if (progress.status === "failed") {
+              failed++;
+            }
+            loadOptions.onProgress?.({
+              ...progress,
+              index: i,
+              loaded,
+              failed,
+              total,
+              loadedBytes,
+            });
+          },
+        }).then(([error, elements]) =>
+          error
+            ? [/** @type {AssetsLoadError} */ (error).failures[0].error, null]
+            : [null, elements[0]],
+        );
+        entry = newEntry;
+        this.entries.set(entry.key, entry);
+      } else if (!entry.isLoaded) {
+        sharedPendingIndexes.add(i);
+      } else {
+        loaded++;
+        loadedBytes += entry.bytes;
+        loadOptions.onProgress?.({
+          asset,
+          index: i,
+          status: "loaded",
+          attempt: 0,
+          error: null,
+          bytes: entry.bytes,
+          loaded,
+          failed,
+          total,
+          loadedBytes,
+        });
+      }
+
+      // Held right away, so an eviction while the others load can't drop it
+      entry.refCount++;
+      entries.push(entry);
+    }
+
+    /** @type {AssetLoadFailure[]} */
+    const failures = [];
+    const values = new Array(total);
+    await Promise.all(
+      entries.map(async (entry, index) => {
+        if (entry.isLoaded) {
+          values[index] = entry.value;
+          return;
+        }
+
+        const [error, value] =
+          await /** @type {Promise<TResult<TLoadedAsset>>} */ (entry.pending);
+        if (sharedPendingIndexes.has(index)) {
+          if (error) {
+            failed++;
+          } else {
+            loaded++;
+            loadedBytes += entry.bytes;
+          }
+          loadOptions.onProgress?.({
+            asset: assetsInfo[index],
+            index,
+            status: error ? "failed" : "loaded",
+            attempt: 0,
+            error,
+            bytes: error ? null : entry.bytes,
+            loaded,
+            failed,
+            total,
+            loadedBytes,
+          });
+        }
+        if (error) {
+          failures.push({
+            asset: assetsInfo[index],
+            index,
+            attempts: (loadOptions.retries ?? 2) + 1,
+            error,
+          });
+          return;
+        }
+
+        // Another `load` of the same asset may have finished first
+        if (!entry.isLoaded) {
+          entry.value = value;
+          entry.isLoaded = true;
+          entry.bytes = estimateAssetBytes(
+            entry.type,
+            value,
+            entry.bytes || null,
+          );
+          entry.pending = null;
+        }
+        values[index] = entry.value;
+      }),
+    );
+
+    if (failures.length > 0) {
+      this.releaseEntries(entries);
+      // The failed ones are loaded from scratch next time
+      for (const entry of entries) {
+        if (!entry.isLoaded && this.entries.get(entry.key) === entry) {
+          this.entries.delete(entry.key);
+        }
+      }
+
+      failures.sort((a, b) => a.index - b.index);
+      return [new AssetsLoadError(failures), null];
+    }
+
+    if (cleanupManager) {
+      cleanupManager.register(() => this.releaseEntries(entries));
+      this.evict();
+    } else {
+      this.releaseEntries(entries);
+    }
+
+    return [
+      null,
+      /** @type {TElementTypeMapperForAssets<TAssetsInfo>} */ (values),
+    ];
+  }
+
+  /**
+   * Loads assets into the cache when the browser is idle, without holding them,
+   * e.g. the next screen's while the player is on this one.
+   * Nothing preloads on its own, the caller picks what's likely next, e.g. the games menu
+   * _(commented out in `main.js` for now)_ for the hovered game.
+   *
+   * @template {TLoadAsset[]} TAssetsInfo
+   * @param {TAssetsInfo} assetsInfo
+   * @param {LoadManyAssetsOptions} [options]
+   * @returns {Promise<TResult<TElementTypeMapperForAssets<TAssetsInfo>>>}
+   */
+  preload(assetsInfo, options) {
+    return new Promise((resolve) => {
+      onIdle(() => {
+        resolve(this.load(assetsInfo, options));
+      });
+    });
+  }
+
+  /**
+   * @param {TLoadAsset} asset
+   * @returns {boolean} Whether it's loaded and cached.
+   */
+  has(asset) {
+    return this.entries.get(this.getKey(asset))?.isLoaded ?? false;
+  }
+
+  /** @param {AssetCacheEntry[]} entries */
+  releaseEntries(entries) {
+    const now = performance.now();
+    for (const entry of entries) {
+      entry.refCount = Math.max(0, entry.refCount - 1);
+      entry.lastUsedAt = now;
+    }
+    this.evict();
+  }
+
+  /**
+   * Drops the least recently used unreferenced assets until the cache is within its budget.
+   */
+  evict() {
+    let bytes = this.getStats().bytes;
+    if (bytes <= this.budgetBytes) return;
+
+    const evictable = [...this.entries.values()]
+      .filter((entry) => entry.refCount === 0 && entry.isLoaded)
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+    for (const entry of evictable) {
+      if (bytes <= this.budgetBytes) break;
+      this.deleteEntry(entry);
+      bytes -= entry.bytes;
+    }
+  }
+
+  /** @param {AssetCacheEntry} entry */
+  deleteEntry(entry) {
+    this.entries.delete(entry.key);
+    if (entry.value instanceof HTMLAudioElement) {
+      // Lets the browser free the media buffer
+      entry.value.pause();
+      entry.value.removeAttribute("src");
+      entry.value.load();
+    } else if (entry.type === "font") {
+      document.fonts.delete(/** @type {FontFace} */ (entry.value));
+    }
+    entry.value = null;
+    entry.isLoaded = false;
+  }
+
+  /** Drops every unreferenced asset. */
+  clear() {
+    for (const entry of [...this.entries.values()]) {
+      if (entry.refCount === 0 && entry.isLoaded) {
+        this.deleteEntry(entry);
+      }
+    }
+  }
+
+  /** @returns {AssetManagerStats} */
+  getStats() {
+    let bytes = 0;
+    let referenced = 0;
+    for (const entry of this.entries.values()) {
+      if (!entry.isLoaded) continue;
+      bytes += entry.bytes;
+      if (entry.refCount > 0) referenced++;
+    }
+
+    return {
+      entries: this.entries.size,
+      referenced,
+      bytes,
+      budgetBytes: this.budgetBytes,
+    };
+  }
+}
+
+/** The cache shared by every screen. */
+export const assetManager = new AssetManager();
@@ -0,0 +1,231 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { LoadManyAssetsOptions } from "#libs/dom/index.js";
+ * @import { TLoadAsset, TLoadedAsset, TLoadedAssetTypeMap, TResult } from "#libs/types/common.js";
+ */
+
+import { assetManager as sharedAssetManager } from "#libs/asset-manager.js";
+import { loadOneJSON } from "#libs/dom/index.js";
+import { resolveBaseImportUrl } from "#libs/urls.js";
+
+/**
+ * A JSON file listing a game's assets by name, e.g.
+ *
+ * ```json
+ * {
+ *   "version": 1,
+ *   "assets": {
+ *     "raven": { "type": "image", "src": "./images/raven.png" },
+ *     "boom": { "type": "image", "src": "#games/collision-animations-from-a-sprite-sheet/assets/images/boom.png" },
+ *     "pixel-font": { "type": "font", "src": "./fonts/pixel.woff2", "family": "Pixel" }
+ *   }
+ * }
+ * ```
+ *
+ * The `src`s _(and atlas `image`s)_ are relative to the manifest,
+ * or start with `#` to be relative to `src/`, like the `#` imports.
+ *
+ * @typedef {{
+ *   version: 1;
+ *   assets: Record<string, TLoadAsset>;
+ * }} AssetManifest
+ */
+
+const MANIFEST_VERSION = 1;
+
+/** @type {Record<TLoadAsset["type"], true>} */
+const ASSET_TYPES = {
+  image: true,
+  audio: true,
+  json: true,
+  text: true,
+  font: true,
+  atlas: true,
+};
+
+/**
+ * @param {string} src
+ * @param {string} baseUrl
+ */
+function resolveManifestUrl(src, baseUrl) {
+  return src.startsWith("#")
+    ? resolveBaseImportUrl(src)
+    : new URL(src, baseUrl).href;
+}
+
+/**
+ * Checks the shape of a parsed manifest, and resolves its URLs.
+ *
+ * @param {unknown} value
+ * @param {string} baseUrl - The manifest URL, its relative URLs are resolved against it.
+ * @returns {TResult<AssetManifest>}
+ */
+export function parseAssetManifest(value, baseUrl) {
+  if (typeof value !== "object" || value === null) {
+    return [new Error("Asset manifest must be an object."), null];
+  }
+
+  const manifest = /** @type {Record<string, unknown>} */ (value);
+  if (manifest.version !== MANIFEST_VERSION) {
+    return [
+      new Error(
+        `Unsupported asset manifest version: ${String(manifest.version)}, expected ${MANIFEST_VERSION}.`,
+      ),
+      null,
+    ];
+  }
+  if (typeof manifest.assets !== "object" || manifest.assets === null) {
+    return [new Error("Asset manifest `assets` must be an object."), null];
+  }
+
+  /** @type {Record<string, TLoadAsset>} */
+  const assets = {};
+  for (const [key, assetValue] of Object.entries(manifest.assets)) {
+    const asset = /** @type {Record<string, unknown>} */ (assetValue);
+    if (
+      typeof asset !== "object" ||
+      asset === null ||
+      typeof asset.type !== "string" ||
+      !(asset.type in ASSET_TYPES) ||
+      typeof asset.src !== "string"
+    ) {
+      return [
+        new Error(
+          `Asset "${key}" must have a \`type\` (${Object.keys(ASSET_TYPES).join(", ")}) and a \`src\`.`,
+        ),
+        null,
+      ];
+    }
+    if (asset.type === "font" && typeof asset.family !== "string") {
+      return [new Error(`Font asset "${key}" must have a \`family\`.`), null];
+    }
+    if (
+      asset.type === "atlas" &&
+      asset.image !== undefined &&
+      typeof asset.image !== "string"
+    ) {
+      return [
+        new Error(`Atlas asset "${key}" \`image\` must be a string.`),
+        null,
+      ];
+    }
+
+    const loadAsset = /** @type {TLoadAsset} */ ({
+      ...asset,
+      src: resolveManifestUrl(asset.src, baseUrl),
+    });
+    if (loadAsset.type === "atlas" && loadAsset.image) {
+      loadAsset.image = resolveManifestUrl(loadAsset.image, baseUrl);
+    }
+    assets[key] = loadAsset;
+  }
+
+  return [null, { version: MANIFEST_VERSION, assets }];
+}
+
+/**
+ * @param {string} url - e.g. `import.meta.resolve("./assets/manifest.json", new URL(import.meta.url))`.
+ * @param {{ timeoutMS?: number }} [options]
+ * @returns {Promise<TResult<AssetManifest>>}
+ */
+export async function loadAssetManifest(url, options) {
+  const [jsonError, json] = await loadOneJSON(url, options);
+  if (jsonError) {
+    return [jsonError, null];
+  }
+
+  const [manifestError, manifest] = parseAssetManifest(json, url);
+  if (manifestError) {
+    return [new Error(`${url}: ${manifestError.message}`), null];
+  }
+
+  return [null, manifest];
+}
+
+/**
+ * The loaded assets of a manifest, by their name.
+ *
+ * @example
+ * ```js
+ * const ravenImage = assets.get("raven", "image"); // HTMLImageElement
+ * const levels = assets.get("levels", "json"); // unknown, check it before use
+ * ```
+ */
+export class AssetBundle {
+  /**
+   * @param {Map<string, { asset: TLoadAsset; value: TLoadedAsset }>} [entries]
+   */
+  constructor(entries = new Map()) {
+    this.entries = entries;
+  }
+
+  /**
+   * @template {TLoadAsset["type"]} [TType=TLoadAsset["type"]]
+   * @param {string} key
+   * @param {TType} [type] - Checked, and narrows the returned type.
+   * @returns {TLoadedAssetTypeMap[TType]}
+   */
+  get(key, type) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      throw new Error(
+        `[AssetBundle] Unknown asset "${key}", the manifest has: ${[...this.entries.keys()].join(", ")}.`,
+      );
+    }
+    if (type !== undefined && entry.asset.type !== type) {
+      throw new Error(
+        `[AssetBundle] Asset "${key}" is of type "${entry.asset.type}", not "${type}".`,
+      );
+    }
+
+    return /** @type {TLoadedAssetTypeMap[TType]} */ (entry.value);
+  }
+
+  /** @param {string} key */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+}
+
+/**
+ * Loads every asset of a manifest through the asset manager.
+ *
+ * @param {AssetManifest} manifest
+ * @param {LoadManyAssetsOptions & {
+ *   cleanupManager?: CleanupManager;
+ *   assetManager?: typeof sharedAssetManager;
+ * }} [options]
+ * @returns {Promise<TResult<AssetBundle>>} The error is an `AssetsLoadError`.
+ */
+export async function loadAssetBundle(manifest, options = {}) {
+  const { assetManager = sharedAssetManager, ...loadOptions } = options;
+  const keys = Object.keys(manifest.assets);
+  const assetsInfo = Object.values(manifest.assets);
+
+  const [assetsError, values] = await assetManager.load(
+    assetsInfo,
+    loadOptions,
+  );
+  if (assetsError) {
+    return [assetsError, null];
+  }
+
+  return [
+    null,
+    new AssetBundle(
+      new Map(
+        keys.map((key, i) => [
+          key,
+          {
+            asset: assetsInfo[i],
+            value: /** @type {TLoadedAsset[]} */ (values)[i],
+          },
+        ]),
+      ),
+    ),
+  ];
+}
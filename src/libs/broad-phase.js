@@ -0,0 +1,606 @@
+/**
+ * @typedef {{ x: number; y: number; width: number; height: number }} BroadPhaseBounds - Axis-aligned, `x`, `y` is its top left, e.g. from `getShapeBounds`.
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ *  item: T;
+ *  bounds: BroadPhaseBounds; // A copy, so moving the item doesn't move it without an `update`
+ *  id: number; // In insertion order, so each pair is only enumerated once
+ * }} BroadPhaseEntry
+ */
+
+/**
+ * @param {BroadPhaseBounds} a
+ * @param {BroadPhaseBounds} b
+ */
+function boundsOverlap(a, b) {
+  return (
+    a.x <= b.x + b.width &&
+    a.x + a.width >= b.x &&
+    a.y <= b.y + b.height &&
+    a.y + a.height >= b.y
+  );
+}
+
+/**
+ * The common interface of the broad-phases: items are indexed by their bounds,
+ * so the ones near a point or an area are found without testing every one of them.
+ * It only narrows down the candidates, a precise test _(e.g. `collideShapes`)_ decides the collisions.
+ *
+ * The bounds are copied, moved items must be `update`d.
+ * Items must not be inserted or removed during a query's callback or `forEachPair`.
+ *
+ * Extended by `SpatialHash` and `LooseQuadtree`, which only decide where the entries are kept.
+ *
+ * @template T
+ */
+export class BroadPhase {
+  /** @type {Map<T, BroadPhaseEntry<T>>} */
+  entries = new Map();
+  nextId = 0;
+  /**
+   * Reused by the queries, an item can be in more than one place.
+   * @type {Set<BroadPhaseEntry<T>>}
+   */
+  candidates = new Set();
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {T} item
+   */
+  has(item) {
+    return this.entries.has(item);
+  }
+
+  /**
+   * Adds an item, or moves it when it's already in.
+   *
+   * @param {T} item
+   * @param {BroadPhaseBounds} bounds
+   */
+  insert(item, bounds) {
+    const existing = this.entries.get(item);
+    if (existing) {
+      this.update(item, bounds);
+      return;
+    }
+
+    /** @type {BroadPhaseEntry<T>} */
+    const entry = {
+      item,
+      bounds: {
+        x: bounds.x,
+        y: bounds.y,
+        width: bounds.width,
+        height: bounds.height,
+      },
+      id: this.nextId++,
+    };
+    this.entries.set(item, entry);
+    this.addEntry(entry);
+  }
+
+  /**
+   * @param {T} item
+   * @param {BroadPhaseBounds} bounds - Its new bounds.
+   */
+  update(item, bounds) {
+    const entry = this.entries.get(item);
+    if (!entry) {
+      throw new Error(
+        `[${this.constructor.name}] Can't update an item that isn't in.`,
+      );
+    }
+
+    this.moveEntry(entry, bounds);
+  }
+
+  /**
+   * @param {T} item
+   * @returns {boolean} Whether it was in.
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) {
+      return false;
+    }
+
+    this.removeEntry(entry);
+    this.entries.delete(item);
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * @param {BroadPhaseBounds} bounds
+   * @param {T[]} [out] - Where the items are pushed, a new array by default.
+   * @returns {T[]} The items whose bounds overlap or touch `bounds`.
+   */
+  queryAABB(bounds, out = []) {
+    this.collectCandidates(bounds, this.candidates);
+    for (const entry of this.candidates) {
+      if (boundsOverlap(entry.bounds, bounds)) {
+        out.push(entry.item);
+      }
+    }
+    this.candidates.clear();
+    return out;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {T[]} [out] - Where the items are pushed, a new array by default.
+   * @returns {T[]} The items whose bounds are within `radius` of `x`, `y`.
+   */
+  queryRadius(x, y, radius, out = []) {
+    this.collectCandidates(
+      { x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 },
+      this.candidates,
+    );
+    for (const entry of this.candidates) {
+      const { bounds } = entry;
+      const dx = x - Math.max(bounds.x, Math.min(x, bounds.x + bounds.width));
+      const dy = y - Math.max(bounds.y, Math.min(y, bounds.y + bounds.height));
+      if (dx * dx + dy * dy <= radius * radius) {
+        out.push(entry.item);
+      }
+    }
+    this.candidates.clear();
+    return out;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {T[]} [out] - Where the items are pushed, a new array by default.
+   * @returns {T[]} The items whose bounds contain `x`, `y`.
+   */
+  queryPoint(x, y, out = []) {
+    return this.queryAABB({ x, y, width: 0, height: 0 }, out);
+  }
+
+  /**
+   * Calls `callback` once for each pair of items whose bounds overlap,
+   * instead of testing every item against every other.
+   *
+   * @param {(a: T, b: T) => void} callback - `a` was inserted before `b`.
+   */
+  forEachPair(callback) {
+    /** @type {Set<BroadPhaseEntry<T>>} */
+    const candidates = new Set();
+    for (const entry of this.entries.values()) {
+      this.collectCandidates(entry.bounds, candidates);
+      for (const other of candidates) {
+        if (other.id > entry.id && boundsOverlap(entry.bounds, other.bounds)) {
+          callback(entry.item, other.item);
+        }
+      }
+      candidates.clear();
+    }
+  }
+
+  /**
+   * Keeps a new entry where it can be found.
+   *
+   * @abstract
+   * @param {BroadPhaseEntry<T>} _entry
+   */
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  addEntry(_entry) {
+    throw new Error(`[${this.constructor.name}] addEntry isn't implemented.`);
+  }
+
+  /**
+   * @abstract
+   * @param {BroadPhaseEntry<T>} _entry
+   */
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  removeEntry(_entry) {
+    throw new Error(
+      `[${this.constructor.name}] removeEntry isn't implemented.`,
+    );
+  }
+
+  /**
+   * Sets the entry's new bounds, and moves it where it can be found with them.
+   *
+   * @param {BroadPhaseEntry<T>} entry
+   * @param {BroadPhaseBounds} bounds
+   */
+  moveEntry(entry, bounds) {
+    this.removeEntry(entry);
+    entry.bounds.x = bounds.x;
+    entry.bounds.y = bounds.y;
+    entry.bounds.width = bounds.width;
+    entry.bounds.height = bounds.height;
+    this.addEntry(entry);
+  }
+
+  /**
+   * Adds the entries that may overlap `bounds`, more is fine, they're tested after.
+   *
+   * @abstract
+   * @param {BroadPhaseBounds} _bounds
+   * @param {Set<BroadPhaseEntry<T>>} _out
+   */
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  collectCandidates(_bounds, _out) {
+    throw new Error(
+      `[${this.constructor.name}] collectCandidates isn't implemented.`,
+    );
+  }
+}
+
+/**
+ * A grid of same size cells, each knows the items overlapping it.
+ *
+ * Best when the items are about the same size, around the cell size,
+ * and the world has no fixed bounds.
+ *
+ * @template T
+ * @extends {BroadPhase<T>}
+ *
+ * @example
+ * ```js
+ * const ravensHash = new SpatialHash({ cellSize: 100 });
+ * ravens.forEach((raven) => ravensHash.insert(raven, raven));
+ *
+ * // After they move
+ * ravens.forEach((raven) => ravensHash.update(raven, raven));
+ *
+ * const underPointer = ravensHash.queryPoint(input.pointer.x, input.pointer.y);
+ * ```
+ */
+export class SpatialHash extends BroadPhase {
+  /**
+   * The items of each non empty cell, by its key.
+   * @type {Map<number, Set<BroadPhaseEntry<T>>>}
+   */
+  cells = new Map();
+  /**
+   * The keys of the cells each entry is in.
+   * @type {Map<BroadPhaseEntry<T>, number[]>}
+   */
+  entryCells = new Map();
+
+  /**
+   * @param {{ cellSize?: number }} [options] - `cellSize` defaults to 64.
+   */
+  constructor(options = {}) {
+    super();
+    this.cellSize = options.cellSize ?? 64;
+  }
+
+  /**
+   * A single number for the cell, exact while the cell coordinates are within ±32767.
+   *
+   * @param {number} cellX
+   * @param {number} cellY
+   */
+  getCellKey(cellX, cellY) {
+    return (cellX + 32768) * 65536 + (cellY + 32768);
+  }
+
+  /**
+   * @param {BroadPhaseBounds} bounds
+   * @param {(key: number) => void} callback
+   */
+  forEachCell(bounds, callback) {
+    const minX = Math.floor(bounds.x / this.cellSize);
+    const minY = Math.floor(bounds.y / this.cellSize);
+    const maxX = Math.floor((bounds.x + bounds.width) / this.cellSize);
+    const maxY = Math.floor((bounds.y + bounds.height) / this.cellSize);
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        callback(this.getCellKey(cellX, cellY));
+      }
+    }
+  }
+
+  /** @param {BroadPhaseEntry<T>} entry */
+  addEntry(entry) {
+    /** @type {number[]} */
+    const keys = [];
+    this.forEachCell(entry.bounds, (key) => {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = new Set();
+        this.cells.set(key, cell);
+      }
+      cell.add(entry);
+      keys.push(key);
+    });
+    this.entryCells.set(entry, keys);
+  }
+
+  /** @param {BroadPhaseEntry<T>} entry */
+  removeEntry(entry) {
+    for (const key of this.entryCells.get(entry) ?? []) {
+      const cell = this.cells.get(key);
+      cell?.delete(entry);
+      if (cell?.size === 0) {
+        this.cells.delete(key);
+      }
+    }
+    this.entryCells.delete(entry);
+  }
+
+  /**
+   * @param {BroadPhaseEntry<T>} entry
+   * @param {BroadPhaseBounds} bounds
+   */
+  moveEntry(entry, bounds) {
+    const cellSize = this.cellSize;
+    const isInSameCells =
+      Math.floor(entry.bounds.x / cellSize) ===
+        Math.floor(bounds.x / cellSize) &&
+      Math.floor(entry.bounds.y / cellSize) ===
+        Math.floor(bounds.y / cellSize) &&
+      Math.floor((entry.bounds.x + entry.bounds.width) / cellSize) ===
+        Math.floor((bounds.x + bounds.width) / cellSize) &&
+      Math.floor((entry.bounds.y + entry.bounds.height) / cellSize) ===
+        Math.floor((bounds.y + bounds.height) / cellSize);
+
+    if (!isInSameCells) {
+      super.moveEntry(entry, bounds);
+      return;
+    }
+
+    entry.bounds.x = bounds.x;
+    entry.bounds.y = bounds.y;
+    entry.bounds.width = bounds.width;
+    entry.bounds.height = bounds.height;
+  }
+
+  /**
+   * @param {BroadPhaseBounds} bounds
+   * @param {Set<BroadPhaseEntry<T>>} out
+   */
+  collectCandidates(bounds, out) {
+    this.forEachCell(bounds, (key) => {
+      for (const entry of this.cells.get(key) ?? []) {
+        out.add(entry);
+      }
+    });
+  }
+
+  clear() {
+    super.clear();
+    this.cells.clear();
+    this.entryCells.clear();
+  }
+}
+
+/**
+ * @template T
+ * @typedef {{
+ *  x: number;
+ *  y: number;
+ *  width: number;
+ *  height: number;
+ *  depth: number;
+ *  entries: Set<BroadPhaseEntry<T>>;
+ *  children: LooseQuadtreeNode<T>[] | null;
+ * }} LooseQuadtreeNode
+ */
+
+/**
+ * A quadtree whose nodes hold the items by their center, and overlap their neighbours,
+ * so an item is in a single node and moving it a little doesn't move it to another node.
+ *
+ * Best when the items have very different sizes, or are grouped in a few places of a bounded world.
+ * Items outside of the `bounds` are kept in the root.
+ *
+ * @template T
+ * @extends {BroadPhase<T>}
+ *
+ * @example
+ * ```js
+ * const quadtree = new LooseQuadtree({
+ *   bounds: { x: 0, y: 0, width: canvasConfig.render.width, height: canvasConfig.render.height },
+ * });
+ * quadtree.insert(explosion, explosion);
+ * const nearby = quadtree.queryRadius(input.pointer.x, input.pointer.y, 20);
+ * ```
+ */
+export class LooseQuadtree extends BroadPhase {
+  /**
+   * The node each entry is in.
+   * @type {Map<BroadPhaseEntry<T>, LooseQuadtreeNode<T>>}
+   */
+  entryNodes = new Map();
+
+  /**
+   * @param {{
+   *  bounds: BroadPhaseBounds; // Of the world
+   *  maxDepth?: number; // (default: 8)
+   *  maxItems?: number; // In a node before it splits (default: 8)
+   *  looseness?: number; // How much bigger than its area a node's bounds are, `1` is a regular quadtree (default: 2)
+   * }} options
+   */
+  constructor(options) {
+    super();
+    this.maxDepth = options.maxDepth ?? 8;
+    this.maxItems = options.maxItems ?? 8;
+    this.looseness = options.looseness ?? 2;
+    /** @type {LooseQuadtreeNode<T>} */
+    this.root = this.createNode(
+      options.bounds.x,
+      options.bounds.y,
+      options.bounds.width,
+      options.bounds.height,
+      0,
+    );
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   * @param {number} depth
+   * @returns {LooseQuadtreeNode<T>}
+   */
+  createNode(x, y, width, height, depth) {
+    return { x, y, width, height, depth, entries: new Set(), children: null };
+  }
+
+  /**
+   * @param {LooseQuadtreeNode<T>} node
+   * @returns {BroadPhaseBounds} The area of the node grown by the looseness.
+   */
+  getLooseBounds(node) {
+    const marginX = (node.width * (this.looseness - 1)) / 2;
+    const marginY = (node.height * (this.looseness - 1)) / 2;
+    return {
+      x: node.x - marginX,
+      y: node.y - marginY,
+      width: node.width + marginX * 2,
+      height: node.height + marginY * 2,
+    };
+  }
+
+  /**
+   * @param {LooseQuadtreeNode<T>} node
+   * @param {BroadPhaseBounds} bounds
+   */
+  fitsIn(node, bounds) {
+    // Everything fits in the root, even outside of the world
+    if (node === this.root) {
+      return true;
+    }
+
+    const loose = this.getLooseBounds(node);
+    return (
+      bounds.x >= loose.x &&
+      bounds.y >= loose.y &&
+      bounds.x + bounds.width <= loose.x + loose.width &&
+      bounds.y + bounds.height <= loose.y + loose.height
+    );
+  }
+
+  /**
+   * @param {LooseQuadtreeNode<T>} node - With children.
+   * @param {BroadPhaseBounds} bounds
+   * @returns {LooseQuadtreeNode<T> | null} The child of the quarter its center is in, when it fits in it.
+   */
+  getChildFor(node, bounds) {
+    const children = /** @type {LooseQuadtreeNode<T>[]} */ (node.children);
+    const isRight = bounds.x + bounds.width / 2 >= node.x + node.width / 2;
+    const isBottom = bounds.y + bounds.height / 2 >= node.y + node.height / 2;
+    const child = children[(isBottom ? 2 : 0) + (isRight ? 1 : 0)];
+    return this.fitsIn(child, bounds) ? child : null;
+  }
+
+  /**
+   * @param {LooseQuadtreeNode<T>} node
+   */
+  split(node) {
+    const width = node.width / 2;
+    const height = node.height / 2;
+    const depth = node.depth + 1;
+    node.children = [
+      this.createNode(node.x, node.y, width, height, depth),
+      this.createNode(node.x + width, node.y, width, height, depth),
+      this.createNode(node.x, node.y + height, width, height, depth),
+      this.createNode(node.x + width, node.y + height, width, height, depth),
+    ];
+
+    for (const entry of node.entries) {
+      const child = this.getChildFor(node, entry.bounds);
+      if (child) {
+        node.entries.delete(entry);
+        this.addToNode(child, entry);
+      }
+    }
+  }
+
+  /**
+   * @param {LooseQuadtreeNode<T>} node
+   * @param {BroadPhaseEntry<T>} entry
+   */
+  addToNode(node, entry) {
+    const child = node.children ? this.getChildFor(node, entry.bounds) : null;
+    if (child) {
+      this.addToNode(child, entry);
+      return;
+    }
+
+    node.entries.add(entry);
+    this.entryNodes.set(entry, node);
+    if (
+      !node.children &&
+      node.entries.size > this.maxItems &&
+      node.depth < this.maxDepth
+    ) {
+      this.split(node);
+    }
+  }
+
+  /** @param {BroadPhaseEntry<T>} entry */
+  addEntry(entry) {
+    this.addToNode(this.root, entry);
+  }
+
+  /** @param {BroadPhaseEntry<T>} entry */
+  removeEntry(entry) {
+    this.entryNodes.get(entry)?.entries.delete(entry);
+    this.entryNodes.delete(entry);
+  }
+
+  /**
+   * @param {BroadPhaseEntry<T>} entry
+   * @param {BroadPhaseBounds} bounds
+   */
+  moveEntry(entry, bounds) {
+    const node = this.entryNodes.get(entry);
+    // Still in its node's loose bounds, it's found there
+    if (node && !node.children && this.fitsIn(node, bounds)) {
+      entry.bounds.x = bounds.x;
+      entry.bounds.y = bounds.y;
+      entry.bounds.width = bounds.width;
+      entry.bounds.height = bounds.height;
+      return;
+    }
+
+    super.moveEntry(entry, bounds);
+  }
+
+  /**
+   * @param {BroadPhaseBounds} bounds
+   * @param {Set<BroadPhaseEntry<T>>} out
+   * @param {LooseQuadtreeNode<T>} [node]
+   */
+  collectCandidates(bounds, out, node = this.root) {
+    if (
+      node !== this.root &&
+      !boundsOverlap(this.getLooseBounds(node), bounds)
+    ) {
+      return;
+    }
+
+    for (const entry of node.entries) {
+      out.add(entry);
+    }
+    for (const child of node.children ?? []) {
+      this.collectCandidates(bounds, out, child);
+    }
+  }
+
+  clear() {
+    super.clear();
+    this.entryNodes.clear();
+    this.root.entries.clear();
+    this.root.children = null;
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Clocks decide _when_ a `GameLoop` frame runs and _what time_ it is.
+ * Swapping them lets the same loop run on `requestAnimationFrame` in the browser,
+ * on `setTimeout` _(e.g. capped FPS, workers, Node)_, or on a virtual time
+ * that only moves when told to _(tests, debugging)_.
+ *
+ * @typedef {(now: number) => void} FrameRequestCallback
+ *
+ * @typedef {{
+ *   now: () => number;
+ *   request: (cb: FrameRequestCallback) => number;
+ *   cancel: (id: number) => void;
+ * }} GameLoopClock
+ */
+
+/**
+ * A clock backed by `requestAnimationFrame`, the default in browsers.
+ *
+ * @returns {GameLoopClock}
+ */
+export function createRafClock() {
+  return {
+    now: () => performance.now(),
+    request: (cb) => requestAnimationFrame(cb),
+    cancel: (id) => cancelAnimationFrame(id),
+  };
+}
+
+/**
+ * A clock backed by `setTimeout`, useful where `requestAnimationFrame`
+ * isn't available or when frames should be requested at a fixed rate.
+ *
+ * @param {number} [fps=60] - How often frames are requested.
+ * @returns {GameLoopClock}
+ */
+export function createTimeoutClock(fps = 60) {
+  if (Number.isNaN(fps) || fps <= 0) {
+    throw new Error("Timeout clock FPS must be a positive number.");
+  }
+
+  const intervalMS = 1000 / fps;
+  let nextId = 1;
+  /** @type {Map<number, ReturnType<typeof setTimeout>>} */
+  const timeouts = new Map();
+
+  return {
+    now: () => performance.now(),
+    request: (cb) => {
+      const id = nextId++;
+      timeouts.set(
+        id,
+        setTimeout(() => {
+          timeouts.delete(id);
+          cb(performance.now());
+        }, intervalMS),
+      );
+      return id;
+    },
+    cancel: (id) => {
+      clearTimeout(timeouts.get(id));
+      timeouts.delete(id);
+    },
+  };
+}
+
+/**
+ * Picks `requestAnimationFrame` when available, falling back to `setTimeout`.
+ *
+ * @returns {GameLoopClock}
+ */
+export function createDefaultClock() {
+  return typeof requestAnimationFrame === "function"
+    ? createRafClock()
+    : createTimeoutClock();
+}
+
+/**
+ * A "virtual time" clock, time only moves when `advance` is called,
+ * and pending frame requests only run then.
+ *
+ * @implements {GameLoopClock}
+ *
+ * @example
+ * ```js
+ * const clock = new ManualClock();
+ * const loop = new GameLoop({ clock, fixedUpdate, render });
+ *
+ * loop.start();
+ * // 60 frames, the first one only reads the start time, so 59 fixed steps and renders
+ * clock.advance(1000);
+ * // Or, whatever the loop state, exactly 60 of each
+ * loop.step(60);
+ * ```
+ */
+export class ManualClock {
+  time = 0;
+  nextId = 1;
+  /** @type {Map<number, FrameRequestCallback>} */
+  pending = new Map();
+
+  /** @param {number} [startTime=0] - The initial virtual time in milliseconds. */
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /** @param {FrameRequestCallback} cb */
+  request(cb) {
+    const id = this.nextId++;
+    this.pending.set(id, cb);
+    return id;
+  }
+
+  /** @param {number} id */
+  cancel(id) {
+    this.pending.delete(id);
+  }
+
+  /**
+   * Runs the callbacks requested so far with the current time.
+   * Callbacks requested while flushing wait for the next flush, like `requestAnimationFrame`.
+   */
+  flush() {
+    const callbacks = [...this.pending.values()];
+    this.pending.clear();
+
+    for (const cb of callbacks) {
+      cb(this.time);
+    }
+  }
+
+  /**
+   * Moves the time forward by `ms`, flushing once every `frameMS`.
+   *
+   * @param {number} ms - How much virtual time to move forward.
+   * @param {number} [frameMS=1000 / 60] - The virtual time between two frames.
+   */
+  advance(ms, frameMS = 1000 / 60) {
+    if (Number.isNaN(frameMS) || frameMS <= 0) {
+      throw new Error("Frame duration must be a positive number.");
+    }
+
+    let remaining = ms;
+    // A rounding error left over _(e.g. 1000 - 60 × 1000 / 60)_ isn't a frame
+    while (remaining > 1e-6) {
+      const delta = Math.min(frameMS, remaining);
+      this.time += delta;
+      remaining -= delta;
+      this.flush();
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ManualClock } from "#libs/clock.js";
+import { GameLoop } from "#libs/create-game-loop.js";
+
+/**
+ * @param {ManualClock} [clock]
+ */
+function createCountingLoop(clock) {
+  const counts = { update: 0, fixedUpdate: 0, render: 0, time: 0 };
+  const gameLoop = new GameLoop({
+    clock,
+    profiler: false,
+    update(dt) {
+      counts.update++;
+      counts.time += dt;
+    },
+    fixedUpdate() {
+      counts.fixedUpdate++;
+    },
+    render() {
+      counts.render++;
+    },
+  });
+  return { gameLoop, counts };
+}
+
+describe("ManualClock", () => {
+  it("only runs the frame requests when it's advanced", () => {
+    const clock = new ManualClock(100);
+    /** @type {number[]} */
+    const times = [];
+    clock.request((now) => times.push(now));
+
+    assert.deepEqual(times, []);
+    clock.advance(10, 10);
+    assert.deepEqual(times, [110]);
+  });
+
+  it("runs the requests made while flushing on the next flush", () => {
+    const clock = new ManualClock();
+    /** @type {number[]} */
+    const times = [];
+    /** @param {number} now */
+    const loop = (now) => {
+      times.push(now);
+      clock.request(loop);
+    };
+    clock.request(loop);
+
+    clock.advance(30, 10);
+    assert.deepEqual(times, [10, 20, 30]);
+  });
+
+  it("doesn't run cancelled requests", () => {
+    const clock = new ManualClock();
+    let calls = 0;
+    const id = clock.request(() => calls++);
+    clock.cancel(id);
+
+    clock.advance(100);
+    assert.equal(calls, 0);
+  });
+
+  it("drives a started GameLoop, the first frame only reading the start time", () => {
+    const clock = new ManualClock();
+    const { gameLoop, counts } = createCountingLoop(clock);
+
+    gameLoop.start();
+    clock.advance(1000);
+
+    assert.equal(counts.update, 59);
+    assert.equal(counts.fixedUpdate, 59);
+    assert.equal(counts.render, 59);
+  });
+
+  it("doesn't move a paused GameLoop", () => {
+    const clock = new ManualClock();
+    const { gameLoop, counts } = createCountingLoop(clock);
+
+    gameLoop.start();
+    clock.advance(100);
+    gameLoop.pause();
+    const updates = counts.update;
+    clock.advance(1000);
+
+    assert.equal(counts.update, updates);
+  });
+});
+
+describe("GameLoop", () => {
+  it("runs exactly one fixed step and render per `step` at the same rate", () => {
+    const { gameLoop, counts } = createCountingLoop();
+
+    gameLoop.step(60);
+
+    assert.equal(counts.update, 60);
+    assert.equal(counts.fixedUpdate, 60);
+    assert.equal(counts.render, 60);
+    assert.ok(Math.abs(counts.time - 1) < 1e-9);
+  });
+
+  it("splits `advanceBy` into frames, the last one shorter", () => {
+    const { gameLoop, counts } = createCountingLoop();
+
+    gameLoop.advanceBy(1000 + 1000 / 120);
+
+    assert.equal(counts.update, 61);
+    assert.equal(counts.fixedUpdate, 60);
+    assert.ok(Math.abs(counts.time - (1 + 1 / 120)) < 1e-9);
+  });
+});
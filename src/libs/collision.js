@@ -0,0 +1,1026 @@
+/**
+ * @import { Vector2Like } from "#libs/vector2.js";
+ */
+
+/**
+ * @typedef {{ type: "aabb"; x: number; y: number; width: number; height: number }} AABBShape - `x`, `y` is its top left, like `rect2rectCollision`.
+ * @typedef {{ type: "circle"; x: number; y: number; radius: number }} CircleShape
+ * @typedef {{ type: "obb"; x: number; y: number; width: number; height: number; rotation: number }} OBBShape - An oriented rectangle, `x`, `y` is its center, it's rotated around it _(in radians)_.
+ * @typedef {{ type: "polygon"; points: Vector2Like[] }} PolygonShape - Convex, in either winding order.
+ * @typedef {{ type: "capsule"; a: Vector2Like; b: Vector2Like; radius: number }} CapsuleShape - The points at `radius` or less from the `a` to `b` segment.
+ * @typedef {{ type: "segment"; a: Vector2Like; b: Vector2Like }} SegmentShape
+ *
+ * @typedef {AABBShape | CircleShape | OBBShape | PolygonShape | CapsuleShape | SegmentShape} Shape
+ *
+ * @typedef {{
+ *  normal: Vector2Like; // Unit, from `a` to `b`, moving `b` by `normal * depth` _(or `a` by the opposite)_ separates them
+ *  depth: number; // How far they overlap along the normal
+ *  contact: Vector2Like; // Where they touch, in the middle of the overlap
+ * }} CollisionManifold
+ *
+ * @typedef {{
+ *  distance: number; // Along the ray, `0` when it starts inside the shape
+ *  point: Vector2Like;
+ *  normal: Vector2Like; // Unit, of the surface that was hit, facing the ray
+ * }} RaycastHit
+ *
+ * @typedef {{
+ *  time: number; // From `0` (the start) to `1` (the end) of the move
+ *  normal: Vector2Like; // Unit, from the obstacle to the moving shape
+ *  depth: number; // `0`, unless they already overlapped at the start
+ *  position: Vector2Like; // The moving shape's `x`, `y` at `time`
+ * }} SweepHit
+ *
+ * @typedef {{
+ *  maxIterations?: number; // The most hits resolved in a move, the rest of it is dropped (default: 4)
+ *  restitution?: number; // From `0` (slides along the obstacles) to `1` (bounces off without losing speed) (default: 0)
+ * }} MoveAndCollideOptions
+ */
+
+/**
+ * The shapes made of a segment and a radius, circles are a segment from their center to itself.
+ * @typedef {{ ax: number; ay: number; bx: number; by: number; radius: number }} RoundShape
+ */
+
+/** Distances under it are treated as zero. */
+const EPSILON = 1e-9;
+/** The gap left between a moved shape and what it hit, so it doesn't start the next move touching it. */
+const SKIN = 1e-3;
+
+/**
+ * Filled by `closestPointsOnSegments`, so it doesn't allocate.
+ */
+const closest = { px: 0, py: 0, qx: 0, qy: 0, distanceSq: 0 };
+
+/**
+ * Filled by `projectVertices`.
+ */
+const projection = { min: 0, max: 0 };
+
+/**
+ * The closest points between the segments `p1`-`q1` and `p2`-`q2`, either can be a single point.
+ * From "Real-Time Collision Detection" _(Christer Ericson)_, 5.1.9.
+ *
+ * @param {number} p1x
+ * @param {number} p1y
+ * @param {number} q1x
+ * @param {number} q1y
+ * @param {number} p2x
+ * @param {number} p2y
+ * @param {number} q2x
+ * @param {number} q2y
+ */
+function closestPointsOnSegments(p1x, p1y, q1x, q1y, p2x, p2y, q2x, q2y) {
+  const d1x = q1x - p1x;
+  const d1y = q1y - p1y;
+  const d2x = q2x - p2x;
+  const d2y = q2y - p2y;
+  const rx = p1x - p2x;
+  const ry = p1y - p2y;
+  const a = d1x * d1x + d1y * d1y;
+  const e = d2x * d2x + d2y * d2y;
+  const f = d2x * rx + d2y * ry;
+
+  let s = 0;
+  let t = 0;
+  if (a <= EPSILON && e <= EPSILON) {
+    // Both are points
+  } else if (a <= EPSILON) {
+    t = clamp01(f / e);
+  } else {
+    const c = d1x * rx + d1y * ry;
+    if (e <= EPSILON) {
+      s = clamp01(-c / a);
+    } else {
+      const b = d1x * d2x + d1y * d2y;
+      const denom = a * e - b * b;
+      // Parallel segments have no single closest pair, any `s` works
+      s = denom !== 0 ? clamp01((b * f - c * e) / denom) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp01(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp01((b - c) / a);
+      }
+    }
+  }
+
+  closest.px = p1x + d1x * s;
+  closest.py = p1y + d1y * s;
+  closest.qx = p2x + d2x * t;
+  closest.qy = p2y + d2y * t;
+  const dx = closest.qx - closest.px;
+  const dy = closest.qy - closest.py;
+  closest.distanceSq = dx * dx + dy * dy;
+  return closest;
+}
+
+/** @param {number} value */
+function clamp01(value) {
+  return value < 0 ? 0 : value > 1 ? 1 : value;
+}
+
+/**
+ * @param {Shape} shape
+ * @returns {RoundShape | null}
+ */
+function toRoundShape(shape) {
+  switch (shape.type) {
+    case "circle":
+      return {
+        ax: shape.x,
+        ay: shape.y,
+        bx: shape.x,
+        by: shape.y,
+        radius: shape.radius,
+      };
+    case "capsule":
+      return {
+        ax: shape.a.x,
+        ay: shape.a.y,
+        bx: shape.b.x,
+        by: shape.b.y,
+        radius: shape.radius,
+      };
+    case "segment":
+      return {
+        ax: shape.a.x,
+        ay: shape.a.y,
+        bx: shape.b.x,
+        by: shape.b.y,
+        radius: 0,
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * The corners of an `aabb`, `obb` or `polygon`, in order.
+ *
+ * @param {AABBShape | OBBShape | PolygonShape} shape
+ * @returns {Vector2Like[]}
+ */
+export function getShapeVertices(shape) {
+  switch (shape.type) {
+    case "aabb":
+      return [
+        { x: shape.x, y: shape.y },
+        { x: shape.x + shape.width, y: shape.y },
+        { x: shape.x + shape.width, y: shape.y + shape.height },
+        { x: shape.x, y: shape.y + shape.height },
+      ];
+    case "obb": {
+      const cos = Math.cos(shape.rotation);
+      const sin = Math.sin(shape.rotation);
+      const hw = shape.width * 0.5;
+      const hh = shape.height * 0.5;
+      return [
+        [-hw, -hh],
+        [hw, -hh],
+        [hw, hh],
+        [-hw, hh],
+      ].map(([x, y]) => ({
+        x: shape.x + x * cos - y * sin,
+        y: shape.y + x * sin + y * cos,
+      }));
+    }
+    case "polygon":
+      return shape.points;
+  }
+}
+
+/**
+ * @param {Vector2Like[]} vertices
+ * @returns {1 | -1} `1` when the outward normal of the edge `(ex, ey)` is `(ey, -ex)`.
+ */
+function getWinding(vertices) {
+  let area = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const p = vertices[i];
+    const q = vertices[(i + 1) % vertices.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return area >= 0 ? 1 : -1;
+}
+
+/**
+ * How far `b` moves along an axis to get out of `a`, from their projections on it.
+ *
+ * @param {number} minA
+ * @param {number} maxA
+ * @param {number} minB
+ * @param {number} maxB
+ * @returns {number} Negative when it's shorter backwards, `0` when they don't overlap.
+ */
+function getAxisPenetration(minA, maxA, minB, maxB) {
+  const forward = maxA - minB;
+  const backward = maxB - minA;
+  if (forward <= 0 || backward <= 0) {
+    return 0;
+  }
+  return forward <= backward ? forward : -backward;
+}
+
+/**
+ * @param {Vector2Like[]} vertices
+ * @param {number} nx
+ * @param {number} ny
+ */
+function projectVertices(vertices, nx, ny) {
+  projection.min = Infinity;
+  projection.max = -Infinity;
+  for (const vertex of vertices) {
+    const d = vertex.x * nx + vertex.y * ny;
+    if (d < projection.min) projection.min = d;
+    if (d > projection.max) projection.max = d;
+  }
+  return projection;
+}
+
+/**
+ * The outward unit normal of each edge, the one of the edge from vertex `i` is at `i`.
+ *
+ * @param {Vector2Like[]} vertices
+ */
+function getEdgeNormals(vertices) {
+  const winding = getWinding(vertices);
+  return vertices.map((p, i) => {
+    const q = vertices[(i + 1) % vertices.length];
+    const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+    return {
+      x: ((q.y - p.y) / length) * winding,
+      y: (-(q.x - p.x) / length) * winding,
+    };
+  });
+}
+
+/**
+ * @param {Vector2Like[]} vertices - Convex.
+ * @param {number} x
+ * @param {number} y
+ */
+function isPointInConvex(vertices, x, y) {
+  const winding = getWinding(vertices);
+  for (let i = 0; i < vertices.length; i++) {
+    const p = vertices[i];
+    const q = vertices[(i + 1) % vertices.length];
+    // On the outer side of the edge
+    if (((q.y - p.y) * (x - p.x) - (q.x - p.x) * (y - p.y)) * winding > 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} depth
+ * @param {number} deepestX - The point of `b` the deepest in `a`.
+ * @param {number} deepestY
+ * @returns {CollisionManifold}
+ */
+function createManifold(nx, ny, depth, deepestX, deepestY) {
+  return {
+    normal: { x: nx, y: ny },
+    depth,
+    contact: {
+      x: deepestX + nx * depth * 0.5,
+      y: deepestY + ny * depth * 0.5,
+    },
+  };
+}
+
+/**
+ * @param {RoundShape} a
+ * @param {RoundShape} b
+ * @returns {CollisionManifold | null}
+ */
+function collideRoundShapes(a, b) {
+  const { px, py, qx, qy, distanceSq } = closestPointsOnSegments(
+    a.ax,
+    a.ay,
+    a.bx,
+    a.by,
+    b.ax,
+    b.ay,
+    b.bx,
+    b.by,
+  );
+  const radii = a.radius + b.radius;
+  const distance = Math.sqrt(distanceSq);
+  // Two segments only collide when they cross
+  if (distance > EPSILON && distance >= radii) {
+    return null;
+  }
+
+  let nx = 0;
+  let ny = 1;
+  if (distance > EPSILON) {
+    nx = (qx - px) / distance;
+    ny = (qy - py) / distance;
+  } else {
+    // On top of each other, pushed apart across `a`, towards `b`'s middle
+    const length = Math.hypot(a.bx - a.ax, a.by - a.ay);
+    if (length > EPSILON) {
+      nx = -(a.by - a.ay) / length;
+      ny = (a.bx - a.ax) / length;
+    }
+    const side =
+      ((b.ax + b.bx) * 0.5 - px) * nx + ((b.ay + b.by) * 0.5 - py) * ny;
+    if (side < 0) {
+      nx = -nx;
+      ny = -ny;
+    }
+  }
+
+  const depth = radii - distance;
+  return createManifold(nx, ny, depth, qx - nx * b.radius, qy - ny * b.radius);
+}
+
+/**
+ * @param {Vector2Like[]} a
+ * @param {Vector2Like[]} b
+ * @returns {CollisionManifold | null}
+ */
+function collidePolygons(a, b) {
+  let depth = Infinity;
+  let nx = 0;
+  let ny = 0;
+  for (const normals of [getEdgeNormals(a), getEdgeNormals(b)]) {
+    for (const normal of normals) {
+      const { min: minA, max: maxA } = projectVertices(a, normal.x, normal.y);
+      const { min: minB, max: maxB } = projectVertices(b, normal.x, normal.y);
+      const penetration = getAxisPenetration(minA, maxA, minB, maxB);
+      if (penetration === 0) {
+        return null;
+      }
+      if (Math.abs(penetration) < depth) {
+        depth = Math.abs(penetration);
+        nx = normal.x * Math.sign(penetration);
+        ny = normal.y * Math.sign(penetration);
+      }
+    }
+  }
+
+  // The vertex of `b` the furthest back along the normal is the deepest in `a`
+  let deepest = b[0];
+  for (const vertex of b) {
+    if (vertex.x * nx + vertex.y * ny < deepest.x * nx + deepest.y * ny) {
+      deepest = vertex;
+    }
+  }
+
+  return createManifold(nx, ny, depth, deepest.x, deepest.y);
+}
+
+/**
+ * @param {Vector2Like[]} vertices
+ * @param {RoundShape} round
+ * @returns {CollisionManifold | null} The normal goes from the polygon to the round shape.
+ */
+function collidePolygonRound(vertices, round) {
+  let distanceSq = Infinity;
+  let px = 0;
+  let py = 0;
+  let qx = 0;
+  let qy = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const p = vertices[i];
+    const q = vertices[(i + 1) % vertices.length];
+    const points = closestPointsOnSegments(
+      p.x,
+      p.y,
+      q.x,
+      q.y,
+      round.ax,
+      round.ay,
+      round.bx,
+      round.by,
+    );
+    if (points.distanceSq < distanceSq) {
+      ({ distanceSq, px, py, qx, qy } = points);
+    }
+  }
+
+  const distance = Math.sqrt(distanceSq);
+  const isCoreInside =
+    distance <= EPSILON || isPointInConvex(vertices, round.ax, round.ay);
+
+  // Only the rounded part is in, the closest points give the normal
+  if (!isCoreInside) {
+    if (distance >= round.radius) {
+      return null;
+    }
+    const nx = (qx - px) / distance;
+    const ny = (qy - py) / distance;
+    return createManifold(
+      nx,
+      ny,
+      round.radius - distance,
+      qx - nx * round.radius,
+      qy - ny * round.radius,
+    );
+  }
+
+  // The core segment is in, so it's the axis of least overlap,
+  // between the polygon's edge normals and the segment's normal
+  const axes = getEdgeNormals(vertices);
+  const length = Math.hypot(round.bx - round.ax, round.by - round.ay);
+  if (length > EPSILON) {
+    axes.push({
+      x: -(round.by - round.ay) / length,
+      y: (round.bx - round.ax) / length,
+    });
+  }
+
+  let depth = Infinity;
+  let nx = 0;
+  let ny = 0;
+  for (const axis of axes) {
+    const { min, max } = projectVertices(vertices, axis.x, axis.y);
+    const da = round.ax * axis.x + round.ay * axis.y;
+    const db = round.bx * axis.x + round.by * axis.y;
+    const penetration = getAxisPenetration(
+      min,
+      max,
+      Math.min(da, db) - round.radius,
+      Math.max(da, db) + round.radius,
+    );
+    if (Math.abs(penetration) < depth) {
+      depth = Math.abs(penetration);
+      // Touching exactly keeps the axis as is
+      nx = penetration < 0 ? -axis.x : axis.x;
+      ny = penetration < 0 ? -axis.y : axis.y;
+    }
+  }
+
+  // The end of the core the furthest back along the normal is the deepest in the polygon
+  const isADeeper =
+    round.ax * nx + round.ay * ny <= round.bx * nx + round.by * ny;
+  return createManifold(
+    nx,
+    ny,
+    depth,
+    (isADeeper ? round.ax : round.bx) - nx * round.radius,
+    (isADeeper ? round.ay : round.by) - ny * round.radius,
+  );
+}
+
+/**
+ * Tests two shapes, with the contact data needed to separate them.
+ *
+ * Circles, capsules and segments are tested by the closest points of their segments,
+ * rectangles and polygons with the separating axis theorem _(SAT)_.
+ *
+ * @param {Shape} a
+ * @param {Shape} b
+ * @returns {CollisionManifold | null} `null` when they don't overlap, touching isn't overlapping,
+ * but two segments crossing have a `depth` of `0`.
+ *
+ * @example
+ * ```js
+ * const manifold = collideShapes(obstacle, { type: "circle", x: ball.x, y: ball.y, radius: ball.radius });
+ * if (manifold) {
+ *   // Out of the obstacle, then bounced off it
+ *   ball.x += manifold.normal.x * manifold.depth;
+ *   ball.y += manifold.normal.y * manifold.depth;
+ * }
+ * ```
+ */
+export function collideShapes(a, b) {
+  const roundA = toRoundShape(a);
+  const roundB = toRoundShape(b);
+
+  if (roundA && roundB) {
+    return collideRoundShapes(roundA, roundB);
+  }
+  if (roundB) {
+    return collidePolygonRound(
+      getShapeVertices(/** @type {AABBShape|OBBShape|PolygonShape} */ (a)),
+      roundB,
+    );
+  }
+  if (roundA) {
+    const manifold = collidePolygonRound(
+      getShapeVertices(/** @type {AABBShape|OBBShape|PolygonShape} */ (b)),
+      roundA,
+    );
+    if (manifold) {
+      manifold.normal.x = -manifold.normal.x;
+      manifold.normal.y = -manifold.normal.y;
+    }
+    return manifold;
+  }
+
+  return collidePolygons(
+    getShapeVertices(/** @type {AABBShape|OBBShape|PolygonShape} */ (a)),
+    getShapeVertices(/** @type {AABBShape|OBBShape|PolygonShape} */ (b)),
+  );
+}
+
+/**
+ * @param {Vector2Like} point
+ * @param {Shape} shape
+ * @returns {boolean} Whether it's inside or on the edge, segments only contain the points on them.
+ */
+export function isPointInShape(point, shape) {
+  if (shape.type === "aabb") {
+    return (
+      point.x >= shape.x &&
+      point.x <= shape.x + shape.width &&
+      point.y >= shape.y &&
+      point.y <= shape.y + shape.height
+    );
+  }
+
+  const round = toRoundShape(shape);
+  if (round) {
+    const { distanceSq } = closestPointsOnSegments(
+      round.ax,
+      round.ay,
+      round.bx,
+      round.by,
+      point.x,
+      point.y,
+      point.x,
+      point.y,
+    );
+    return distanceSq <= round.radius * round.radius + EPSILON;
+  }
+
+  return isPointInConvex(
+    getShapeVertices(/** @type {OBBShape|PolygonShape} */ (shape)),
+    point.x,
+    point.y,
+  );
+}
+
+/**
+ * @param {number} ox
+ * @param {number} oy
+ * @param {number} dx - Unit.
+ * @param {number} dy
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} radius
+ * @returns {RaycastHit | null}
+ */
+function raycastCircle(ox, oy, dx, dy, cx, cy, radius) {
+  const mx = ox - cx;
+  const my = oy - cy;
+  const b = mx * dx + my * dy;
+  const c = mx * mx + my * my - radius * radius;
+  if (c <= 0) {
+    return { distance: 0, point: { x: ox, y: oy }, normal: { x: -dx, y: -dy } };
+  }
+  // Outside and going away
+  if (b > 0) {
+    return null;
+  }
+  const discriminant = b * b - c;
+  if (discriminant < 0) {
+    return null;
+  }
+
+  const distance = -b - Math.sqrt(discriminant);
+  const x = ox + dx * distance;
+  const y = oy + dy * distance;
+  return {
+    distance,
+    point: { x, y },
+    normal: { x: (x - cx) / radius, y: (y - cy) / radius },
+  };
+}
+
+/**
+ * @param {number} ox
+ * @param {number} oy
+ * @param {number} dx - Unit.
+ * @param {number} dy
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} bx
+ * @param {number} by
+ * @returns {RaycastHit | null}
+ */
+function raycastSegment(ox, oy, dx, dy, ax, ay, bx, by) {
+  const ex = bx - ax;
+  const ey = by - ay;
+  const denom = dx * ey - dy * ex;
+  // Parallel, it can only graze it
+  if (Math.abs(denom) <= EPSILON) {
+    return null;
+  }
+
+  const wx = ax - ox;
+  const wy = ay - oy;
+  const distance = (wx * ey - wy * ex) / denom;
+  const s = (wx * dy - wy * dx) / denom;
+  if (distance < 0 || s < 0 || s > 1) {
+    return null;
+  }
+
+  const length = Math.hypot(ex, ey);
+  let nx = -ey / length;
+  let ny = ex / length;
+  if (nx * dx + ny * dy > 0) {
+    nx = -nx;
+    ny = -ny;
+  }
+  return {
+    distance,
+    point: { x: ox + dx * distance, y: oy + dy * distance },
+    normal: { x: nx, y: ny },
+  };
+}
+
+/**
+ * Cyrus-Beck clipping of the ray against each edge.
+ *
+ * @param {number} ox
+ * @param {number} oy
+ * @param {number} dx - Unit.
+ * @param {number} dy
+ * @param {Vector2Like[]} vertices
+ * @returns {RaycastHit | null}
+ */
+function raycastConvex(ox, oy, dx, dy, vertices) {
+  const normals = getEdgeNormals(vertices);
+  let enter = 0;
+  let exit = Infinity;
+  /** @type {Vector2Like | null} */
+  let enterNormal = null;
+
+  for (let i = 0; i < vertices.length; i++) {
+    const normal = normals[i];
+    const numerator =
+      (vertices[i].x - ox) * normal.x + (vertices[i].y - oy) * normal.y;
+    const denominator = dx * normal.x + dy * normal.y;
+
+    if (Math.abs(denominator) <= EPSILON) {
+      // Parallel to the edge, and on its outer side
+      if (numerator < 0) return null;
+      continue;
+    }
+
+    const t = numerator / denominator;
+    if (denominator < 0) {
+      if (t > enter) {
+        enter = t;
+        enterNormal = normal;
+      }
+    } else if (t < exit) {
+      exit = t;
+    }
+    if (enter > exit) {
+      return null;
+    }
+  }
+
+  return {
+    distance: enter,
+    point: { x: ox + dx * enter, y: oy + dy * enter },
+    // Without an entering edge, it starts inside
+    normal: enterNormal
+      ? { x: enterNormal.x, y: enterNormal.y }
+      : { x: -dx, y: -dy },
+  };
+}
+
+/**
+ * @param {(RaycastHit | null)[]} hits
+ */
+function getNearestHit(hits) {
+  /** @type {RaycastHit | null} */
+  let nearest = null;
+  for (const hit of hits) {
+    if (hit && (!nearest || hit.distance < nearest.distance)) {
+      nearest = hit;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Casts a ray against a shape.
+ *
+ * @param {Vector2Like} origin
+ * @param {Vector2Like} direction - Any length, but not zero.
+ * @param {Shape} shape
+ * @param {number} [maxDistance=Infinity]
+ * @returns {RaycastHit | null} The first hit, `null` when there is none within `maxDistance`.
+ */
+export function raycast(origin, direction, shape, maxDistance = Infinity) {
+  const length = Math.hypot(direction.x, direction.y);
+  if (length <= EPSILON) {
+    return null;
+  }
+
+  const ox = origin.x;
+  const oy = origin.y;
+  const dx = direction.x / length;
+  const dy = direction.y / length;
+
+  /** @type {RaycastHit | null} */
+  let hit;
+  switch (shape.type) {
+    case "circle":
+      hit = raycastCircle(ox, oy, dx, dy, shape.x, shape.y, shape.radius);
+      break;
+    case "segment":
+      hit = raycastSegment(
+        ox,
+        oy,
+        dx,
+        dy,
+        shape.a.x,
+        shape.a.y,
+        shape.b.x,
+        shape.b.y,
+      );
+      break;
+    case "capsule": {
+      const { a, b, radius } = shape;
+      const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+      // Its body is an oriented rectangle between the two end circles
+      const body =
+        segmentLength > EPSILON
+          ? raycastConvex(
+              ox,
+              oy,
+              dx,
+              dy,
+              getShapeVertices({
+                type: "obb",
+                x: (a.x + b.x) * 0.5,
+                y: (a.y + b.y) * 0.5,
+                width: segmentLength,
+                height: radius * 2,
+                rotation: Math.atan2(b.y - a.y, b.x - a.x),
+              }),
+            )
+          : null;
+      hit = getNearestHit([
+        raycastCircle(ox, oy, dx, dy, a.x, a.y, radius),
+        raycastCircle(ox, oy, dx, dy, b.x, b.y, radius),
+        body,
+      ]);
+      break;
+    }
+    default:
+      hit = raycastConvex(ox, oy, dx, dy, getShapeVertices(shape));
+  }
+
+  return hit && hit.distance <= maxDistance ? hit : null;
+}
+
+/**
+ * @param {Shape} shape
+ * @returns {{ x: number; y: number; width: number; height: number }} The axis-aligned box around it.
+ */
+export function getShapeBounds(shape) {
+  if (shape.type === "aabb") {
+    return { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+  }
+
+  const round = toRoundShape(shape);
+  if (round) {
+    const minX = Math.min(round.ax, round.bx) - round.radius;
+    const minY = Math.min(round.ay, round.by) - round.radius;
+    return {
+      x: minX,
+      y: minY,
+      width: Math.max(round.ax, round.bx) + round.radius - minX,
+      height: Math.max(round.ay, round.by) + round.radius - minY,
+    };
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const vertex of getShapeVertices(
+    /** @type {OBBShape|PolygonShape} */ (shape),
+  )) {
+    minX = Math.min(minX, vertex.x);
+    minY = Math.min(minY, vertex.y);
+    maxX = Math.max(maxX, vertex.x);
+    maxY = Math.max(maxY, vertex.y);
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * The time of impact of a moving `aabb` with another.
+ *
+ * @param {AABBShape} moving
+ * @param {Vector2Like} delta - The whole move, e.g. `velocity * dt`.
+ * @param {AABBShape} target
+ * @returns {SweepHit | null} `null` when they don't meet during the move.
+ */
+export function sweepAABB(moving, delta, target) {
+  const overlap = collideShapes(target, moving);
+  if (overlap) {
+    return {
+      time: 0,
+      normal: overlap.normal,
+      depth: overlap.depth,
+      position: { x: moving.x, y: moving.y },
+    };
+  }
+
+  // The target grown by the moving box, so its top left only has to enter it
+  const axes = [
+    [moving.x, delta.x, target.x - moving.width, target.x + target.width],
+    [moving.y, delta.y, target.y - moving.height, target.y + target.height],
+  ];
+  let enter = -Infinity;
+  let exit = Infinity;
+  let nx = 0;
+  let ny = 0;
+  for (let i = 0; i < axes.length; i++) {
+    const [origin, d, min, max] = axes[i];
+    if (d === 0) {
+      if (origin < min || origin > max) return null;
+      continue;
+    }
+
+    const t1 = (min - origin) / d;
+    const t2 = (max - origin) / d;
+    const near = Math.min(t1, t2);
+    if (near > enter) {
+      enter = near;
+      nx = i === 0 ? -Math.sign(d) : 0;
+      ny = i === 1 ? -Math.sign(d) : 0;
+    }
+    exit = Math.min(exit, Math.max(t1, t2));
+  }
+
+  // Also `null` when touching and moving away, or sliding along it
+  if (enter < 0 || enter > 1 || enter >= exit) {
+    return null;
+  }
+
+  return {
+    time: enter,
+    normal: { x: nx, y: ny },
+    depth: 0,
+    position: { x: moving.x + delta.x * enter, y: moving.y + delta.y * enter },
+  };
+}
+
+/**
+ * The time of impact of a moving circle with any shape,
+ * by casting its center against the shape grown by its radius.
+ *
+ * @param {CircleShape} moving
+ * @param {Vector2Like} delta - The whole move, e.g. `velocity * dt`.
+ * @param {Shape} target
+ * @returns {SweepHit | null} `null` when they don't meet during the move.
+ */
+export function sweepCircle(moving, delta, target) {
+  const overlap = collideShapes(target, moving);
+  if (overlap) {
+    return {
+      time: 0,
+      normal: overlap.normal,
+      depth: overlap.depth,
+      position: { x: moving.x, y: moving.y },
+    };
+  }
+
+  const length = Math.hypot(delta.x, delta.y);
+  if (length <= EPSILON) {
+    return null;
+  }
+
+  const radius = moving.radius;
+  /** @type {Shape[]} */
+  let grown;
+  switch (target.type) {
+    case "circle":
+      grown = [{ ...target, radius: target.radius + radius }];
+      break;
+    case "capsule":
+      grown = [{ ...target, radius: target.radius + radius }];
+      break;
+    case "segment":
+      grown = [{ type: "capsule", a: target.a, b: target.b, radius }];
+      break;
+    default: {
+      // The polygon and a capsule around each edge
+      const vertices = getShapeVertices(target);
+      grown = [
+        target,
+        ...vertices.map((a, i) => ({
+          type: /** @type {const} */ ("capsule"),
+          a,
+          b: vertices[(i + 1) % vertices.length],
+          radius,
+        })),
+      ];
+    }
+  }
+
+  const hit = getNearestHit(
+    grown.map((shape) => raycast(moving, delta, shape, length)),
+  );
+  if (!hit) {
+    return null;
+  }
+
+  let normal = hit.normal;
+  if (hit.distance === 0) {
+    // Touching, the cast can't tell which way it's facing
+    const touch = collideShapes(target, { ...moving, radius: radius + SKIN });
+    if (!touch || touch.normal.x * delta.x + touch.normal.y * delta.y >= 0) {
+      return null;
+    }
+    normal = touch.normal;
+  }
+
+  return {
+    time: hit.distance / length,
+    normal,
+    depth: 0,
+    position: hit.point,
+  };
+}
+
+/**
+ * Moves a shape along its velocity, stopping at the earliest hit of the obstacles,
+ * then sliding along or bouncing off it for the rest of the move.
+ * Fast shapes can't go through thin obstacles like with an overlap test after moving.
+ *
+ * An `aabb` only collides with `aabb` obstacles, a `circle` with any shape.
+ *
+ * @param {AABBShape | CircleShape} body - Its `x`, `y` are moved.
+ * @param {Vector2Like} velocity - Changed by the hits, in units per second.
+ * @param {number} dt - In seconds, e.g. the fixed step.
+ * @param {Shape[]} obstacles
+ * @param {MoveAndCollideOptions} [options]
+ * @returns {SweepHit[]} The hits, in order.
+ *
+ * @example
+ * ```js
+ * const gameLoop = new GameLoop({
+ *   fixedUpdate(step) {
+ *     player.velocity.y += gravity * step;
+ *     const hits = moveAndCollide(player.shape, player.velocity, step, level.walls);
+ *     player.isGrounded = hits.some((hit) => hit.normal.y < -0.7);
+ *   },
+ * });
+ * ```
+ */
+export function moveAndCollide(body, velocity, dt, obstacles, options = {}) {
+  const maxIterations = options.maxIterations ?? 4;
+  const restitution = options.restitution ?? 0;
+
+  /** @type {SweepHit[]} */
+  const hits = [];
+  let remaining = dt;
+  for (let i = 0; i < maxIterations && remaining > 0; i++) {
+    const delta = { x: velocity.x * remaining, y: velocity.y * remaining };
+
+    /** @type {SweepHit | null} */
+    let nearest = null;
+    for (const obstacle of obstacles) {
+      let hit = null;
+      if (body.type === "circle") {
+        hit = sweepCircle(body, delta, obstacle);
+      } else if (obstacle.type === "aabb") {
+        hit = sweepAABB(body, delta, obstacle);
+      }
+      if (hit && (!nearest || hit.time < nearest.time)) {
+        nearest = hit;
+      }
+    }
+
+    if (!nearest) {
+      body.x += delta.x;
+      body.y += delta.y;
+      break;
+    }
+
+    // Stopped a bit short of the hit, or pushed out when already in
+    const length = Math.hypot(delta.x, delta.y);
+    const time = Math.max(0, nearest.time - SKIN / length);
+    const { normal } = nearest;
+    body.x += delta.x * time + normal.x * nearest.depth;
+    body.y += delta.y * time + normal.y * nearest.depth;
+    hits.push(nearest);
+
+    const speedIntoObstacle = velocity.x * normal.x + velocity.y * normal.y;
+    if (speedIntoObstacle < 0) {
+      velocity.x -= (1 + restitution) * speedIntoObstacle * normal.x;
+      velocity.y -= (1 + restitution) * speedIntoObstacle * normal.y;
+    }
+    remaining *= 1 - nearest.time;
+  }
+
+  return hits;
+}
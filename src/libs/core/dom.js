@@ -1,11 +1,21 @@
 /**
  * @import { ScreenHandlerParams } from "#libs/types/core.js";
  * @import {  TLoadAsset, TElementTypeMapperForAssets } from "#libs/types/common.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ * @import { AssetLoadFailure, AssetLoadProgress, LoadManyAssetsOptions } from "#libs/dom/index.js";
+ * @import { AssetManifest } from "#libs/asset-manifest.js";
  */
 
 import { buttonPrimaryClassName } from "#libs/class-names.js";
 import { CleanupManager } from "#libs/cleanup.js";
-import { injectStylesheetLink, loadManyAssets } from "#libs/dom/index.js";
+import { assetManager } from "#libs/asset-manager.js";
+import {
+  AssetBundle,
+  loadAssetBundle,
+  loadAssetManifest,
+} from "#libs/asset-manifest.js";
+import { AssetsLoadError, injectStylesheetLink } from "#libs/dom/index.js";
+import { getSessionSeed, SeededRandom } from "#libs/random.js";
 // import { generateSpriteAnimationStates } from "#libs/sprite.js";
 // import { reduceToString } from "#libs/string.js";
 
@@ -14,50 +24,102 @@ import { injectStylesheetLink, loadManyAssets } from "#libs/dom/index.js";
  * @param {{
  *  stylesheetLink?: string;
  *  assetsInfo?: TAssetPaths;
+ *  manifest?: string;
+ *  assetsLoadOptions?: LoadManyAssetsOptions;
+ *  autoPause?: boolean;
+ *  showSeed?: boolean;
  *  cb: (props: {
- * 		assets: TAssetPaths extends TLoadAsset[] ? TElementTypeMapperForAssets<TAssetPaths> : never;
+ * 		assets: TAssetPaths extends TLoadAsset[] ? TElementTypeMapperForAssets<TAssetPaths> : AssetBundle;
  *    cleanupManager: CleanupManager;
  * 		appId: string;
  * 		goBackButtonId: string;
  * 		goBack: () => void;
  * 		createLayout: (children: string|Element) => void | Promise<void>;
+ * 		registerGameLoop: (gameLoop: GameLoop) => void;
+ * 		seed: number;
+ * 		rng: SeededRandom;
  * 	}) => Promise<void> | void;
- * }} initOptions
+ * }} initOptions - With `autoPause`, the loops passed to `registerGameLoop` pause while the page is hidden or not focused, behind a "Paused" overlay.
+ * The assets are either the `assetsInfo` list, or the named ones of the `manifest` URL _(see `AssetManifest`)_ as an `AssetBundle`.
+ * They load through the shared `assetManager` with `assetsLoadOptions` behind a progress bar, and every failed one is listed if any,
+ * they're held until the screen cleans up.
+ * Every time the screen opens, `rng` starts over from the session `seed`, shown in the layout with `showSeed`, so a run can be reproduced.
  * @returns {Promise<(props: ScreenHandlerParams) => Promise<void>>}
  */
 export default async function initGameScreen(initOptions) {
-  /** @typedef {TAssetPaths extends TLoadAsset[] ? TElementTypeMapperForAssets<TAssetPaths> : never} TCurrentAssets */
+  /** @typedef {TAssetPaths extends TLoadAsset[] ? TElementTypeMapperForAssets<TAssetPaths> : AssetBundle} TCurrentAssets */
 
   const appId = `app-${Math.random().toString(36).slice(2)}`;
   const goBackButtonId = `${appId}-go-back-button`;
   const cleanupManager = new CleanupManager();
-  if (initOptions.stylesheetLink) {
-    injectStylesheetLink(initOptions.stylesheetLink, cleanupManager);
-  }
 
-  return async (props) => {
+  /** @param {ScreenHandlerParams} props */
+  const handleScreen = async (props) => {
+    // Every time, since leaving the screen cleans it up
+    if (initOptions.stylesheetLink) {
+      injectStylesheetLink(initOptions.stylesheetLink, cleanupManager);
+    }
+
     function goBack() {
       props.handleGoPrevScreen?.();
       cleanupManager.cleanup();
     }
 
-    let assets = /** @type {TCurrentAssets} */ (undefined);
-    if (initOptions.assetsInfo) {
+    const seed = getSessionSeed();
+    const rng = new SeededRandom(seed);
+
+    let assets = /** @type {TCurrentAssets} */ (
+      /** @type {unknown} */ (new AssetBundle())
+    );
+    if (initOptions.assetsInfo || initOptions.manifest) {
+      const progressId = `${appId}-assets-progress`;
+      const progressTextId = `${appId}-assets-progress-text`;
+
+      /**
+       * The last one, kept for when the view transition renders the progress bar
+       * @type {AssetLoadProgress|null}
+       */
+      let lastProgress = null;
+      const renderProgress = () => {
+        const progressElem = /** @type {HTMLProgressElement|null} */ (
+          document.getElementById(progressId)
+        );
+        const progressTextElem = document.getElementById(progressTextId);
+        if (!lastProgress || !progressElem || !progressTextElem) return;
+
+        const progress = lastProgress;
+        progressElem.max = progress.total;
+        progressElem.value = progress.loaded + progress.failed;
+        progressTextElem.textContent = `${progress.loaded}/${progress.total}${
+          progress.loadedBytes > 0
+            ? ` (${(progress.loadedBytes / 1024).toFixed(0)} KB)`
+            : ""
+        }${
+          progress.status === "retrying"
+            ? ` · retrying ${getAssetName(progress.asset.src)}`
+            : ""
+        }${progress.failed > 0 ? ` · ${progress.failed} failed` : ""}`;
+      };
+
       document.startViewTransition(() => {
         props.appElem.innerHTML = /* html */ `
-				<main class="flex justify-center items-center p-12 text-lg">
-				Loading assets...
+				<main class="flex flex-col gap-2 justify-center items-center p-12 text-lg">
+				<label for="${progressId}">Loading assets...</label>
+				<progress id="${progressId}" class="w-full max-w-xs"></progress>
+				<small id="${progressTextId}" aria-live="polite"></small>
 				</main>
 				`;
+        renderProgress();
       });
 
-      const [assetsError, _assets] = await loadManyAssets(
-        initOptions.assetsInfo,
-      );
+      /**
+       * @param {string} message
+       * @param {AssetLoadFailure[]} failures
+       */
+      const showAssetsError = async (message, failures) => {
+        const reloadButtonId = `${appId}-reload-button`;
 
-      if (assetsError) {
-        console.error(assetsError);
-        document.startViewTransition(() => {
+        await document.startViewTransition(() => {
           props.appElem.innerHTML = /* html */ `<main
 			class="p-8 bg-slate-50 dark:bg-slate-900 w-full min-h-full text-slate-900 dark:text-slate-50 flex flex-col gap-4 max-w-full"
 		>
@@ -66,29 +128,91 @@ export default async function initGameScreen(initOptions) {
           ? `<button id="${goBackButtonId}" class="${buttonPrimaryClassName}">Go Back</button><br /><br />`
           : ""
       }
-			<p class="text-center">Couldn't load the image!</p>
-			<button id="reload" class="${buttonPrimaryClassName}">Reload</button>
+			<p class="text-center"></p>
+			<ul class="mx-auto max-w-full list-disc pl-6 text-sm break-all"></ul>
+			<button id="${reloadButtonId}" class="${buttonPrimaryClassName}">Reload</button>
 		</main>`;
+
+          // `textContent`, the messages have URLs in them
+          const messageElem = props.appElem.querySelector("p");
+          if (messageElem) {
+            messageElem.textContent = message;
+          }
+          const failuresList = props.appElem.querySelector("ul");
+          for (const failure of failures) {
+            const item = document.createElement("li");
+            item.textContent = `${failure.asset.src} (${failure.attempts} attempt${failure.attempts === 1 ? "" : "s"}): ${failure.error.message}`;
+            failuresList?.appendChild(item);
+          }
+
           cleanupManager.registerEventListener({
             elem: document.getElementById(goBackButtonId),
             type: "click",
             listener: goBack,
             silent: process.env.NODE_ENV !== "production",
           });
-        });
+        }).updateCallbackDone;
         cleanupManager.registerEventListener({
-          elem: document.getElementById("reload"),
+          elem: document.getElementById(reloadButtonId),
           type: "click",
           listener: () => {
-            document.startViewTransition(() => {
-              props.appElem.innerHTML = "";
-            });
-            initGameScreen(initOptions);
+            cleanupManager.cleanup();
+            handleScreen(props);
           },
         });
+      };
+
+      /** @type {AssetManifest|null} */
+      let manifest = null;
+      if (initOptions.manifest) {
+        const [manifestError, _manifest] = await loadAssetManifest(
+          initOptions.manifest,
+          initOptions.assetsLoadOptions,
+        );
+        if (manifestError) {
+          console.error(manifestError);
+          await showAssetsError(
+            `Couldn't load the assets manifest! ${manifestError.message}`,
+            [],
+          );
+          return;
+        }
+        manifest = _manifest;
+      }
+
+      /** @type {LoadManyAssetsOptions & { cleanupManager: CleanupManager }} */
+      const loadOptions = {
+        ...initOptions.assetsLoadOptions,
+        cleanupManager,
+        onProgress: (progress) => {
+          initOptions.assetsLoadOptions?.onProgress?.(progress);
+
+          lastProgress = progress;
+          renderProgress();
+        },
+      };
+
+      const total = manifest
+        ? Object.keys(manifest.assets).length
+        : /** @type {TLoadAsset[]} */ (initOptions.assetsInfo).length;
+      const [assetsError, _assets] = manifest
+        ? await loadAssetBundle(manifest, loadOptions)
+        : await assetManager.load(
+            /** @type {TLoadAsset[]} */ (initOptions.assetsInfo),
+            loadOptions,
+          );
+
+      if (assetsError) {
+        console.error(assetsError);
+        const failures =
+          assetsError instanceof AssetsLoadError ? assetsError.failures : [];
+        await showAssetsError(
+          `Couldn't load ${failures.length || "some"} of the ${total} assets!`,
+          failures,
+        );
         return;
       }
-      assets = /** @type {TCurrentAssets} */ (_assets);
+      assets = /** @type {TCurrentAssets} */ (/** @type {unknown} */ (_assets));
     }
 
     /** @param {string|Element} children */
@@ -109,6 +233,10 @@ export default async function initGameScreen(initOptions) {
           throw new Error("Couldn't find the main element!");
         }
 
+        if (initOptions.showSeed) {
+          mainElem.innerHTML += /* html */ `<small class="block text-center">Seed: <a href="?seed=${seed}" class="underline" title="Open with this seed to play the same run">${seed}</a></small>`;
+        }
+
         if (typeof children === "string") {
           mainElem.innerHTML += children;
         } else if (children instanceof Element) {
@@ -125,6 +253,39 @@ export default async function initGameScreen(initOptions) {
       return transition.ready;
     };
 
+    /**
+     * Cleans up the loop with the screen, and applies the `autoPause` policy to it.
+     * @param {GameLoop} gameLoop
+     */
+    const registerGameLoop = (gameLoop) => {
+      cleanupManager.register(() => gameLoop.cleanup());
+
+      if (!initOptions.autoPause) {
+        return;
+      }
+
+      const pausedOverlay = document.createElement("div");
+      pausedOverlay.className =
+        "fixed inset-0 z-40 flex flex-col items-center justify-center gap-2 bg-black/50 text-white pointer-events-none";
+      pausedOverlay.innerHTML = /* html */ `<p class="text-3xl font-bold">Paused</p>
+			<p class="text-sm">Come back to this tab or click it to resume</p>`;
+      pausedOverlay.hidden = true;
+      props.appElem.appendChild(pausedOverlay);
+      cleanupManager.register(() => {
+        pausedOverlay.remove();
+      });
+
+      gameLoop.enableAutoPause({
+        cleanupManager,
+        onPause: () => {
+          pausedOverlay.hidden = false;
+        },
+        onResume: () => {
+          pausedOverlay.hidden = true;
+        },
+      });
+    };
+
     return initOptions.cb({
       assets: /** @type {TCurrentAssets} */ (assets),
       cleanupManager,
@@ -132,6 +293,16 @@ export default async function initGameScreen(initOptions) {
       goBackButtonId,
       goBack,
       createLayout,
+      registerGameLoop,
+      seed,
+      rng,
     });
   };
+
+  return handleScreen;
+}
+
+/** @param {string} src */
+function getAssetName(src) {
+  return decodeURIComponent(src.split("/").at(-1) ?? src);
 }
@@ -1,7 +1,17 @@
+/**
+ * @import { GameLoopClock } from "#libs/clock.js";
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { FrameProfilerOptions, FrameStats } from "#libs/frame-profiler.js";
+ */
+
+import { createDefaultClock } from "#libs/clock.js";
+import { FrameProfiler } from "#libs/frame-profiler.js";
+import { lerp } from "#libs/math.js";
+
 /**
  * @typedef {(dt: number) => void} UpdateCallback
  * @typedef {(step: number) => void} FixedUpdateCallback
- * @typedef {() => void} RenderCallback
+ * @typedef {(alpha: number) => void} RenderCallback
  *
  * @typedef {{
  *   update?: UpdateCallback,
@@ -12,23 +22,71 @@
  *   render: RenderCallback,
  *   onBeforeUpdate?: () => void,
  *   onAfterUpdate?: () => void,
- *   onBeforeRender?: () => void,
- *   onAfterRender?: () => void,
+ *   onBeforeRender?: RenderCallback,
+ *   onAfterRender?: RenderCallback,
  *   onBeforeFixedUpdate?: () => void,
  *   onAfterFixedUpdate?: () => void,
  *   name?: string,
  *  fixedStepClamp?: number,
+ *   clock?: GameLoopClock,
+ *   timeScale?: number,
+ *   profiler?: false | FrameProfilerOptions,
  * }} GameLoopOptions
+ *
+ * @typedef {{
+ *   update: UpdateCallback;
+ *   fixedUpdate: FixedUpdateCallback;
+ *   render: RenderCallback;
+ * }} GameLoopPhaseCallbackMap
+ * @typedef {keyof GameLoopPhaseCallbackMap} GameLoopPhase
+ *
+ * @typedef {{
+ *   priority?: number;
+ *   cleanupManager?: CleanupManager;
+ * }} AddSystemOptions
+ *
+ * @typedef {{
+ *   pauseOnBlur?: boolean;
+ *   cleanupManager?: CleanupManager;
+ *   onPause?: () => void;
+ *   onResume?: () => void;
+ * }} AutoPauseOptions
+ */
+
+/**
+ * @template {GameLoopPhase} TPhase
+ * @typedef {{
+ *   fn: GameLoopPhaseCallbackMap[TPhase];
+ *   priority: number;
+ *   order: number;
+ * }} GameLoopSystem
  */
 
 let nextGameLoopDefaultId = 0;
 
+/**
+ * Tolerance of the accumulators comparisons, in seconds,
+ * so frames summing to a step in floating point _(e.g. 60 × 1/60)_ don't miss it by a rounding error.
+ */
+const TIME_EPSILON = 1e-9;
+
 const GAME_LOOP_STATE = {
   STOPPED: 0,
   RUNNING: 1,
   PAUSED: 2,
 };
 
+/**
+ * Systems of the same phase run from the lowest priority to the highest,
+ * and in registration order when priorities are equal.
+ * The `onBefore*` / `onAfter*` options are registered with `BEFORE` / `AFTER`.
+ */
+export const SYSTEM_PRIORITY = {
+  BEFORE: -1000,
+  DEFAULT: 0,
+  AFTER: 1000,
+};
+
 export class GameLoop {
   gameLoopState = GAME_LOOP_STATE.STOPPED;
   /** @type {UpdateCallback[]} */
@@ -37,13 +95,36 @@ export class GameLoop {
   fixedUpdateEvents = [];
   /** @type {RenderCallback[]} */
   renderEvents = [];
+  /** @type {{ [TPhase in GameLoopPhase]: GameLoopSystem<TPhase>[] }} */
+  systems = { update: [], fixedUpdate: [], render: [] };
+  /**
+   * The systems registered from the `update`, `fixedUpdate` and `render` options,
+   * kept apart so they can be swapped at runtime.
+   * @type {{ [TPhase in GameLoopPhase]: GameLoopSystem<TPhase>|null }}
+   */
+  mainSystems = { update: null, fixedUpdate: null, render: null };
+  nextSystemOrder = 0;
+  hasFixedUpdate = false;
+  /** Whether the loop is paused by `enableAutoPause`, as opposed to a `pause` call. */
+  autoPaused = false;
   /** @type {(now: DOMHighResTimeStamp) => void} */
   loop;
 
   rafId = 0;
-  lastTime = performance.now();
+  lastTime = 0;
+  elapsedTimeMS = 0;
+  /** The game time of the last frame in seconds, `elapsedTimeMS` scaled by `timeScale`. */
+  elapsedTimeS = 0;
+  /** The game time since the loop was created, in seconds, it doesn't move while paused. */
+  gameTimeS = 0;
   accumulator = 0;
   frameAccumulator = 0;
+  /**
+   * Interpolation factor between the previous and the current fixed step,
+   * passed to the render callbacks, in the range `[0, 1]`.
+   * Always `1` when there is no `fixedUpdate`.
+   */
+  alpha = 1;
   /** @type {number} */
   targetDelta;
 
@@ -53,6 +134,21 @@ export class GameLoop {
    */
   constructor(options) {
     this.name = options.name ?? `game-loop-${nextGameLoopDefaultId++}`;
+    /**
+     * Where frames and time come from, `requestAnimationFrame` by default.
+     * @type {GameLoopClock}
+     */
+    this.clock = options.clock ?? createDefaultClock();
+    this.lastTime = this.clock.now();
+    /**
+     * Collects the frame stats returned by `getStats`, `null` when disabled with `profiler: false`.
+     * Work is timed with `performance.now()`, since a virtual clock doesn't move during a frame.
+     * @type {FrameProfiler|null}
+     */
+    this.profiler =
+      options.profiler === false
+        ? null
+        : new FrameProfiler(() => performance.now(), options.profiler);
 
     if (options.maxElapsedTimeMS && options.maxElapsedTimeMS <= 0) {
       throw new Error(`[${this.name}] \`maxDelta\` must be a positive number.`);
@@ -62,6 +158,12 @@ export class GameLoop {
     this.fixedFps = options.fixedFps ?? this.fps;
     this.fixedStepClamp = options.fixedStepClamp ?? 5;
     this.maxElapsedTimeMS = options.maxElapsedTimeMS ?? 100;
+    /**
+     * How fast game time runs compared to real time, e.g. `0.5` for slow motion.
+     * It scales the `dt` of the update systems and the fixed steps rate, not the rendering FPS.
+     */
+    this.timeScale = 1;
+    this.setTimeScale(options.timeScale ?? 1);
     // this.minElapsedTimeS = options.maxElapsedTimeMS ?? 0.1;
 
     if (this.fixedFps > this.fps) {
@@ -74,106 +176,136 @@ export class GameLoop {
     this.targetDelta = 1 / this.fps;
     this.fixedDelta = 1 / this.fixedFps;
 
-    this.updateEvents = /** @type {UpdateCallback[]} */ (
-      [options.onBeforeUpdate, options.update, options.onAfterUpdate].filter(
-        Boolean,
-      )
-    );
-    this.fixedUpdateEvents = /** @type {FixedUpdateCallback[]} */ (
-      [
-        options.onBeforeFixedUpdate,
-        options.fixedUpdate,
-        options.onAfterFixedUpdate,
-      ].filter(Boolean)
-    );
-    this.renderEvents = /** @type {RenderCallback[]} */ (
-      [options.onBeforeRender, options.render, options.onAfterRender].filter(
-        Boolean,
-      )
-    );
+    if (options.onBeforeUpdate) {
+      this.addSystem("update", options.onBeforeUpdate, {
+        priority: SYSTEM_PRIORITY.BEFORE,
+      });
+    }
+    this.setUpdate(options.update);
+    if (options.onAfterUpdate) {
+      this.addSystem("update", options.onAfterUpdate, {
+        priority: SYSTEM_PRIORITY.AFTER,
+      });
+    }
+
+    if (options.onBeforeFixedUpdate) {
+      this.addSystem("fixedUpdate", options.onBeforeFixedUpdate, {
+        priority: SYSTEM_PRIORITY.BEFORE,
+      });
+    }
+    this.setFixedUpdate(options.fixedUpdate);
+    if (options.onAfterFixedUpdate) {
+      this.addSystem("fixedUpdate", options.onAfterFixedUpdate, {
+        priority: SYSTEM_PRIORITY.AFTER,
+      });
+    }
+
+    if (options.onBeforeRender) {
+      this.addSystem("render", options.onBeforeRender, {
+        priority: SYSTEM_PRIORITY.BEFORE,
+      });
+    }
+    this.setRender(options.render);
+    if (options.onAfterRender) {
+      this.addSystem("render", options.onAfterRender, {
+        priority: SYSTEM_PRIORITY.AFTER,
+      });
+    }
 
     // Main game loop
-    this.loop =
-      typeof options.fixedUpdate === "function"
-        ? /** @param {DOMHighResTimeStamp} now */ (now) => {
-            this.rafId = requestAnimationFrame(this.loop);
-            if (this.gameLoopState !== GAME_LOOP_STATE.RUNNING) return;
-
-            this.elapsedTimeMS = Math.min(
-              now - this.lastTime,
-              this.maxElapsedTimeMS,
-            );
-            this.lastTime = now;
-            this.elapsedTimeS = this.elapsedTimeMS * 0.001; // delta in seconds
-
-            // Update the game state
-            for (const fn of this.updateEvents) {
-              fn(this.elapsedTimeS);
-            }
-
-            // Handle physics updates at fixed intervals
-            this.accumulator += this.elapsedTimeS;
-            // Process fixed steps (e.g., physics updates) and accumulate remaining time, while not exceeding the clamp
-            let steps = 0;
-            while (
-              this.accumulator >= this.fixedDelta &&
-              steps < this.fixedStepClamp
-            ) {
-              for (const fn of this.fixedUpdateEvents) {
-                fn(this.fixedDelta);
-              }
-              this.accumulator -= this.fixedDelta;
-              steps++;
-            }
-            if (steps === this.fixedStepClamp) {
-              console.warn(
-                `[${this.name}] Fixed step clamp reached: skipping extra updates`,
-              );
-            }
-
-            // FPS control for rendering
-            this.frameAccumulator += this.elapsedTimeS;
-
-            // Only render when we've accumulated enough time for a frame at target FPS
-            if (this.frameAccumulator >= this.targetDelta) {
-              // Reset this.accumulator, keeping remainder for smooth timing
-              this.frameAccumulator -= this.targetDelta;
-
-              for (const fn of this.renderEvents) {
-                fn();
-              }
-            }
-          }
-        : /** @param {DOMHighResTimeStamp} now */ (now) => {
-            this.rafId = requestAnimationFrame(this.loop);
-            if (this.gameLoopState !== GAME_LOOP_STATE.RUNNING) return;
-
-            this.elapsedTimeMS = Math.min(
-              now - this.lastTime,
-              this.maxElapsedTimeMS,
-            );
-            this.lastTime = now;
-            this.elapsedTimeS = this.elapsedTimeMS * 0.001; // delta in seconds
-
-            // Update the game state
-            for (const fn of this.updateEvents) {
-              fn(this.elapsedTimeS);
-            }
-
-            // FPS control for rendering
-            this.frameAccumulator += this.elapsedTimeS;
-
-            // Only render when we've accumulated enough time for a frame at target FPS
-            if (this.frameAccumulator >= this.targetDelta) {
-              // Reset this.accumulator, keeping remainder for smooth timing
-              this.frameAccumulator -= this.targetDelta;
-
-              for (const fn of this.renderEvents) {
-                fn();
-              }
-            }
-          };
+    this.loop = (now) => {
+      this.rafId = this.clock.request(this.loop);
+      if (this.gameLoopState !== GAME_LOOP_STATE.RUNNING) return;
+
+      const elapsedTimeMS = now - this.lastTime;
+      this.lastTime = now;
+      this.tick(elapsedTimeMS);
+    };
+  }
+
+  /**
+   * Runs one frame of the loop for the given elapsed time, without scheduling anything.
+   * The elapsed time is clamped to `maxElapsedTimeMS`.
+   *
+   * @param {number} elapsedTimeMS - Time since the previous frame in milliseconds.
+   */
+  tick(elapsedTimeMS) {
+    const profiler = this.profiler;
+    profiler?.beginFrame(elapsedTimeMS);
+
+    this.elapsedTimeMS = Math.min(elapsedTimeMS, this.maxElapsedTimeMS);
+    const realElapsedTimeS = this.elapsedTimeMS * 0.001; // delta in seconds
+    this.elapsedTimeS = realElapsedTimeS * this.timeScale;
+    this.gameTimeS += this.elapsedTimeS;
+
+    // Update the game state
+    profiler?.beginPhase();
+    for (const fn of this.updateEvents) {
+      fn(this.elapsedTimeS);
+    }
+    profiler?.endPhase("update");
+
+    if (this.hasFixedUpdate) {
+      // Handle physics updates at fixed intervals
+      this.accumulator += this.elapsedTimeS;
+      // Process fixed steps (e.g., physics updates) and accumulate remaining time, while not exceeding the clamp
+      let steps = 0;
+      while (
+        this.accumulator >= this.fixedDelta - TIME_EPSILON &&
+        steps < this.fixedStepClamp
+      ) {
+        profiler?.beginPhase();
+        for (const fn of this.fixedUpdateEvents) {
+          fn(this.fixedDelta);
+        }
+        profiler?.endPhase("fixedUpdate");
+        this.accumulator -= this.fixedDelta;
+        steps++;
+      }
+      if (steps === this.fixedStepClamp) {
+        profiler?.recordFixedStepClampHit();
+        console.warn(
+          `[${this.name}] Fixed step clamp reached: skipping extra updates`,
+        );
+      }
+    }
+
+    // FPS control for rendering
+    this.frameAccumulator += realElapsedTimeS;
+
+    // Only render when we've accumulated enough time for a frame at target FPS
+    if (this.frameAccumulator >= this.targetDelta - TIME_EPSILON) {
+      // Reset this.accumulator, keeping remainder for smooth timing
+      this.frameAccumulator -= this.targetDelta;
+
+      // How far we are between the last fixed step and the next one,
+      // capped since the clamp above can leave more than one step behind.
+      // Without fixed steps the state is always fully up to date.
+      this.alpha = this.hasFixedUpdate
+        ? Math.min(this.accumulator / this.fixedDelta, 1)
+        : 1;
+
+      profiler?.beginPhase();
+      for (const fn of this.renderEvents) {
+        fn(this.alpha);
+      }
+      profiler?.endPhase("render");
+    }
+
+    profiler?.endFrame();
+  }
+
+  /**
+   * Requests a frame only to read its timestamp as `lastTime`, then starts looping,
+   * so the first real frame doesn't see the time spent while not running.
+   */
+  scheduleFirstFrame() {
+    this.rafId = this.clock.request((now) => {
+      this.lastTime = now;
+      this.rafId = this.clock.request(this.loop);
+    });
   }
+
   /**
    * Starts the game loop if it isn't already running.
    * Resets the accumulator and frame accumulator.
@@ -189,28 +321,26 @@ export class GameLoop {
     this.gameLoopState = GAME_LOOP_STATE.RUNNING;
     this.accumulator = 0;
     this.frameAccumulator = 0;
-    this.rafId = requestAnimationFrame((now) => {
-      this.lastTime = now;
-      this.rafId = requestAnimationFrame(this.loop);
-    });
+    this.scheduleFirstFrame();
   }
 
   /**
-   * Stops the game loop if it is currently running.
+   * Stops the game loop if it is currently running or paused.
    * Resets the accumulator and frame accumulator.
    * Cancels any pending animation frames.
-   * If the loop is not running, this method does nothing.
+   * If the loop is already stopped, this method does nothing.
    *
    * @returns {void}
    */
   stop() {
-    if (this.gameLoopState !== GAME_LOOP_STATE.RUNNING) {
+    if (this.gameLoopState === GAME_LOOP_STATE.STOPPED) {
       return;
     }
+    this.autoPaused = false;
     this.accumulator = 0;
     this.frameAccumulator = 0;
     this.gameLoopState = GAME_LOOP_STATE.STOPPED;
-    cancelAnimationFrame(this.rafId);
+    this.clock.cancel(this.rafId);
   }
 
   /**
@@ -226,7 +356,7 @@ export class GameLoop {
       return;
     }
     this.gameLoopState = GAME_LOOP_STATE.PAUSED;
-    cancelAnimationFrame(this.rafId);
+    this.clock.cancel(this.rafId);
   }
 
   /**
@@ -241,10 +371,59 @@ export class GameLoop {
       return;
     }
     this.gameLoopState = GAME_LOOP_STATE.RUNNING;
-    this.rafId = requestAnimationFrame((now) => {
-      this.lastTime = now;
-      this.rafId = requestAnimationFrame(this.loop);
-    });
+    this.scheduleFirstFrame();
+  }
+
+  /**
+   * Pauses the loop while the page is hidden, and optionally while the window isn't focused,
+   * then resumes it once the page is back.
+   * A loop that was already paused or stopped when the page went away is left as is.
+   * Resuming goes through `resume`, so the time spent away isn't simulated.
+   *
+   * @param {AutoPauseOptions} [options]
+   * @returns {() => void} Disables the auto pause, resuming the loop if it's currently auto paused.
+   */
+  enableAutoPause(options = {}) {
+    const pauseOnBlur = options.pauseOnBlur ?? true;
+
+    const sync = () => {
+      const isAway =
+        document.visibilityState === "hidden" ||
+        (pauseOnBlur && !document.hasFocus());
+
+      if (isAway) {
+        if (!this.isRunning()) return;
+        this.pause();
+        this.autoPaused = true;
+        options.onPause?.();
+        return;
+      }
+
+      if (!this.autoPaused) return;
+      this.autoPaused = false;
+      this.resume();
+      options.onResume?.();
+    };
+
+    document.addEventListener("visibilitychange", sync);
+    if (pauseOnBlur) {
+      window.addEventListener("blur", sync);
+      window.addEventListener("focus", sync);
+    }
+
+    const disable = () => {
+      document.removeEventListener("visibilitychange", sync);
+      window.removeEventListener("blur", sync);
+      window.removeEventListener("focus", sync);
+
+      if (!this.autoPaused) return;
+      this.autoPaused = false;
+      this.resume();
+      options.onResume?.();
+    };
+    options.cleanupManager?.register(disable);
+
+    return disable;
   }
 
   getGameLoopState() {
@@ -263,22 +442,236 @@ export class GameLoop {
     return this.gameLoopState === GAME_LOOP_STATE.STOPPED;
   }
 
-  // /**
-  //  * Step through one iteration of the loop.
-  //  * Useful for testing or debugging.
-  //  */
-  // step() {
-  //   // this.rafId = requestAnimationFrame((now) => {
-  //   // 	this.lastTime = now;
-  //   // 	this.rafId = requestAnimationFrame((now) => {
-  //   // 		loop(now);
-  //   // 		this.stop();
-  //   // 	});
-  //   // });
-  //   const now = performance.now();
-  //   this.lastTime = now;
-  //   this.loop(now);
-  // }
+  /**
+   * Smoothed FPS, per phase timings, fixed step clamp hits and long frames so far.
+   *
+   * @returns {FrameStats|null} `null` when the loop was created with `profiler: false`.
+   */
+  getStats() {
+    return this.profiler?.getStats() ?? null;
+  }
+
+  /**
+   * Step through `frames` iterations of the loop, each one `1 / fps` seconds long.
+   * Works whatever the loop state is, so a paused loop can be single-stepped while debugging,
+   * and a stopped one can be driven from tests without any clock.
+   *
+   * @param {number} [frames=1]
+   */
+  step(frames = 1) {
+    const frameMS = Math.min(this.targetDelta * 1000, this.maxElapsedTimeMS);
+
+    for (let i = 0; i < frames; i++) {
+      this.tick(frameMS);
+    }
+  }
+
+  /**
+   * Advance the loop by `ms` of simulated time, split into frames of `1 / fps` seconds
+   * _(the last one can be shorter)_.
+   * Like `step`, it doesn't depend on the loop state or the clock.
+   *
+   * @param {number} ms
+   */
+  advanceBy(ms) {
+    const frameMS = Math.min(this.targetDelta * 1000, this.maxElapsedTimeMS);
+
+    let remaining = ms;
+    // A rounding error left over isn't a frame
+    while (remaining > TIME_EPSILON * 1000) {
+      const elapsedTimeMS = Math.min(frameMS, remaining);
+      this.tick(elapsedTimeMS);
+      remaining -= elapsedTimeMS;
+    }
+  }
+
+  /**
+   * Register a system to run on every `update`, `fixedUpdate` or `render` of the loop.
+   * Can be called while the loop is running, the change applies from the next frame.
+   *
+   * @template {GameLoopPhase} TPhase
+   * @param {TPhase} phase
+   * @param {GameLoopPhaseCallbackMap[TPhase]} fn
+   * @param {AddSystemOptions} [options]
+   * @returns {() => void} A function removing the system, safe to call more than once.
+   *
+   * @example
+   * ```js
+   * cleanupManager.register(
+   *   gameLoop.addSystem("render", drawDebugInfo, { priority: SYSTEM_PRIORITY.AFTER }),
+   * );
+   * ```
+   */
+  addSystem(phase, fn, options = {}) {
+    const system = this.insertSystem(
+      phase,
+      fn,
+      options.priority ?? SYSTEM_PRIORITY.DEFAULT,
+    );
+
+    const remove = () => {
+      this.removeSystemEntry(phase, system);
+    };
+    options.cleanupManager?.register(remove);
+
+    return remove;
+  }
+
+  /**
+   * Remove every registration of `fn` from the given phase.
+   *
+   * @template {GameLoopPhase} TPhase
+   * @param {TPhase} phase
+   * @param {GameLoopPhaseCallbackMap[TPhase]} fn
+   * @returns {boolean} Whether something was removed.
+   */
+  removeSystem(phase, fn) {
+    const systems = /** @type {GameLoopSystem<TPhase>[]} */ (
+      this.systems[phase]
+    );
+    let hasRemoved = false;
+
+    for (let i = systems.length - 1; i >= 0; i--) {
+      if (systems[i].fn !== fn) continue;
+
+      if (this.mainSystems[phase] === systems[i]) {
+        this.mainSystems[phase] = null;
+      }
+      systems.splice(i, 1);
+      hasRemoved = true;
+    }
+
+    if (hasRemoved) {
+      this.rebuildPhase(phase);
+    }
+    return hasRemoved;
+  }
+
+  /**
+   * Replace the `update` callback at runtime, keeping its place among the other systems.
+   * Passing `undefined` removes it.
+   *
+   * @param {UpdateCallback} [fn]
+   */
+  setUpdate(fn) {
+    this.replaceMainSystem("update", fn);
+  }
+
+  /**
+   * Replace the `fixedUpdate` callback at runtime, keeping its place among the other systems.
+   * Passing `undefined` removes it.
+   *
+   * @param {FixedUpdateCallback} [fn]
+   */
+  setFixedUpdate(fn) {
+    this.replaceMainSystem("fixedUpdate", fn);
+  }
+
+  /**
+   * Replace the `render` callback at runtime, keeping its place among the other systems.
+   * Passing `undefined` removes it.
+   *
+   * @param {RenderCallback} [fn]
+   */
+  setRender(fn) {
+    this.replaceMainSystem("render", fn);
+  }
+
+  /**
+   * @template {GameLoopPhase} TPhase
+   * @param {TPhase} phase
+   * @param {GameLoopPhaseCallbackMap[TPhase]} [fn]
+   */
+  replaceMainSystem(phase, fn) {
+    const current = /** @type {GameLoopSystem<TPhase>|null} */ (
+      this.mainSystems[phase]
+    );
+
+    if (current && fn) {
+      current.fn = fn;
+      this.rebuildPhase(phase);
+      return;
+    }
+
+    if (current) {
+      this.removeSystemEntry(phase, current);
+    }
+    if (fn) {
+      /** @type {GameLoopSystem<TPhase>|null} */ (this.mainSystems[phase]) =
+        this.insertSystem(phase, fn, SYSTEM_PRIORITY.DEFAULT);
+    }
+  }
+
+  /**
+   * @template {GameLoopPhase} TPhase
+   * @param {TPhase} phase
+   * @param {GameLoopPhaseCallbackMap[TPhase]} fn
+   * @param {number} priority
+   * @returns {GameLoopSystem<TPhase>}
+   */
+  insertSystem(phase, fn, priority) {
+    if (typeof fn !== "function") {
+      throw new Error(
+        `[${this.name}] A \`${phase}\` system must be a function.`,
+      );
+    }
+
+    /** @type {GameLoopSystem<TPhase>} */
+    const system = { fn, priority, order: this.nextSystemOrder++ };
+    /** @type {GameLoopSystem<TPhase>[]} */ (this.systems[phase]).push(system);
+    this.rebuildPhase(phase);
+
+    return system;
+  }
+
+  /**
+   * @template {GameLoopPhase} TPhase
+   * @param {TPhase} phase
+   * @param {GameLoopSystem<TPhase>} system
+   */
+  removeSystemEntry(phase, system) {
+    const systems = /** @type {GameLoopSystem<TPhase>[]} */ (
+      this.systems[phase]
+    );
+    const index = systems.indexOf(system);
+    if (index === -1) {
+      return;
+    }
+
+    systems.splice(index, 1);
+    if (this.mainSystems[phase] === system) {
+      this.mainSystems[phase] = null;
+    }
+    this.rebuildPhase(phase);
+  }
+
+  /**
+   * Sorts the systems of a phase and flattens them into the callbacks list the loop iterates.
+   * A new list is created on every change, so systems added or removed from inside
+   * a callback don't affect the iteration in progress.
+   *
+   * @param {GameLoopPhase} phase
+   */
+  rebuildPhase(phase) {
+    this.systems[phase].sort(
+      (a, b) => a.priority - b.priority || a.order - b.order,
+    );
+
+    switch (phase) {
+      case "update":
+        this.updateEvents = this.systems.update.map((system) => system.fn);
+        break;
+      case "fixedUpdate":
+        this.fixedUpdateEvents = this.systems.fixedUpdate.map(
+          (system) => system.fn,
+        );
+        this.hasFixedUpdate = this.fixedUpdateEvents.length > 0;
+        break;
+      case "render":
+        this.renderEvents = this.systems.render.map((system) => system.fn);
+        break;
+    }
+  }
 
   /**
    * Set a new target FPS for the game loop.
@@ -298,6 +691,19 @@ export class GameLoop {
     this.targetDelta = 1 / this.fps;
   }
 
+  /**
+   * @param {number} newTimeScale `1` for real time, `0` freezes the game time while still rendering.
+   */
+  setTimeScale(newTimeScale) {
+    if (!Number.isFinite(newTimeScale) || newTimeScale < 0) {
+      throw new Error(
+        `[${this.name}] Time scale must be a positive number or 0.`,
+      );
+    }
+
+    this.timeScale = newTimeScale;
+  }
+
   /**
    * Set a new fixed delta time for the game loop.
    * @param {number} newFixedFps The new fixed delta time
@@ -335,9 +741,12 @@ export class GameLoop {
     this.stop();
 
     // Null out references to help garbage collection
+    this.systems = { update: [], fixedUpdate: [], render: [] };
+    this.mainSystems = { update: null, fixedUpdate: null, render: null };
     this.updateEvents.length = 0;
     this.fixedUpdateEvents.length = 0;
     this.renderEvents.length = 0;
+    this.hasFixedUpdate = false;
 
     // Replace loop with no-op to break closure reference
     this.loop = () => {};
@@ -347,6 +756,76 @@ export class GameLoop {
     this.lastTime = 0;
     this.accumulator = 0;
     this.frameAccumulator = 0;
+    this.alpha = 1;
+    this.profiler?.reset();
+  }
+}
+
+/**
+ * Keeps the previous fixed-step values of some numeric fields of an entity,
+ * so rendering can blend between them and the current ones using the loop `alpha`.
+ *
+ * Call `capture()` at the start of every fixed step _(before mutating the target)_,
+ * and `interpolate(alpha)` when rendering.
+ * After teleporting the target _(wrapping around, dragging, etc...)_ call `capture()` again
+ * so the jump isn't smeared across a frame.
+ *
+ * @template {Record<string, any>} TTarget
+ * @template {keyof TTarget & string} TKey
+ *
+ * @example
+ * ```js
+ * const ballState = new InterpolatedState(ball, ["x", "y"]);
+ *
+ * new GameLoop({
+ *   fixedUpdate(step) {
+ *     ballState.capture();
+ *     ball.update(step);
+ *   },
+ *   render(alpha) {
+ *     const { x, y } = ballState.interpolate(alpha);
+ *     ball.draw(x, y);
+ *   },
+ * });
+ * ```
+ */
+export class InterpolatedState {
+  /**
+   * @param {TTarget} target
+   * @param {TKey[]} keys - Keys of numeric fields on the target to track.
+   */
+  constructor(target, keys) {
+    this.target = target;
+    this.keys = keys;
+    /** @type {Record<TKey, number>} */
+    this.previous = /** @type {Record<TKey, number>} */ ({});
+    /** @type {Record<TKey, number>} */
+    this.rendered = /** @type {Record<TKey, number>} */ ({});
+    this.capture();
+  }
+
+  /**
+   * Stores the current values of the tracked fields as the previous state.
+   */
+  capture() {
+    for (const key of this.keys) {
+      this.previous[key] = this.rendered[key] = this.target[key];
+    }
+  }
+
+  /**
+   * Blends the previous and current values of the tracked fields.
+   * The returned object is reused between calls.
+   *
+   * @param {number} alpha
+   * @returns {Readonly<Record<TKey, number>>}
+   */
+  interpolate(alpha) {
+    for (const key of this.keys) {
+      this.rendered[key] = lerp(this.previous[key], this.target[key], alpha);
+    }
+
+    return this.rendered;
   }
 }
 
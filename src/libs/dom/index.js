@@ -1,125 +1,479 @@
 /**
- * @import { TLoadAsset, TElementTypeMapperForAssets, TResult } from "#libs/types/common.js";
+ * @import { TLoadAsset, TLoadAtlas, TLoadedAsset, TLoadedAtlas, TLoadFont, TElementTypeMapperForAssets, TResult } from "#libs/types/common.js";
  * @import { CleanupManager } from "../cleanup";
  */
 // eslint-disable-next-line @typescript-eslint/no-unused-vars
 import _commonTypes from "#libs/types/common.js";
+import { delay } from "#libs/load.js";
 import { limitDecimalPlaces } from "../math";
 
 /**
- * Loads an image from a given source and returns its dimensions.
- * @param {string} src - The source URL of the image.
- * @returns {Promise<TResult<HTMLImageElement>>}
+ * @typedef {{
+ *   timeoutMS?: number;
+ * }} LoadOneElementOptions
+ *
+ * @typedef {{
+ *   asset: TLoadAsset;
+ *   index: number;
+ *   status: "loaded" | "retrying" | "failed";
+ *   attempt: number;
+ *   error: Error | null;
+ *   bytes: number | null;
+ *   loaded: number;
+ *   failed: number;
+ *   total: number;
+ *   loadedBytes: number;
+ * }} AssetLoadProgress
+ *
+ * @typedef {{
+ *   asset: TLoadAsset;
+ *   index: number;
+ *   attempts: number;
+ *   error: Error;
+ * }} AssetLoadFailure
+ *
+ * @typedef {{
+ *   retries?: number;
+ *   retryDelayMS?: number;
+ *   timeoutMS?: number;
+ *   onProgress?: (progress: AssetLoadProgress) => void;
+ * }} LoadManyAssetsOptions
  */
-export async function loadOneImageElement(src) {
+
+/**
+ * Waits for a media element to load, or gives up after `timeoutMS` and stops its download.
+ *
+ * @template {HTMLImageElement|HTMLAudioElement} TElement
+ * @param {TElement} element
+ * @param {{
+ *   src: string;
+ *   kind: "image" | "audio";
+ *   loadEvent: "load" | "loadeddata";
+ *   validate?: (element: TElement) => Error | null;
+ * } & LoadOneElementOptions} options
+ * @returns {Promise<TResult<TElement>>}
+ */
+function loadOneMediaElement(element, options) {
   return new Promise((resolve) => {
-    const image = new Image();
-    image.onload = function (event) {
-      const target = /** @type {HTMLImageElement} */ (event.target);
-      if ("naturalHeight" in target && "naturalWidth" in target) {
-        if (
-          target.naturalHeight + target.naturalWidth === 0 ||
-          target.width + target.height === 0
-        ) {
-          resolve([new Error("Image has no dimensions"), null]);
-          return;
-        }
-      }
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    let timeoutId;
+
+    /** @param {TResult<TElement>} result */
+    const settle = (result) => {
+      clearTimeout(timeoutId);
+      element.removeEventListener(options.loadEvent, handleLoad);
+      element.removeEventListener("error", handleError);
+      resolve(result);
+    };
 
-      // Once the image is loaded, resolve the promise with its natural dimensions.
-      resolve([null, image]);
+    const handleLoad = () => {
+      const error = options.validate?.(element) ?? null;
+      settle(error ? [error, null] : [null, element]);
     };
 
-    image.onerror = function (error) {
-      // Reject the promise if the image fails to load.
+    /** @param {Event} event */
+    const handleError = (event) => {
       const message =
-        error instanceof Error
-          ? error.message
-          : typeof error === "string"
-          ? error
-          : `Error loading as image: ${src}`;
-
-      resolve([new Error(`Failed to load image at ${src}: ${message}`), null]);
+        event instanceof ErrorEvent && event.message
+          ? event.message
+          : `Error loading as ${options.kind}: ${options.src}`;
+
+      settle([
+        new Error(
+          `Failed to load ${options.kind} at ${options.src}: ${message}`,
+        ),
+        null,
+      ]);
     };
 
-    image.src = src;
+    element.addEventListener(options.loadEvent, handleLoad);
+    element.addEventListener("error", handleError);
+
+    if (options.timeoutMS !== undefined && options.timeoutMS > 0) {
+      timeoutId = setTimeout(() => {
+        settle([
+          new Error(
+            `Timed out loading ${options.kind} at ${options.src} after ${options.timeoutMS}ms`,
+          ),
+          null,
+        ]);
+        // Stops the download
+        element.removeAttribute("src");
+        if (element instanceof HTMLAudioElement) {
+          element.load();
+        }
+      }, options.timeoutMS);
+    }
+
+    element.src = options.src;
   });
 }
 
 /**
  * Loads an image from a given source and returns its dimensions.
+ * @param {string} src - The source URL of the image.
+ * @param {LoadOneElementOptions} [options]
+ * @returns {Promise<TResult<HTMLImageElement>>}
+ */
+export async function loadOneImageElement(src, options) {
+  return loadOneMediaElement(new Image(), {
+    ...options,
+    src,
+    kind: "image",
+    loadEvent: "load",
+    validate: (image) =>
+      image.naturalHeight + image.naturalWidth === 0 ||
+      image.width + image.height === 0
+        ? new Error("Image has no dimensions")
+        : null,
+  });
+}
+
+/**
+ * Loads an audio from a given source, resolved once its first frame can be played.
  * @param {string} src - The source URL of the audio.
+ * @param {LoadOneElementOptions} [options]
  * @returns {Promise<TResult<HTMLAudioElement>>}
  */
-export async function loadOneAudioElement(src) {
-  return new Promise((resolve) => {
-    const audio = new Audio();
-    audio.preload = "auto";
-    // eslint-disable-next-line @typescript-eslint/no-unused-vars
-    audio.onloadeddata = function (_event) {
-      // Once the audio is loaded, resolve the promise with its natural dimensions.
-      resolve([null, audio]);
-    };
+export async function loadOneAudioElement(src, options) {
+  const audio = new Audio();
+  audio.preload = "auto";
+  return loadOneMediaElement(audio, {
+    ...options,
+    src,
+    kind: "audio",
+    loadEvent: "loadeddata",
+  });
+}
 
-    audio.onerror = function (error) {
-      // Reject the promise if the image fails to load.
-      const message =
-        error instanceof Error
-          ? error.message
-          : typeof error === "string"
-          ? error
-          : `Error loading as audio: ${src}`;
+/**
+ * Fetches a URL, aborting it after `timeoutMS`, and fails on HTTP errors.
+ *
+ * @param {string} src
+ * @param {LoadOneElementOptions} [options]
+ * @returns {Promise<TResult<Response>>}
+ */
+async function fetchAsset(src, options) {
+  const controller = new AbortController();
+  const timeoutId =
+    options?.timeoutMS !== undefined && options.timeoutMS > 0
+      ? setTimeout(() => controller.abort(), options.timeoutMS)
+      : undefined;
+
+  try {
+    const response = await fetch(src, { signal: controller.signal });
+    if (!response.ok) {
+      return [
+        new Error(
+          `Failed to fetch ${src}: ${response.status} ${response.statusText}`,
+        ),
+        null,
+      ];
+    }
+    return [null, response];
+  } catch (error) {
+    return [
+      new Error(
+        controller.signal.aborted
+          ? `Timed out fetching ${src} after ${options?.timeoutMS}ms`
+          : `Failed to fetch ${src}: ${error instanceof Error ? error.message : String(error)}`,
+      ),
+      null,
+    ];
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-      resolve([new Error(`Failed to load image at ${src}: ${message}`), null]);
-    };
+/**
+ * @param {string} src - The source URL of the text, e.g. a shader.
+ * @param {LoadOneElementOptions} [options]
+ * @returns {Promise<TResult<string>>}
+ */
+export async function loadOneText(src, options) {
+  const [responseError, response] = await fetchAsset(src, options);
+  if (responseError) {
+    return [responseError, null];
+  }
 
-    audio.src = src;
-  });
+  try {
+    return [null, await response.text()];
+  } catch (error) {
+    return [
+      new Error(
+        `Failed to read ${src} as text: ${error instanceof Error ? error.message : String(error)}`,
+      ),
+      null,
+    ];
+  }
+}
+
+/**
+ * @param {string} src - The source URL of the JSON.
+ * @param {LoadOneElementOptions} [options]
+ * @returns {Promise<TResult<unknown>>}
+ */
+export async function loadOneJSON(src, options) {
+  const [textError, text] = await loadOneText(src, options);
+  if (textError) {
+    return [textError, null];
+  }
+
+  try {
+    return [null, JSON.parse(text)];
+  } catch (error) {
+    return [
+      new Error(
+        `Failed to parse ${src} as JSON: ${error instanceof Error ? error.message : String(error)}`,
+      ),
+      null,
+    ];
+  }
+}
+
+/**
+ * Loads a font and adds it to `document.fonts`, so it can be used by its family in canvas `font`s and CSS.
+ *
+ * @param {TLoadFont} asset
+ * @param {LoadOneElementOptions} [options]
+ * @returns {Promise<TResult<FontFace>>}
+ */
+export async function loadOneFont(asset, options) {
+  const fontFace = new FontFace(
+    asset.family,
+    `url(${JSON.stringify(asset.src)})`,
+    asset.descriptors,
+  );
+
+  /** @type {ReturnType<typeof setTimeout>|undefined} */
+  let timeoutId;
+  try {
+    await Promise.race([
+      fontFace.load(),
+      new Promise((_, reject) => {
+        if (options?.timeoutMS !== undefined && options.timeoutMS > 0) {
+          timeoutId = setTimeout(
+            () =>
+              reject(
+                new Error(
+                  `Timed out loading font at ${asset.src} after ${options.timeoutMS}ms`,
+                ),
+              ),
+            options.timeoutMS,
+          );
+        }
+      }),
+    ]);
+  } catch (error) {
+    return [
+      error instanceof Error && error.message.startsWith("Timed out")
+        ? error
+        : new Error(
+            `Failed to load font "${asset.family}" at ${asset.src}: ${error instanceof Error ? error.message : String(error)}`,
+          ),
+      null,
+    ];
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  document.fonts.add(fontFace);
+  return [null, fontFace];
 }
 
 /**
- * Preloads multiple assets in parallel using your existing createImage.
- * Supports both images and audio for now.
+ * Loads a sprite atlas descriptor, then its image.
+ * The image is `asset.image` or the descriptor `meta.image` _(as exported by TexturePacker and Aseprite)_,
+ * relative to the descriptor URL.
+ *
+ * @param {TLoadAtlas} asset
+ * @param {LoadOneElementOptions} [options]
+ * @returns {Promise<TResult<TLoadedAtlas>>}
+ */
+export async function loadOneAtlas(asset, options) {
+  const [dataError, data] = await loadOneJSON(asset.src, options);
+  if (dataError) {
+    return [dataError, null];
+  }
+
+  const metaImage =
+    typeof data === "object" &&
+    data !== null &&
+    "meta" in data &&
+    typeof data.meta === "object" &&
+    data.meta !== null &&
+    "image" in data.meta &&
+    typeof data.meta.image === "string"
+      ? data.meta.image
+      : undefined;
+  const imageSrc = asset.image ?? metaImage;
+  if (!imageSrc) {
+    return [
+      new Error(
+        `Atlas ${asset.src} has no image, set its \`image\` or the descriptor \`meta.image\``,
+      ),
+      null,
+    ];
+  }
+
+  const [imageError, image] = await loadOneImageElement(
+    new URL(imageSrc, new URL(asset.src, document.baseURI)).href,
+    options,
+  );
+  if (imageError) {
+    return [imageError, null];
+  }
+
+  return [null, { data, image }];
+}
+
+/**
+ * The downloaded size of a loaded URL, from the Resource Timing entries.
+ * It's unknown for cross-origin resources without a `Timing-Allow-Origin` header.
+ *
+ * @param {string} src
+ * @returns {number|null}
+ */
+function getLoadedBytes(src) {
+  if (typeof performance === "undefined" || !performance.getEntriesByName) {
+    return null;
+  }
+
+  const url = new URL(src, document.baseURI).href;
+  const entry = /** @type {PerformanceResourceTiming|undefined} */ (
+    performance.getEntriesByName(url, "resource").at(-1)
+  );
+  return entry?.encodedBodySize || entry?.transferSize || null;
+}
+
+/**
+ * An error listing every asset `loadManyAssets` couldn't load.
+ */
+export class AssetsLoadError extends Error {
+  /** @param {AssetLoadFailure[]} failures */
+  constructor(failures) {
+    super(
+      `Failed to preload ${failures.length} asset${failures.length === 1 ? "" : "s"}:\n${failures
+        .map((failure) => `- ${failure.asset.src}: ${failure.error.message}`)
+        .join("\n")}`,
+    );
+    this.name = "AssetsLoadError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * Preloads multiple assets in parallel.
+ * Supports images, audio, JSON, text _(e.g. shaders)_, fonts and sprite atlases.
+ *
+ * Each asset is tried again `retries` times, waiting `retryDelayMS` then twice as long each time,
+ * and `onProgress` is called every time one loads, fails or is about to be tried again.
+ * Every asset is waited for even when some fail, so the error lists all of them.
  *
  * @template {TLoadAsset[]} TAssetsInfo
  * @param {TAssetsInfo} assetsInfo
- * @returns {Promise<TResult<TElementTypeMapperForAssets<TAssetsInfo>>>}
+ * @param {LoadManyAssetsOptions} [options]
+ * @returns {Promise<TResult<TElementTypeMapperForAssets<TAssetsInfo>>>} The error is an `AssetsLoadError`.
  */
-export async function loadManyAssets(assetsInfo) {
-  const entries = await Promise.all(
-    assetsInfo.map(async (asset) => {
-      if (asset.type === "image") {
-        const [err, result] = await loadOneImageElement(asset.src);
-        if (err) {
-          return /** @type {const} */ ([
-            new Error(`Failed to preload ${asset.src}: ${err.message}`),
-            null,
-          ]);
+export async function loadManyAssets(assetsInfo, options = {}) {
+  const retries = options.retries ?? 2;
+  const retryDelayMS = options.retryDelayMS ?? 500;
+  const timeoutMS = options.timeoutMS ?? 15000;
+
+  const total = assetsInfo.length;
+  let loaded = 0;
+  let failed = 0;
+  let loadedBytes = 0;
+
+  /** @type {AssetLoadFailure[]} */
+  const failures = [];
+  const resultValue = new Array(total);
+
+  /**
+   * @param {TLoadAsset} asset
+   * @returns {Promise<TResult<TLoadedAsset>>}
+   */
+  const loadAsset = async (asset) => {
+    if (asset.type === "image") {
+      return loadOneImageElement(asset.src, { timeoutMS });
+    }
+    if (asset.type === "audio") {
+      return loadOneAudioElement(asset.src, { timeoutMS });
+    }
+    if (asset.type === "json") {
+      return loadOneJSON(asset.src, { timeoutMS });
+    }
+    if (asset.type === "text") {
+      return loadOneText(asset.src, { timeoutMS });
+    }
+    if (asset.type === "font") {
+      return loadOneFont(asset, { timeoutMS });
+    }
+    if (asset.type === "atlas") {
+      return loadOneAtlas(asset, { timeoutMS });
+    }
+    return [
+      new Error(
+        `Unknown asset type: ${/** @type {{ type: string }} */ (asset).type}`,
+      ),
+      null,
+    ];
+  };
+
+  await Promise.all(
+    assetsInfo.map(async (asset, index) => {
+      for (let attempt = 1; ; attempt++) {
+        const [err, result] = await loadAsset(asset);
+
+        if (!err) {
+          const bytes = getLoadedBytes(asset.src);
+          loaded++;
+          loadedBytes += bytes ?? 0;
+          resultValue[index] = result;
+          options.onProgress?.({
+            asset,
+            index,
+            status: "loaded",
+            attempt,
+            error: null,
+            bytes,
+            loaded,
+            failed,
+            total,
+            loadedBytes,
+          });
+          return;
         }
-        return /** @type {const} */ ([null, result]);
-      } else if (asset.type === "audio") {
-        const [err, result] = await loadOneAudioElement(asset.src);
-        if (err) {
-          return /** @type {const} */ ([
-            new Error(`Failed to preload ${asset.src}: ${err.message}`),
-            null,
-          ]);
+
+        const isLastAttempt = attempt > retries;
+        if (isLastAttempt) {
+          failed++;
+          failures.push({ asset, index, attempts: attempt, error: err });
         }
-        return /** @type {const} */ ([null, result]);
+        options.onProgress?.({
+          asset,
+          index,
+          status: isLastAttempt ? "failed" : "retrying",
+          attempt,
+          error: err,
+          bytes: null,
+          loaded,
+          failed,
+          total,
+          loadedBytes,
+        });
+        if (isLastAttempt) {
+          return;
+        }
+
+        await delay(retryDelayMS * 2 ** (attempt - 1));
       }
-      return /** @type {const} */ ([new Error("Unknown asset type"), null]);
     }),
   );
 
-  const resultValue = new Array(entries.length);
-
-  for (let i = 0; i < entries.length; i++) {
-    const [err, result] = entries[i];
-    if (err) {
-      return [err, null];
-    }
-
-    resultValue[i] = result;
+  if (failures.length > 0) {
+    failures.sort((a, b) => a.index - b.index);
+    return [new AssetsLoadError(failures), null];
   }
 
   return [
@@ -310,6 +664,23 @@ export class CanvasConfig {
     return this;
   }
 
+  /**
+   * Converts a point of the viewport _(e.g. a pointer `clientX`/`clientY`)_
+   * to the render space the game draws in.
+   *
+   * @param {number} clientX
+   * @param {number} clientY
+   * @param {{ left: number; top: number; width: number; height: number }} [rect=this.dom] - The canvas bounding box,
+   * pass a fresh `canvas.getBoundingClientRect()` when the page may have scrolled since the last resize.
+   * @returns {[x: number, y: number]}
+   */
+  toRenderSpace(clientX, clientY, rect = this.dom) {
+    return [
+      ((clientX - rect.left) / rect.width) * this.render.width,
+      ((clientY - rect.top) / rect.height) * this.render.height,
+    ];
+  }
+
   /**
    * @template {HTMLCanvasElement|undefined} [TCanvas=undefined]
    * @template {CanvasRenderingContext2D|undefined} [TCtx=undefined]
@@ -0,0 +1,193 @@
+/** @import { GameLoopPhase } from "#libs/create-game-loop.js"; */
+
+/**
+ * @typedef {{
+ *   time: number;
+ *   elapsedMS: number;
+ *   workMS: number;
+ * }} LongFrameEvent
+ *
+ * @typedef {{
+ *   fps: number;
+ *   renderFps: number;
+ *   frameTimeMS: number;
+ *   workTimeMS: number;
+ *   phasesMS: Record<GameLoopPhase, number>;
+ *   fixedSteps: number;
+ *   fixedStepClampHits: number;
+ *   longFrames: number;
+ *   recentLongFrames: LongFrameEvent[];
+ *   frames: number;
+ * }} FrameStats
+ *
+ * @typedef {{
+ *   smoothing?: number;
+ *   longFrameMS?: number;
+ *   maxLongFrameEvents?: number;
+ *   onLongFrame?: (event: LongFrameEvent) => void;
+ * }} FrameProfilerOptions
+ */
+
+/**
+ * Collects timings of a `GameLoop` frames.
+ * Frame and phase times are smoothed with an exponential moving average,
+ * the render FPS is counted over one second windows.
+ */
+export class FrameProfiler {
+  frames = 0;
+  fixedSteps = 0;
+  fixedStepClampHits = 0;
+  longFrames = 0;
+  /** @type {LongFrameEvent[]} */
+  recentLongFrames = [];
+
+  frameTimeMS = 0;
+  workTimeMS = 0;
+  /** @type {Record<GameLoopPhase, number>} */
+  phasesMS = { update: 0, fixedUpdate: 0, render: 0 };
+  /** @type {Record<GameLoopPhase, number>} */
+  currentPhasesMS = { update: 0, fixedUpdate: 0, render: 0 };
+
+  renderFps = 0;
+  renderCount = 0;
+  renderWindowMS = 0;
+
+  frameStartTime = 0;
+  phaseStartTime = 0;
+  frameElapsedMS = 0;
+
+  /**
+   * @param {() => number} now - Where the time is read from in milliseconds, `GameLoop` passes `performance.now`
+   * since the cost of a frame is real time, even under a `ManualClock`.
+   * @param {FrameProfilerOptions} [options]
+   */
+  constructor(now, options = {}) {
+    this.now = now;
+    /** The weight of the latest sample in the moving averages, in the range `(0, 1]`. */
+    this.smoothing = options.smoothing ?? 0.1;
+    /** Frames taking longer than this, between two frames or to process, are reported. */
+    this.longFrameMS = options.longFrameMS ?? 50;
+    this.maxLongFrameEvents = options.maxLongFrameEvents ?? 20;
+    this.onLongFrame = options.onLongFrame;
+
+    if (this.smoothing <= 0 || this.smoothing > 1) {
+      throw new Error("Profiler smoothing must be in the range (0, 1].");
+    }
+  }
+
+  /**
+   * @param {number} elapsedMS - The raw time since the previous frame, before any clamping.
+   */
+  beginFrame(elapsedMS) {
+    this.frameStartTime = this.now();
+    this.frameElapsedMS = elapsedMS;
+    this.currentPhasesMS.update = 0;
+    this.currentPhasesMS.fixedUpdate = 0;
+    this.currentPhasesMS.render = 0;
+    this.fixedSteps = 0;
+
+    this.frameTimeMS =
+      this.frames === 0 ? elapsedMS : this.smooth(this.frameTimeMS, elapsedMS);
+    this.frames++;
+
+    this.renderWindowMS += elapsedMS;
+    if (this.renderWindowMS >= 1000) {
+      this.renderFps = (this.renderCount * 1000) / this.renderWindowMS;
+      this.renderCount = 0;
+      this.renderWindowMS = 0;
+    }
+  }
+
+  beginPhase() {
+    this.phaseStartTime = this.now();
+  }
+
+  /** @param {GameLoopPhase} phase */
+  endPhase(phase) {
+    this.currentPhasesMS[phase] += this.now() - this.phaseStartTime;
+
+    if (phase === "fixedUpdate") {
+      this.fixedSteps++;
+    } else if (phase === "render") {
+      this.renderCount++;
+    }
+  }
+
+  recordFixedStepClampHit() {
+    this.fixedStepClampHits++;
+  }
+
+  endFrame() {
+    const workMS = this.now() - this.frameStartTime;
+    this.workTimeMS = this.smooth(this.workTimeMS, workMS);
+    this.phasesMS.update = this.smooth(
+      this.phasesMS.update,
+      this.currentPhasesMS.update,
+    );
+    this.phasesMS.fixedUpdate = this.smooth(
+      this.phasesMS.fixedUpdate,
+      this.currentPhasesMS.fixedUpdate,
+    );
+    this.phasesMS.render = this.smooth(
+      this.phasesMS.render,
+      this.currentPhasesMS.render,
+    );
+
+    if (this.frameElapsedMS > this.longFrameMS || workMS > this.longFrameMS) {
+      /** @type {LongFrameEvent} */
+      const event = {
+        time: this.frameStartTime,
+        elapsedMS: this.frameElapsedMS,
+        workMS,
+      };
+      this.longFrames++;
+      this.recentLongFrames.push(event);
+      if (this.recentLongFrames.length > this.maxLongFrameEvents) {
+        this.recentLongFrames.shift();
+      }
+      this.onLongFrame?.(event);
+    }
+  }
+
+  /**
+   * @param {number} average
+   * @param {number} sample
+   */
+  smooth(average, sample) {
+    return average + (sample - average) * this.smoothing;
+  }
+
+  /**
+   * A snapshot of the collected stats, safe to keep around.
+   *
+   * @returns {FrameStats}
+   */
+  getStats() {
+    return {
+      fps: this.frameTimeMS > 0 ? 1000 / this.frameTimeMS : 0,
+      renderFps: this.renderFps,
+      frameTimeMS: this.frameTimeMS,
+      workTimeMS: this.workTimeMS,
+      phasesMS: { ...this.phasesMS },
+      fixedSteps: this.fixedSteps,
+      fixedStepClampHits: this.fixedStepClampHits,
+      longFrames: this.longFrames,
+      recentLongFrames: [...this.recentLongFrames],
+      frames: this.frames,
+    };
+  }
+
+  reset() {
+    this.frames = 0;
+    this.fixedSteps = 0;
+    this.fixedStepClampHits = 0;
+    this.longFrames = 0;
+    this.recentLongFrames.length = 0;
+    this.frameTimeMS = 0;
+    this.workTimeMS = 0;
+    this.phasesMS = { update: 0, fixedUpdate: 0, render: 0 };
+    this.renderFps = 0;
+    this.renderCount = 0;
+    this.renderWindowMS = 0;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ * @import { FrameStats } from "#libs/frame-profiler.js";
+ */
+
+import { SYSTEM_PRIORITY } from "#libs/create-game-loop.js";
+
+/**
+ * @param {FrameStats} stats
+ * @returns {string[]}
+ */
+export function formatFrameStats(stats) {
+  return [
+    `FPS: ${stats.fps.toFixed(0)} (render ${stats.renderFps.toFixed(0)})`,
+    `Frame: ${stats.frameTimeMS.toFixed(2)}ms (work ${stats.workTimeMS.toFixed(2)}ms)`,
+    `Update: ${stats.phasesMS.update.toFixed(2)}ms`,
+    `Fixed: ${stats.phasesMS.fixedUpdate.toFixed(2)}ms (${stats.fixedSteps} steps)`,
+    `Render: ${stats.phasesMS.render.toFixed(2)}ms`,
+    `Clamp hits: ${stats.fixedStepClampHits}`,
+    `Long frames: ${stats.longFrames}`,
+  ];
+}
+
+/**
+ * Draws the stats in a box on the canvas, meant to be called last in a `render`.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {FrameStats} stats
+ * @param {{ x?: number; y?: number; font?: string; lineHeight?: number }} [options]
+ */
+export function drawFrameStatsOverlay(ctx, stats, options = {}) {
+  const x = options.x ?? 8;
+  const y = options.y ?? 8;
+  const lineHeight = options.lineHeight ?? 14;
+  const lines = formatFrameStats(stats);
+
+  ctx.save();
+  ctx.font = options.font ?? "11px monospace";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+
+  let width = 0;
+  for (const line of lines) {
+    width = Math.max(width, ctx.measureText(line).width);
+  }
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.fillRect(x, y, width + 12, lines.length * lineHeight + 8);
+  ctx.fillStyle = "#bef264";
+  for (let i = 0; i < lines.length; i++) {
+    ctx.fillText(lines[i], x + 6, y + 4 + i * lineHeight);
+  }
+  ctx.restore();
+}
+
+/**
+ * @param {CleanupManager} cleanupManager
+ * @param {string} toggleKey - Matched against both `KeyboardEvent.key` and `KeyboardEvent.code`.
+ * @param {() => void} onToggle
+ */
+function registerToggleKey(cleanupManager, toggleKey, onToggle) {
+  cleanupManager.registerWindowEventListener({
+    type: "keydown",
+    listener: (e) => {
+      if (e.repeat || (e.key !== toggleKey && e.code !== toggleKey)) {
+        return;
+      }
+      e.preventDefault();
+      onToggle();
+    },
+  });
+}
+
+/**
+ * A stats overlay drawn on the game canvas, toggled with a key.
+ *
+ * @param {{
+ *   gameLoop: GameLoop;
+ *   cleanupManager: CleanupManager;
+ *   toggleKey?: string;
+ *   visible?: boolean;
+ * }} options
+ *
+ * @example
+ * ```js
+ * const statsOverlay = createFrameStatsOverlay({ gameLoop, cleanupManager });
+ * // At the end of the `render`
+ * statsOverlay.draw(ctx);
+ * ```
+ */
+export function createFrameStatsOverlay(options) {
+  let visible = options.visible ?? false;
+  registerToggleKey(options.cleanupManager, options.toggleKey ?? "F3", () => {
+    visible = !visible;
+  });
+
+  return {
+    isVisible: () => visible,
+    toggle: () => {
+      visible = !visible;
+    },
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Parameters<typeof drawFrameStatsOverlay>[2]} [drawOptions]
+     */
+    draw: (ctx, drawOptions) => {
+      const stats = visible && options.gameLoop.getStats();
+      if (!stats) return;
+      drawFrameStatsOverlay(ctx, stats, drawOptions);
+    },
+  };
+}
+
+/**
+ * A stats panel as a DOM element over the page, toggled with a key.
+ * It's refreshed from the loop `render` phase a few times per second.
+ *
+ * @param {{
+ *   gameLoop: GameLoop;
+ *   cleanupManager: CleanupManager;
+ *   container?: HTMLElement;
+ *   toggleKey?: string;
+ *   visible?: boolean;
+ *   refreshMS?: number;
+ * }} options
+ */
+export function createFrameStatsPanel(options) {
+  const refreshMS = options.refreshMS ?? 250;
+  let visible = options.visible ?? false;
+  let lastRefreshTime = -Infinity;
+
+  const panel = document.createElement("pre");
+  panel.className =
+    "fixed top-2 right-2 z-50 m-0 p-2 rounded text-xs font-mono bg-black/70 text-lime-300 pointer-events-none";
+  panel.hidden = !visible;
+  (options.container ?? document.body).appendChild(panel);
+  options.cleanupManager.register(() => {
+    panel.remove();
+  });
+
+  const toggle = () => {
+    visible = !visible;
+    panel.hidden = !visible;
+    lastRefreshTime = -Infinity;
+  };
+  registerToggleKey(options.cleanupManager, options.toggleKey ?? "F3", toggle);
+
+  options.gameLoop.addSystem(
+    "render",
+    () => {
+      if (!visible) return;
+
+      const now = options.gameLoop.clock.now();
+      if (now - lastRefreshTime < refreshMS) return;
+      lastRefreshTime = now;
+
+      const stats = options.gameLoop.getStats();
+      panel.textContent = stats
+        ? formatFrameStats(stats).join("\n")
+        : "Profiler disabled";
+    },
+    {
+      priority: SYSTEM_PRIORITY.AFTER + 1,
+      cleanupManager: options.cleanupManager,
+    },
+  );
+
+  return {
+    element: panel,
+    isVisible: () => visible,
+    toggle,
+  };
+}
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { GameLoop } from "#libs/create-game-loop.js";
+
+/**
+ * @param {number} [timeScale]
+ */
+function createCountingLoop(timeScale) {
+  const counts = { fixedUpdate: 0, render: 0 };
+  const gameLoop = new GameLoop({
+    timeScale,
+    profiler: false,
+    fixedUpdate() {
+      counts.fixedUpdate++;
+    },
+    render() {
+      counts.render++;
+    },
+  });
+  return { gameLoop, counts };
+}
+
+describe("GameLoop timeScale", () => {
+  it("slows the game time and fixed steps, not the renders", () => {
+    const { gameLoop, counts } = createCountingLoop();
+
+    gameLoop.setTimeScale(0.5);
+    gameLoop.step(60);
+
+    assert.equal(counts.fixedUpdate, 30);
+    assert.equal(counts.render, 60);
+    assert.ok(Math.abs(gameLoop.gameTimeS - 0.5) < 1e-9);
+  });
+
+  it("freezes the game time at `0`, still rendering", () => {
+    const { gameLoop, counts } = createCountingLoop(0);
+
+    gameLoop.step(60);
+
+    assert.equal(counts.fixedUpdate, 0);
+    assert.equal(counts.render, 60);
+    assert.equal(gameLoop.gameTimeS, 0);
+  });
+
+  it("rejects a negative, `NaN` or infinite time scale", () => {
+    for (const timeScale of [-1, NaN, Infinity]) {
+      assert.throws(() => createCountingLoop(timeScale));
+      assert.throws(() =>
+        createCountingLoop().gameLoop.setTimeScale(timeScale),
+      );
+    }
+  });
+});
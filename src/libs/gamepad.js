@@ -0,0 +1,378 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ * @import { InputButtonId, InputManager } from "#libs/input.js";
+ */
+
+import { SYSTEM_PRIORITY } from "#libs/create-game-loop.js";
+import { clamp } from "#libs/math.js";
+
+/**
+ * The part of a `Gamepad` that is read, so a plain object can stand in for one.
+ *
+ * @typedef {{
+ *   index: number;
+ *   id: string;
+ *   connected: boolean;
+ *   mapping: string;
+ *   buttons: readonly { pressed: boolean; value: number }[];
+ *   axes: readonly number[];
+ * }} GamepadLike
+ *
+ * @typedef {() => readonly (GamepadLike | null)[]} GetGamepads
+ *
+ * @typedef {{
+ *   index: number;
+ *   id: string;
+ *   isStandard: boolean;
+ *   buttons: number[];
+ *   axes: number[];
+ *   heldButtonIds: Set<InputButtonId>;
+ * }} GamepadState
+ *
+ * @typedef {"left" | "right"} GamepadStick
+ *
+ * @typedef {{
+ *   input: InputManager;
+ *   cleanupManager: CleanupManager;
+ *   getGamepads?: GetGamepads;
+ *   deadzone?: number;
+ *   buttonThreshold?: number;
+ *   stickButtonThreshold?: number;
+ *   onConnect?: (gamepad: GamepadState) => void;
+ *   onDisconnect?: (gamepad: GamepadState) => void;
+ * }} GamepadInputOptions
+ */
+
+/**
+ * The buttons of the "standard" mapping in their index order.
+ * @see https://w3c.github.io/gamepad/#remapping
+ */
+const STANDARD_BUTTON_NAMES = /** @type {const} */ ([
+  "A",
+  "B",
+  "X",
+  "Y",
+  "LeftBumper",
+  "RightBumper",
+  "LeftTrigger",
+  "RightTrigger",
+  "Select",
+  "Start",
+  "LeftStickPress",
+  "RightStickPress",
+  "DpadUp",
+  "DpadDown",
+  "DpadLeft",
+  "DpadRight",
+  "Home",
+]);
+
+/** @type {Record<GamepadStick, [x: number, y: number]>} */
+const STANDARD_STICK_AXES = {
+  left: [0, 1],
+  right: [2, 3],
+};
+
+/**
+ * The button ids held on the `InputManager` by any connected gamepad with the standard mapping,
+ * bind them to actions like any key.
+ * The sticks are also buttons, held while pushed past `stickButtonThreshold` in a direction.
+ * Gamepads without the standard mapping hold `"GamepadButton<index>"` instead.
+ */
+export const GAMEPAD_BUTTON_IDS = Object.freeze({
+  a: "GamepadA",
+  b: "GamepadB",
+  x: "GamepadX",
+  y: "GamepadY",
+  leftBumper: "GamepadLeftBumper",
+  rightBumper: "GamepadRightBumper",
+  leftTrigger: "GamepadLeftTrigger",
+  rightTrigger: "GamepadRightTrigger",
+  select: "GamepadSelect",
+  start: "GamepadStart",
+  leftStickPress: "GamepadLeftStickPress",
+  rightStickPress: "GamepadRightStickPress",
+  dpadUp: "GamepadDpadUp",
+  dpadDown: "GamepadDpadDown",
+  dpadLeft: "GamepadDpadLeft",
+  dpadRight: "GamepadDpadRight",
+  home: "GamepadHome",
+  leftStickUp: "GamepadLeftStickUp",
+  leftStickDown: "GamepadLeftStickDown",
+  leftStickLeft: "GamepadLeftStickLeft",
+  leftStickRight: "GamepadLeftStickRight",
+  rightStickUp: "GamepadRightStickUp",
+  rightStickDown: "GamepadRightStickDown",
+  rightStickLeft: "GamepadRightStickLeft",
+  rightStickRight: "GamepadRightStickRight",
+});
+
+/** @type {GetGamepads} */
+function getNavigatorGamepads() {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) {
+    return [];
+  }
+
+  return navigator.getGamepads();
+}
+
+/**
+ * Polls the gamepads once per frame, and holds their buttons on an `InputManager`,
+ * so the same actions work with the keyboard and a controller.
+ *
+ * The Gamepad API has no button events, only a state to read, so `attach` polls
+ * right before the `InputManager` starts its frame.
+ * Connections and disconnections are found by polling too, so `getGamepads`
+ * can be any function, e.g. a fake one returning plain objects.
+ *
+ * @example
+ * ```js
+ * const input = new InputManager({
+ *   cleanupManager,
+ *   actions: {
+ *     "move-up": ["ArrowUp", GAMEPAD_BUTTON_IDS.dpadUp, GAMEPAD_BUTTON_IDS.leftStickUp],
+ *   },
+ * });
+ * const gamepads = new GamepadInput({ input, cleanupManager });
+ * gamepads.attach(gameLoop);
+ * input.attach(gameLoop);
+ *
+ * // In an `update`, for analog movement
+ * const [x, y] = gamepads.getStick("left");
+ * ```
+ */
+export class GamepadInput {
+  /**
+   * The connected gamepads by their `index`.
+   * @type {Map<number, GamepadState>}
+   */
+  gamepads = new Map();
+  /**
+   * The button ids held by all gamepads at the last poll.
+   * @type {Set<InputButtonId>}
+   */
+  heldButtonIds = new Set();
+
+  /** @param {GamepadInputOptions} options */
+  constructor(options) {
+    this.input = options.input;
+    this.cleanupManager = options.cleanupManager;
+    this.getGamepads = options.getGamepads ?? getNavigatorGamepads;
+    /** Stick positions closer to the center than it are read as `0`, old sticks drift. */
+    this.deadzone = options.deadzone ?? 0.2;
+    /** How far an analog button _(e.g. a trigger)_ goes down before it's held. */
+    this.buttonThreshold = options.buttonThreshold ?? 0.5;
+    /** How far a stick goes in a direction before its direction button is held. */
+    this.stickButtonThreshold = options.stickButtonThreshold ?? 0.5;
+    this.onConnect = options.onConnect;
+    this.onDisconnect = options.onDisconnect;
+
+    if (this.deadzone < 0 || this.deadzone >= 1) {
+      throw new Error("[GamepadInput] `deadzone` must be in the range [0, 1).");
+    }
+
+    this.cleanupManager.register(() => {
+      this.releaseAll();
+      this.gamepads.clear();
+    });
+  }
+
+  /**
+   * Runs `poll` at the start of every frame of the loop, before the `InputManager` is updated.
+   *
+   * @param {GameLoop} gameLoop
+   * @returns {() => void} Detaches the gamepads from the loop.
+   */
+  attach(gameLoop) {
+    return gameLoop.addSystem("update", () => this.poll(), {
+      priority: SYSTEM_PRIORITY.BEFORE - 2,
+      cleanupManager: this.cleanupManager,
+    });
+  }
+
+  /**
+   * Reads every gamepad, reports the connected and disconnected ones,
+   * and presses or releases their buttons on the `InputManager`.
+   */
+  poll() {
+    /** @type {Set<number>} */
+    const seen = new Set();
+    /** @type {Set<InputButtonId>} */
+    const heldButtonIds = new Set();
+
+    for (const gamepad of this.getGamepads()) {
+      if (!gamepad?.connected) continue;
+      seen.add(gamepad.index);
+
+      let state = this.gamepads.get(gamepad.index);
+      // A different controller can take the index of a disconnected one between two polls
+      if (state && state.id !== gamepad.id) {
+        this.gamepads.delete(gamepad.index);
+        this.onDisconnect?.(state);
+        state = undefined;
+      }
+      if (!state) {
+        state = {
+          index: gamepad.index,
+          id: gamepad.id,
+          isStandard: gamepad.mapping === "standard",
+          buttons: [],
+          axes: [],
+          heldButtonIds: new Set(),
+        };
+        this.gamepads.set(gamepad.index, state);
+        this.onConnect?.(state);
+      }
+
+      this.readGamepad(state, gamepad);
+      for (const buttonId of state.heldButtonIds) {
+        heldButtonIds.add(buttonId);
+      }
+    }
+
+    for (const [index, state] of this.gamepads) {
+      if (seen.has(index)) continue;
+      this.gamepads.delete(index);
+      this.onDisconnect?.(state);
+    }
+
+    for (const buttonId of this.heldButtonIds) {
+      if (!heldButtonIds.has(buttonId)) {
+        this.input.release(buttonId);
+      }
+    }
+    // Pressed on every poll, as the `InputManager` lets everything go when the window loses the focus
+    for (const buttonId of heldButtonIds) {
+      this.input.press(buttonId);
+    }
+    this.heldButtonIds = heldButtonIds;
+  }
+
+  /**
+   * @param {GamepadState} state
+   * @param {GamepadLike} gamepad
+   */
+  readGamepad(state, gamepad) {
+    state.heldButtonIds.clear();
+
+    state.buttons.length = gamepad.buttons.length;
+    for (let i = 0; i < gamepad.buttons.length; i++) {
+      const button = gamepad.buttons[i];
+      state.buttons[i] = button.value;
+
+      if (button.pressed || button.value >= this.buttonThreshold) {
+        const name = state.isStandard ? STANDARD_BUTTON_NAMES[i] : undefined;
+        state.heldButtonIds.add(name ? `Gamepad${name}` : `GamepadButton${i}`);
+      }
+    }
+
+    state.axes.length = gamepad.axes.length;
+    for (let i = 0; i < gamepad.axes.length; i++) {
+      state.axes[i] = clamp(gamepad.axes[i], -1, 1);
+    }
+
+    if (!state.isStandard) return;
+
+    for (const stick of /** @type {GamepadStick[]} */ (["left", "right"])) {
+      const [x, y] = this.getGamepadStick(state, stick);
+      const prefix =
+        stick === "left" ? "GamepadLeftStick" : "GamepadRightStick";
+      // The y axis points down
+      if (y <= -this.stickButtonThreshold)
+        state.heldButtonIds.add(`${prefix}Up`);
+      if (y >= this.stickButtonThreshold)
+        state.heldButtonIds.add(`${prefix}Down`);
+      if (x <= -this.stickButtonThreshold)
+        state.heldButtonIds.add(`${prefix}Left`);
+      if (x >= this.stickButtonThreshold)
+        state.heldButtonIds.add(`${prefix}Right`);
+    }
+  }
+
+  /**
+   * A stick position with the deadzone applied around its center,
+   * and rescaled so it still goes smoothly from `0` at the deadzone edge to `1`.
+   *
+   * @param {GamepadState} state
+   * @param {GamepadStick} stick
+   * @returns {[x: number, y: number]}
+   */
+  getGamepadStick(state, stick) {
+    const [xIndex, yIndex] = STANDARD_STICK_AXES[stick];
+    const x = state.axes[xIndex] ?? 0;
+    const y = state.axes[yIndex] ?? 0;
+
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= this.deadzone) {
+      return [0, 0];
+    }
+
+    const scale =
+      Math.min((magnitude - this.deadzone) / (1 - this.deadzone), 1) /
+      magnitude;
+    return [x * scale, y * scale];
+  }
+
+  /**
+   * The position of a stick, from the connected gamepad pushing it the furthest.
+   *
+   * @param {GamepadStick} [stick="left"]
+   * @returns {[x: number, y: number]} Each in `[-1, 1]` with `y` pointing down, `[0, 0]` in the deadzone.
+   */
+  getStick(stick = "left") {
+    /** @type {[x: number, y: number]} */
+    let result = [0, 0];
+    let resultMagnitude = 0;
+
+    for (const state of this.gamepads.values()) {
+      if (!state.isStandard) continue;
+
+      const position = this.getGamepadStick(state, stick);
+      const magnitude = Math.hypot(position[0], position[1]);
+      if (magnitude > resultMagnitude) {
+        result = position;
+        resultMagnitude = magnitude;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * A raw axis of one gamepad, with the deadzone applied on its own.
+   * Prefer `getStick` for the sticks, its deadzone is round rather than a cross.
+   *
+   * @param {number} gamepadIndex
+   * @param {number} axisIndex
+   * @returns {number} In `[-1, 1]`, `0` when the gamepad or axis doesn't exist.
+   */
+  getAxis(gamepadIndex, axisIndex) {
+    const value = this.gamepads.get(gamepadIndex)?.axes[axisIndex] ?? 0;
+    if (Math.abs(value) <= this.deadzone) {
+      return 0;
+    }
+
+    return (
+      (Math.sign(value) * (Math.abs(value) - this.deadzone)) /
+      (1 - this.deadzone)
+    );
+  }
+
+  /**
+   * @param {number} gamepadIndex
+   * @param {number} buttonIndex
+   * @returns {number} How far the button is down in `[0, 1]`, e.g. for the triggers.
+   */
+  getButtonValue(gamepadIndex, buttonIndex) {
+    return this.gamepads.get(gamepadIndex)?.buttons[buttonIndex] ?? 0;
+  }
+
+  /** Lets go of every button held by the gamepads. */
+  releaseAll() {
+    for (const buttonId of this.heldButtonIds) {
+      this.input.release(buttonId);
+    }
+    this.heldButtonIds.clear();
+  }
+}
@@ -0,0 +1,118 @@
+/** @import { GamepadLike } from "#libs/gamepad.js"; */
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import { CleanupManager } from "#libs/cleanup.js";
+import { GAMEPAD_BUTTON_IDS, GamepadInput } from "#libs/gamepad.js";
+import { InputManager } from "#libs/input.js";
+
+// The `InputManager` listens to the keyboard on the window
+if (typeof window === "undefined") {
+  Object.assign(globalThis, { window: new EventTarget() });
+}
+
+/**
+ * A connected standard gamepad at rest, with its 17 buttons up and its sticks centered.
+ *
+ * @param {Partial<GamepadLike>} [overrides]
+ * @returns {GamepadLike}
+ */
+function createFakeGamepad(overrides = {}) {
+  return {
+    index: 0,
+    id: "Fake Gamepad (STANDARD GAMEPAD)",
+    connected: true,
+    mapping: "standard",
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+    axes: [0, 0, 0, 0],
+    ...overrides,
+  };
+}
+
+describe("GamepadInput", () => {
+  /** @type {CleanupManager} */
+  let cleanupManager;
+  /** @type {InputManager} */
+  let input;
+  /** @type {(GamepadLike | null)[]} */
+  let fakeGamepads;
+  /** @type {string[]} */
+  let events;
+  /** @type {GamepadInput} */
+  let gamepads;
+
+  beforeEach(() => {
+    cleanupManager = new CleanupManager();
+    input = new InputManager({
+      cleanupManager,
+      actions: {
+        jump: ["Space", GAMEPAD_BUTTON_IDS.a],
+        "move-left": ["ArrowLeft", GAMEPAD_BUTTON_IDS.leftStickLeft],
+      },
+    });
+    fakeGamepads = [];
+    events = [];
+    gamepads = new GamepadInput({
+      input,
+      cleanupManager,
+      getGamepads: () => fakeGamepads,
+      onConnect: (state) => events.push(`connect ${state.index}`),
+      onDisconnect: (state) => events.push(`disconnect ${state.index}`),
+    });
+  });
+
+  it("reports the connected and disconnected gamepads found by polling", () => {
+    fakeGamepads = [createFakeGamepad(), null];
+    gamepads.poll();
+    fakeGamepads = [createFakeGamepad(), createFakeGamepad({ index: 1 })];
+    gamepads.poll();
+    fakeGamepads = [null, createFakeGamepad({ index: 1 })];
+    gamepads.poll();
+
+    assert.deepEqual(events, ["connect 0", "connect 1", "disconnect 0"]);
+    assert.deepEqual([...gamepads.gamepads.keys()], [1]);
+  });
+
+  it("holds the buttons as input actions, and lets them go", () => {
+    const gamepad = createFakeGamepad();
+    fakeGamepads = [gamepad];
+    gamepads.poll();
+    input.update();
+    assert.equal(input.isActionHeld("jump"), false);
+
+    gamepad.buttons[0].pressed = true;
+    gamepads.poll();
+    input.update();
+    assert.equal(input.isActionHeld("jump"), true);
+
+    fakeGamepads = [];
+    gamepads.poll();
+    input.update();
+    assert.equal(input.isActionHeld("jump"), false);
+  });
+
+  it("applies a round deadzone to the sticks, and holds their directions", () => {
+    const gamepad = createFakeGamepad({ axes: [-0.1, 0.1, 0, 0] });
+    fakeGamepads = [gamepad];
+    gamepads.poll();
+    assert.deepEqual(gamepads.getStick("left"), [0, 0]);
+
+    fakeGamepads = [createFakeGamepad({ axes: [-1, 0, 0, 0] })];
+    gamepads.poll();
+    input.update();
+    assert.deepEqual(gamepads.getStick("left"), [-1, 0]);
+    assert.equal(input.isActionHeld("move-left"), true);
+  });
+
+  it("lets the buttons go with the screen", () => {
+    const gamepad = createFakeGamepad();
+    gamepad.buttons[0].pressed = true;
+    fakeGamepads = [gamepad];
+    gamepads.poll();
+
+    cleanupManager.cleanup();
+    assert.equal(input.isHeld(GAMEPAD_BUTTON_IDS.a), false);
+    assert.equal(gamepads.gamepads.size, 0);
+  });
+});
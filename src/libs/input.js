@@ -0,0 +1,504 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ * @import { CanvasConfig } from "#libs/dom/index.js";
+ */
+
+import { SYSTEM_PRIORITY } from "#libs/create-game-loop.js";
+
+/**
+ * Inputs are tracked as buttons with string ids:
+ * - Keyboard keys by their `KeyboardEvent.code`, e.g. `"ArrowUp"`, `"KeyW"`, `"Space"`.
+ * - Mouse buttons as `"Mouse0"` _(main)_, `"Mouse1"` _(middle)_, `"Mouse2"` _(secondary)_.
+ * - `"Pointer"` for the main button of the primary pointer _(mouse, first touch or pen)_ on the target.
+ * - Anything else pressed through `press` / `release`, e.g. on-screen buttons.
+ *
+ * @typedef {string} InputButtonId
+ *
+ * @typedef {Record<string, InputButtonId[]>} InputActionBindings
+ *
+ * @typedef {{
+ *   x: number;
+ *   y: number;
+ *   isDown: boolean;
+ *   isInside: boolean;
+ *   hasMoved: boolean;
+ *   pointerType: string;
+ * }} InputPointerState
+ *
+ * @typedef {{
+ *   id: number;
+ *   x: number;
+ *   y: number;
+ *   isPrimary: boolean;
+ *   pointerType: string;
+ * }} InputActivePointer
+ */
+
+/** The button id held by the main button of the primary pointer. */
+export const POINTER_BUTTON_ID = "Pointer";
+
+/**
+ * `MouseEvent.button` to its `MouseEvent.buttons` bit, they don't follow the same order.
+ * @type {[button: number, mask: number][]}
+ */
+const MOUSE_BUTTON_MASKS = [
+  [0, 1],
+  [1, 4],
+  [2, 2],
+  [3, 8],
+  [4, 16],
+];
+
+/**
+ * Tracks the keyboard and pointer state per frame, and maps named actions to buttons.
+ *
+ * Events only queue changes, `update` applies them at the start of a frame,
+ * so a button is "pressed" or "released" for exactly one frame, and "held" in between.
+ * `attach` calls `update` before every other system of the loop `update` phase.
+ *
+ * @example
+ * ```js
+ * const input = new InputManager({
+ *   cleanupManager,
+ *   target: canvas,
+ *   canvasConfig,
+ *   actions: {
+ *     "move-up": ["ArrowUp", "KeyW"],
+ *     fire: ["Space", POINTER_BUTTON_ID],
+ *   },
+ * });
+ * input.attach(gameLoop);
+ *
+ * // In an `update`
+ * if (input.isActionPressed("fire")) shoot(input.pointer.x, input.pointer.y);
+ * ```
+ */
+export class InputManager {
+  /** @type {Set<InputButtonId>} */
+  held = new Set();
+  /** @type {Set<InputButtonId>} */
+  pressed = new Set();
+  /** @type {Set<InputButtonId>} */
+  released = new Set();
+  /** @type {Set<InputButtonId>} */
+  pendingPressed = new Set();
+  /** @type {Set<InputButtonId>} */
+  pendingReleased = new Set();
+  /** @type {Map<string, InputButtonId[]>} */
+  actions = new Map();
+
+  /**
+   * The last known position of the primary pointer in render space,
+   * or in target space when there is no `canvasConfig`.
+   * @type {InputPointerState}
+   */
+  pointer = {
+    x: 0,
+    y: 0,
+    isDown: false,
+    isInside: false,
+    hasMoved: false,
+    pointerType: "mouse",
+  };
+  pendingPointerMove = false;
+  /**
+   * Every pointer currently down on the target by its `pointerId`, e.g. one per finger on a touch screen.
+   * Their positions are live, not per frame.
+   * @type {Map<number, InputActivePointer>}
+   */
+  activePointers = new Map();
+  /**
+   * The pointers that went down since the previous frame, where they went down.
+   * Quick taps that already went up are still in it.
+   * @type {InputActivePointer[]}
+   */
+  pointerPresses = [];
+  /** @type {InputActivePointer[]} */
+  pendingPointerPresses = [];
+
+  /**
+   * @param {{
+   *   cleanupManager: CleanupManager;
+   *   target?: HTMLElement;
+   *   canvasConfig?: CanvasConfig;
+   *   actions?: InputActionBindings;
+   * }} options - The keyboard is listened to on the window, the pointer on the `target`.
+   */
+  constructor(options) {
+    this.cleanupManager = options.cleanupManager;
+    this.target = options.target;
+    this.canvasConfig = options.canvasConfig;
+
+    for (const [action, buttonIds] of Object.entries(options.actions ?? {})) {
+      this.bindAction(action, buttonIds);
+    }
+
+    this.cleanupManager.registerWindowEventListener({
+      type: "keydown",
+      listener: (e) => {
+        this.press(e.code);
+      },
+    });
+    this.cleanupManager.registerWindowEventListener({
+      type: "keyup",
+      listener: (e) => {
+        this.release(e.code);
+      },
+    });
+    // The key and button ups are lost while the window isn't focused
+    this.cleanupManager.registerWindowEventListener({
+      type: "blur",
+      listener: () => {
+        this.releaseAll();
+      },
+    });
+
+    if (this.target) {
+      this.registerPointerEvents(this.target);
+    }
+  }
+
+  /**
+   * Listens to the Pointer Events of the target, so the mouse, touches and pens work the same.
+   * Each pointer is captured while down, so a drag keeps going outside of the target,
+   * and the browser touch gestures _(scroll, pinch zoom)_ are turned off on it.
+   *
+   * @param {HTMLElement} target
+   */
+  registerPointerEvents(target) {
+    const prevTouchAction = target.style.touchAction;
+    target.style.touchAction = "none";
+    this.cleanupManager.register(() => {
+      target.style.touchAction = prevTouchAction;
+    });
+
+    this.cleanupManager.registerEventListener({
+      elem: target,
+      type: "pointerdown",
+      listener: (e) => {
+        target.setPointerCapture(e.pointerId);
+
+        const activePointer = this.updateActivePointer(e);
+        this.pendingPointerPresses.push({ ...activePointer });
+        if (e.isPrimary) {
+          this.updatePointer(e);
+          this.syncPointerButtons(e);
+        }
+      },
+    });
+    // Pressing another mouse button while one is down is a move, not a down
+    this.cleanupManager.registerEventListener({
+      elem: target,
+      type: "pointermove",
+      listener: (e) => {
+        if (this.activePointers.has(e.pointerId)) {
+          this.updateActivePointer(e);
+        }
+        if (e.isPrimary) {
+          this.updatePointer(e);
+          this.syncPointerButtons(e);
+        }
+      },
+    });
+    this.cleanupManager.registerEventListener({
+      elem: target,
+      type: "pointerup",
+      listener: (e) => {
+        if (e.buttons === 0) {
+          this.activePointers.delete(e.pointerId);
+        }
+        if (e.isPrimary) {
+          this.updatePointer(e);
+          this.syncPointerButtons(e);
+        }
+      },
+    });
+    // Without a capture _(e.g. it was refused)_, or when the browser takes the pointer over,
+    // the up never comes
+    for (const type of /** @type {const} */ ([
+      "pointercancel",
+      "lostpointercapture",
+    ])) {
+      this.cleanupManager.registerEventListener({
+        elem: target,
+        type,
+        listener: (e) => {
+          if (!this.activePointers.delete(e.pointerId) || !e.isPrimary) {
+            return;
+          }
+          this.releasePointerButtons();
+        },
+      });
+    }
+    this.cleanupManager.registerEventListener({
+      elem: target,
+      type: "pointerleave",
+      listener: (e) => {
+        if (e.isPrimary) {
+          this.pointer.isInside = false;
+        }
+      },
+    });
+  }
+
+  /**
+   * Holds the buttons down on the primary pointer, and releases the others.
+   *
+   * @param {PointerEvent} e
+   */
+  syncPointerButtons(e) {
+    if (e.pointerType === "mouse") {
+      for (const [button, mask] of MOUSE_BUTTON_MASKS) {
+        if (e.buttons & mask) {
+          this.press(`Mouse${button}`);
+        } else {
+          this.release(`Mouse${button}`);
+        }
+      }
+    }
+
+    // The main mouse button, a touch contact or a pen tip
+    this.pointer.isDown = (e.buttons & 1) !== 0;
+    if (this.pointer.isDown) {
+      this.press(POINTER_BUTTON_ID);
+    } else {
+      this.release(POINTER_BUTTON_ID);
+    }
+  }
+
+  /**
+   * @param {PointerEvent} e
+   * @returns {InputActivePointer}
+   */
+  updateActivePointer(e) {
+    const [x, y] = this.toLocalSpace(e.clientX, e.clientY);
+    let activePointer = this.activePointers.get(e.pointerId);
+    if (!activePointer) {
+      activePointer = {
+        id: e.pointerId,
+        x,
+        y,
+        isPrimary: e.isPrimary,
+        pointerType: e.pointerType,
+      };
+      this.activePointers.set(e.pointerId, activePointer);
+      return activePointer;
+    }
+
+    activePointer.x = x;
+    activePointer.y = y;
+    return activePointer;
+  }
+
+  /** @param {PointerEvent} e */
+  updatePointer(e) {
+    const [x, y] = this.toLocalSpace(e.clientX, e.clientY);
+    this.pointer.x = x;
+    this.pointer.y = y;
+    this.pointer.pointerType = e.pointerType;
+    // Captured pointers keep moving outside of the target, so its bounds are checked instead of relying on enter/leave
+    this.pointer.isInside = this.isClientPointInside(e.clientX, e.clientY);
+    this.pendingPointerMove = true;
+  }
+
+  /**
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  isClientPointInside(clientX, clientY) {
+    if (!this.target) return true;
+
+    const rect = this.target.getBoundingClientRect();
+    return (
+      clientX >= rect.left &&
+      clientX < rect.right &&
+      clientY >= rect.top &&
+      clientY < rect.bottom
+    );
+  }
+
+  /**
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {[x: number, y: number]}
+   */
+  toLocalSpace(clientX, clientY) {
+    if (!this.target) {
+      return [clientX, clientY];
+    }
+
+    const rect = this.target.getBoundingClientRect();
+    if (this.canvasConfig) {
+      return this.canvasConfig.toRenderSpace(clientX, clientY, rect);
+    }
+    return [clientX - rect.left, clientY - rect.top];
+  }
+
+  /**
+   * Runs `update` at the start of every frame of the loop.
+   *
+   * @param {GameLoop} gameLoop
+   * @returns {() => void} Detaches the manager from the loop.
+   */
+  attach(gameLoop) {
+    return gameLoop.addSystem("update", () => this.update(), {
+      priority: SYSTEM_PRIORITY.BEFORE - 1,
+      cleanupManager: this.cleanupManager,
+    });
+  }
+
+  /**
+   * Applies the changes queued since the previous call, starting a new input frame.
+   */
+  update() {
+    const pressed = this.pressed;
+    this.pressed = this.pendingPressed;
+    this.pendingPressed = pressed;
+    this.pendingPressed.clear();
+
+    const released = this.released;
+    this.released = this.pendingReleased;
+    this.pendingReleased = released;
+    this.pendingReleased.clear();
+
+    this.pointer.hasMoved = this.pendingPointerMove;
+    this.pendingPointerMove = false;
+
+    const pointerPresses = this.pointerPresses;
+    this.pointerPresses = this.pendingPointerPresses;
+    this.pendingPointerPresses = pointerPresses;
+    this.pendingPointerPresses.length = 0;
+  }
+
+  /**
+   * Holds a button down, it's "pressed" on the next frame.
+   * Already held buttons are ignored, so key repeats aren't new presses.
+   *
+   * @param {InputButtonId} buttonId
+   */
+  press(buttonId) {
+    if (this.held.has(buttonId)) return;
+    this.held.add(buttonId);
+    this.pendingPressed.add(buttonId);
+  }
+
+  /**
+   * Lets a held button go, it's "released" on the next frame.
+   *
+   * @param {InputButtonId} buttonId
+   */
+  release(buttonId) {
+    if (!this.held.delete(buttonId)) return;
+    this.pendingReleased.add(buttonId);
+  }
+
+  releaseAll() {
+    for (const buttonId of this.held) {
+      this.release(buttonId);
+    }
+    this.activePointers.clear();
+    this.pointer.isDown = false;
+  }
+
+  releasePointerButtons() {
+    for (const buttonId of this.held) {
+      if (buttonId === POINTER_BUTTON_ID || buttonId.startsWith("Mouse")) {
+        this.release(buttonId);
+      }
+    }
+    this.pointer.isDown = false;
+  }
+
+  /** @param {InputButtonId} buttonId */
+  isHeld(buttonId) {
+    return this.held.has(buttonId);
+  }
+
+  /**
+   * @param {InputButtonId} buttonId
+   * @returns {boolean} Whether it went down since the previous frame, true for one frame.
+   */
+  isPressed(buttonId) {
+    return this.pressed.has(buttonId);
+  }
+
+  /**
+   * @param {InputButtonId} buttonId
+   * @returns {boolean} Whether it went up since the previous frame, true for one frame.
+   */
+  isReleased(buttonId) {
+    return this.released.has(buttonId);
+  }
+
+  /**
+   * Replaces the buttons bound to an action.
+   *
+   * @param {string} action - e.g. `"move-up"`, `"fire"`.
+   * @param {InputButtonId[]} buttonIds
+   */
+  bindAction(action, buttonIds) {
+    this.actions.set(action, [...buttonIds]);
+  }
+
+  /** @param {string} action */
+  unbindAction(action) {
+    this.actions.delete(action);
+  }
+
+  /**
+   * @param {string} action
+   * @returns {InputButtonId[]}
+   */
+  getActionButtons(action) {
+    const buttonIds = this.actions.get(action);
+    if (!buttonIds) {
+      throw new Error(`[InputManager] Unknown action "${action}".`);
+    }
+    return buttonIds;
+  }
+
+  /**
+   * @param {string} action
+   * @returns {boolean} Whether any of its buttons is held.
+   */
+  isActionHeld(action) {
+    return this.getActionButtons(action).some((id) => this.held.has(id));
+  }
+
+  /**
+   * @param {string} action
+   * @returns {boolean} Whether one of its buttons went down since the previous frame,
+   * while none was held before.
+   */
+  isActionPressed(action) {
+    const buttonIds = this.getActionButtons(action);
+    return (
+      buttonIds.some((id) => this.pressed.has(id)) &&
+      buttonIds.every((id) => this.pressed.has(id) || !this.held.has(id))
+    );
+  }
+
+  /**
+   * @param {string} action
+   * @returns {boolean} Whether its last held button went up since the previous frame.
+   */
+  isActionReleased(action) {
+    const buttonIds = this.getActionButtons(action);
+    return (
+      buttonIds.some((id) => this.released.has(id)) &&
+      !buttonIds.some((id) => this.held.has(id))
+    );
+  }
+
+  /**
+   * @param {string} negativeAction - e.g. `"move-left"`.
+   * @param {string} positiveAction - e.g. `"move-right"`.
+   * @returns {-1|0|1}
+   */
+  getActionAxis(negativeAction, positiveAction) {
+    const negative = this.isActionHeld(negativeAction) ? 1 : 0;
+    const positive = this.isActionHeld(positiveAction) ? 1 : 0;
+    return /** @type {-1|0|1} */ (positive - negative);
+  }
+}
@@ -46,6 +46,20 @@ export function clamp(value, min, max) {
   return Math.max(min, Math.min(value, max));
 }
 
+/**
+ * @description
+ * Linearly interpolates between `start` and `end`.
+ * `t = 0` returns `start`, `t = 1` returns `end`.
+ *
+ * @param {number} start
+ * @param {number} end
+ * @param {number} t
+ * @returns {number}
+ */
+export function lerp(start, end, t) {
+  return start + (end - start) * t;
+}
+
 /**
  * @description truncate a number to passed precision.
  *
@@ -0,0 +1,260 @@
+/**
+ * @import { Vector2Like } from "#libs/vector2.js";
+ */
+
+/**
+ * A mutable 2D affine transform, in the same layout as the canvas `setTransform(a, b, c, d, e, f)`:
+ *
+ * ```
+ * | a c e |
+ * | b d f |
+ * | 0 0 1 |
+ * ```
+ *
+ * Like `Vector2`, the methods change the matrix in place and return it, only `clone` allocates.
+ * `translate`, `rotate` and `scale` apply in the same order as on a canvas context.
+ *
+ * @example
+ * ```js
+ * // An entity's local to world transform, and back to pick it with the pointer
+ * const transform = new Matrix2D().compose(entity.x, entity.y, entity.angle, 2, 2);
+ * const inverse = transform.clone().invert();
+ * const local = inverse?.applyToPoint(new Vector2().copy(input.pointer));
+ *
+ * transform.applyToContext(ctx);
+ * ```
+ */
+export class Matrix2D {
+  /**
+   * @param {number} [a=1]
+   * @param {number} [b=0]
+   * @param {number} [c=0]
+   * @param {number} [d=1]
+   * @param {number} [e=0]
+   * @param {number} [f=0]
+   */
+  constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+    this.a = a;
+    this.b = b;
+    this.c = c;
+    this.d = d;
+    this.e = e;
+    this.f = f;
+  }
+
+  /**
+   * @param {number} a
+   * @param {number} b
+   * @param {number} c
+   * @param {number} d
+   * @param {number} e
+   * @param {number} f
+   */
+  set(a, b, c, d, e, f) {
+    this.a = a;
+    this.b = b;
+    this.c = c;
+    this.d = d;
+    this.e = e;
+    this.f = f;
+    return this;
+  }
+
+  identity() {
+    return this.set(1, 0, 0, 1, 0, 0);
+  }
+
+  /** @param {Matrix2D} m */
+  copy(m) {
+    return this.set(m.a, m.b, m.c, m.d, m.e, m.f);
+  }
+
+  clone() {
+    return new Matrix2D(this.a, this.b, this.c, this.d, this.e, this.f);
+  }
+
+  /**
+   * `this = this × m`, so `m` applies first, like a canvas `transform` call.
+   *
+   * @param {Matrix2D} m
+   */
+  multiply(m) {
+    return this.set(
+      this.a * m.a + this.c * m.b,
+      this.b * m.a + this.d * m.b,
+      this.a * m.c + this.c * m.d,
+      this.b * m.c + this.d * m.d,
+      this.a * m.e + this.c * m.f + this.e,
+      this.b * m.e + this.d * m.f + this.f,
+    );
+  }
+
+  /**
+   * `this = m × this`, so `m` applies after, e.g. a parent's transform.
+   *
+   * @param {Matrix2D} m
+   */
+  premultiply(m) {
+    return this.set(
+      m.a * this.a + m.c * this.b,
+      m.b * this.a + m.d * this.b,
+      m.a * this.c + m.c * this.d,
+      m.b * this.c + m.d * this.d,
+      m.a * this.e + m.c * this.f + m.e,
+      m.b * this.e + m.d * this.f + m.f,
+    );
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  translate(x, y) {
+    this.e += this.a * x + this.c * y;
+    this.f += this.b * x + this.d * y;
+    return this;
+  }
+
+  /**
+   * @param {number} angle - In radians.
+   */
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return this.set(
+      this.a * cos + this.c * sin,
+      this.b * cos + this.d * sin,
+      this.c * cos - this.a * sin,
+      this.d * cos - this.b * sin,
+      this.e,
+      this.f,
+    );
+  }
+
+  /**
+   * @param {number} scaleX
+   * @param {number} [scaleY=scaleX]
+   */
+  scale(scaleX, scaleY = scaleX) {
+    this.a *= scaleX;
+    this.b *= scaleX;
+    this.c *= scaleY;
+    this.d *= scaleY;
+    return this;
+  }
+
+  /**
+   * Sets it to a translation, then a rotation and a scale around a pivot,
+   * the usual transform of an entity.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [rotation=0] - In radians.
+   * @param {number} [scaleX=1]
+   * @param {number} [scaleY=scaleX]
+   * @param {number} [pivotX=0] - In local units, the point drawn at `x`, `y`.
+   * @param {number} [pivotY=0]
+   */
+  compose(
+    x,
+    y,
+    rotation = 0,
+    scaleX = 1,
+    scaleY = scaleX,
+    pivotX = 0,
+    pivotY = 0,
+  ) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const a = cos * scaleX;
+    const b = sin * scaleX;
+    const c = -sin * scaleY;
+    const d = cos * scaleY;
+    return this.set(
+      a,
+      b,
+      c,
+      d,
+      x - a * pivotX - c * pivotY,
+      y - b * pivotX - d * pivotY,
+    );
+  }
+
+  determinant() {
+    return this.a * this.d - this.b * this.c;
+  }
+
+  /**
+   * @returns {this | null} `null` when it can't be inverted _(e.g. a scale of 0)_, and it's left unchanged.
+   */
+  invert() {
+    const det = this.determinant();
+    if (det === 0 || !Number.isFinite(det)) {
+      return null;
+    }
+
+    const invDet = 1 / det;
+    return this.set(
+      this.d * invDet,
+      -this.b * invDet,
+      -this.c * invDet,
+      this.a * invDet,
+      (this.c * this.f - this.d * this.e) * invDet,
+      (this.b * this.e - this.a * this.f) * invDet,
+    );
+  }
+
+  /**
+   * @template {Vector2Like} TOut
+   * @param {Vector2Like} point
+   * @param {TOut} [out] - Where the result goes, `point` itself by default.
+   * @returns {TOut}
+   */
+  applyToPoint(point, out = /** @type {TOut} */ (point)) {
+    const x = point.x;
+    const y = point.y;
+    out.x = this.a * x + this.c * y + this.e;
+    out.y = this.b * x + this.d * y + this.f;
+    return out;
+  }
+
+  /**
+   * Like `applyToPoint`, without the translation, e.g. for a velocity or a normal.
+   *
+   * @template {Vector2Like} TOut
+   * @param {Vector2Like} vector
+   * @param {TOut} [out] - Where the result goes, `vector` itself by default.
+   * @returns {TOut}
+   */
+  applyToVector(vector, out = /** @type {TOut} */ (vector)) {
+    const x = vector.x;
+    const y = vector.y;
+    out.x = this.a * x + this.c * y;
+    out.y = this.b * x + this.d * y;
+    return out;
+  }
+
+  /**
+   * Multiplies the context's current transform by this one, like its `transform` method.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  applyToContext(ctx) {
+    ctx.transform(this.a, this.b, this.c, this.d, this.e, this.f);
+  }
+
+  /**
+   * @param {Matrix2D} m
+   * @param {number} [epsilon=0]
+   */
+  equals(m, epsilon = 0) {
+    return (
+      Math.abs(this.a - m.a) <= epsilon &&
+      Math.abs(this.b - m.b) <= epsilon &&
+      Math.abs(this.c - m.c) <= epsilon &&
+      Math.abs(this.d - m.d) <= epsilon &&
+      Math.abs(this.e - m.e) <= epsilon &&
+      Math.abs(this.f - m.f) <= epsilon
+    );
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * @template T
+ * @typedef {{
+ *  create: () => T;
+ *  reset?: (item: T) => void; // Called on release, to clear what it held for its next use
+ *  initialSize?: number; // The items created right away (default: 0)
+ *  maxSize?: number; // The most free items kept, the extra released ones are left to the GC (default: Infinity)
+ * }} ObjectPoolOptions
+ */
+
+/**
+ * @typedef {{
+ *  free: number; // Ready to be acquired
+ *  active: number; // Acquired and not released yet
+ *  created: number;
+ *  acquired: number;
+ *  released: number;
+ *  dropped: number; // Released while the pool was full
+ * }} ObjectPoolStats
+ */
+
+/**
+ * Keeps released objects to hand them out again, instead of creating new ones,
+ * so short-lived entities _(e.g. explosions, projectiles, particles)_ don't leave garbage behind
+ * and the GC pauses don't show as frame spikes.
+ *
+ * An acquired item keeps the state of its last use, minus what `reset` clears,
+ * so it's set up by the caller, e.g. with a `spawn` method.
+ * It must not be used after it's released.
+ *
+ * @template T
+ *
+ * @example
+ * ```js
+ * const explosionsPool = new ObjectPool({
+ *   create: () => new Explosion(),
+ *   reset: (explosion) => explosion.sfx.pause(),
+ *   initialSize: 20,
+ *   maxSize: 100,
+ * });
+ *
+ * const explosion = explosionsPool.acquire();
+ * explosion.spawn(x, y);
+ * // When it's done
+ * explosionsPool.release(explosion);
+ * ```
+ */
+export class ObjectPool {
+  /** @type {T[]} */
+  free = [];
+  /** @type {Set<T>} */
+  active = new Set();
+  /** @type {Omit<ObjectPoolStats, "free" | "active">} */
+  counts = { created: 0, acquired: 0, released: 0, dropped: 0 };
+
+  /**
+   * @param {ObjectPoolOptions<T>} options
+   */
+  constructor(options) {
+    this.create = options.create;
+    this.reset = options.reset;
+    this.maxSize = options.maxSize ?? Infinity;
+
+    this.prewarm(options.initialSize ?? 0);
+  }
+
+  /**
+   * Creates free items ahead, e.g. while loading, so the first ones acquired are not created mid-game.
+   *
+   * @param {number} count - Stops at `maxSize` free items.
+   */
+  prewarm(count) {
+    for (let i = 0; i < count && this.free.length < this.maxSize; i++) {
+      this.free.push(this.create());
+      this.counts.created++;
+    }
+  }
+
+  /**
+   * @returns {T} A free item, or a new one when there is none.
+   */
+  acquire() {
+    let item = this.free.pop();
+    if (item === undefined) {
+      item = this.create();
+      this.counts.created++;
+    }
+
+    this.active.add(item);
+    this.counts.acquired++;
+    return item;
+  }
+
+  /**
+   * @param {T} item
+   * @returns {boolean} Whether it was acquired from this pool, releasing it twice does nothing.
+   */
+  release(item) {
+    if (!this.active.delete(item)) {
+      return false;
+    }
+
+    this.reset?.(item);
+    this.counts.released++;
+    if (this.free.length < this.maxSize) {
+      this.free.push(item);
+    } else {
+      this.counts.dropped++;
+    }
+    return true;
+  }
+
+  /**
+   * Releases every active item, e.g. when restarting a level.
+   */
+  releaseAll() {
+    for (const item of this.active) {
+      this.release(item);
+    }
+  }
+
+  /**
+   * @returns {ObjectPoolStats}
+   */
+  getStats() {
+    return {
+      free: this.free.length,
+      active: this.active.size,
+      ...this.counts,
+    };
+  }
+}
@@ -0,0 +1,425 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ * @import { DrawSpriteFrame, DrawSpriteSource } from "#libs/sprite-render.js";
+ * @import { Vector2Like } from "#libs/vector2.js";
+ */
+
+import { ObjectPool } from "#libs/object-pool.js";
+import { drawSprite } from "#libs/sprite-render.js";
+
+/**
+ * A value, or a random one in `[min, max)` picked for each particle.
+ * @typedef {number | readonly [min: number, max: number]} ParticleRange
+ *
+ * A value for the whole life of a particle, or values evenly spread over it, interpolated in between,
+ * e.g. `[1, 0]` fades out and `[4, 12, 0]` grows then shrinks.
+ * @typedef {number | readonly number[]} ParticleCurve
+ *
+ * @typedef {{
+ *  x: number; // Where the particles are emitted, it can be moved, e.g. to follow an entity
+ *  y: number;
+ *  rate?: number; // Particles emitted per second, while emitting (default: 0)
+ *  duration?: number; // Seconds of emitting at `rate` before stopping (default: Infinity)
+ *  maxParticles?: number; // Alive at once, the extra ones aren't emitted (default: 500)
+ *  lifetime?: ParticleRange; // In seconds (default: 1)
+ *  speed?: ParticleRange; // In pixels per second (default: 100)
+ *  angle?: number; // The direction of the velocity in radians, `0` goes right (default: 0)
+ *  spread?: number; // The width in radians of the random directions around `angle` (default: 2π, every direction)
+ *  gravity?: Vector2Like; // In pixels per second squared (default: none)
+ *  drag?: number; // The part of the velocity lost per second (default: 0)
+ *  rotation?: ParticleRange; // The initial rotation in radians, for squares and sprites (default: 0)
+ *  angularVelocity?: ParticleRange; // In radians per second (default: 0)
+ *  size?: ParticleCurve; // The diameter or side in pixels, over the life (default: 4)
+ *  alpha?: ParticleCurve; // Over the life (default: `[1, 0]`)
+ *  color?: string | readonly string[]; // A CSS color, or `#rrggbb` colors over the life (default: "#ffffff")
+ *  blendMode?: GlobalCompositeOperation; // `"lighter"` for additive blending, e.g. sparks and fire (default: "source-over")
+ *  shape?: "circle" | "square"; // (default: "circle")
+ *  sprite?: { source: DrawSpriteSource; frame: DrawSpriteFrame }; // Drawn instead of the shape, `color` doesn't apply
+ *  random?: () => number; // In `[0, 1)`, e.g. `() => rng.next()` for replayable effects (default: `Math.random`)
+ * }} ParticleEmitterOptions
+ *
+ * @typedef {{
+ *  x: number;
+ *  y: number;
+ *  vx: number;
+ *  vy: number;
+ *  age: number; // In seconds
+ *  lifetime: number;
+ *  rotation: number;
+ *  angularVelocity: number;
+ * }} Particle
+ */
+
+/**
+ * @param {ParticleRange} range
+ * @param {() => number} random
+ */
+function pickInRange(range, random) {
+  if (typeof range === "number") {
+    return range;
+  }
+  return range[0] + random() * (range[1] - range[0]);
+}
+
+/**
+ * @param {ParticleCurve} curve
+ * @param {number} t - From `0` to `1` of the life.
+ */
+function sampleCurve(curve, t) {
+  if (typeof curve === "number") {
+    return curve;
+  }
+  if (curve.length === 1) {
+    return curve[0];
+  }
+
+  const position = Math.min(t, 1) * (curve.length - 1);
+  const index = Math.min(Math.floor(position), curve.length - 2);
+  return curve[index] + (curve[index + 1] - curve[index]) * (position - index);
+}
+
+/**
+ * @param {string} hex - `#rrggbb` or `#rgb`.
+ * @returns {[r: number, g: number, b: number]}
+ */
+function parseHexColor(hex) {
+  const digits =
+    hex.length === 4
+      ? hex
+          .slice(1)
+          .split("")
+          .map((digit) => digit + digit)
+          .join("")
+      : hex.slice(1);
+  const value = Number.parseInt(digits, 16);
+  if (!/^#(?:[\da-f]{3}|[\da-f]{6})$/i.test(hex) || Number.isNaN(value)) {
+    throw new Error(
+      `[ParticleEmitter] "${hex}" isn't a #rrggbb color, colors over the life are interpolated.`,
+    );
+  }
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Emits, moves and draws particles: sparks, smoke, trails…
+ *
+ * Created by `ParticleSystem.createEmitter`, which updates it and shares its pool of particles.
+ */
+export class ParticleEmitter {
+  /** @type {Particle[]} */
+  particles = [];
+  /** Fractions of particles left to emit, so low rates emit over several frames. */
+  pendingEmits = 0;
+  /** Seconds spent emitting at `rate`. */
+  elapsed = 0;
+
+  /**
+   * @param {ParticleEmitterOptions} options
+   * @param {ObjectPool<Particle>} pool
+   */
+  constructor(options, pool) {
+    this.pool = pool;
+    this.x = options.x;
+    this.y = options.y;
+    this.rate = options.rate ?? 0;
+    this.duration = options.duration ?? Infinity;
+    this.isEmitting = this.rate > 0;
+    this.maxParticles = options.maxParticles ?? 500;
+    this.lifetime = options.lifetime ?? 1;
+    this.speed = options.speed ?? 100;
+    this.angle = options.angle ?? 0;
+    this.spread = options.spread ?? Math.PI * 2;
+    this.gravity = options.gravity ?? { x: 0, y: 0 };
+    this.drag = options.drag ?? 0;
+    this.rotation = options.rotation ?? 0;
+    this.angularVelocity = options.angularVelocity ?? 0;
+    this.size = options.size ?? 4;
+    this.alpha = options.alpha ?? [1, 0];
+    this.blendMode = options.blendMode ?? "source-over";
+    this.shape = options.shape ?? "circle";
+    this.sprite = options.sprite;
+    this.random = options.random ?? Math.random;
+
+    const color = options.color ?? "#ffffff";
+    const colors = typeof color === "string" ? [color] : color;
+    /** The CSS color of every particle, when it doesn't change over their life. */
+    this.color = colors.length === 1 ? colors[0] : null;
+    /** @type {[number, number, number][] | null} */
+    this.colorStops = colors.length === 1 ? null : colors.map(parseHexColor);
+  }
+
+  /** Whether it stopped emitting, and all of its particles are gone. */
+  get isDone() {
+    return !this.isEmitting && this.particles.length === 0;
+  }
+
+  /** Emits at `rate` again, for a new `duration`. */
+  start() {
+    this.isEmitting = true;
+    this.elapsed = 0;
+  }
+
+  /** Stops emitting at `rate`, the particles left live on. */
+  stop() {
+    this.isEmitting = false;
+    this.pendingEmits = 0;
+  }
+
+  /**
+   * Emits particles at once, e.g. for an explosion.
+   *
+   * @param {number} count
+   * @param {number} [x] - Where, the emitter's `x`, `y` by default.
+   * @param {number} [y]
+   */
+  burst(count, x = this.x, y = this.y) {
+    const random = this.random;
+    for (
+      let i = 0;
+      i < count && this.particles.length < this.maxParticles;
+      i++
+    ) {
+      const particle = this.pool.acquire();
+      const angle = this.angle + (random() - 0.5) * this.spread;
+      const speed = pickInRange(this.speed, random);
+      particle.x = x;
+      particle.y = y;
+      particle.vx = Math.cos(angle) * speed;
+      particle.vy = Math.sin(angle) * speed;
+      particle.age = 0;
+      particle.lifetime = pickInRange(this.lifetime, random);
+      particle.rotation = pickInRange(this.rotation, random);
+      particle.angularVelocity = pickInRange(this.angularVelocity, random);
+      this.particles.push(particle);
+    }
+  }
+
+  /**
+   * @param {number} dt - Elapsed time in seconds.
+   */
+  update(dt) {
+    if (this.isEmitting) {
+      this.elapsed += dt;
+      this.pendingEmits += this.rate * dt;
+      const count = Math.floor(this.pendingEmits);
+      this.pendingEmits -= count;
+      this.burst(count);
+
+      if (this.elapsed >= this.duration) {
+        this.stop();
+      }
+    }
+
+    const dragFactor = Math.max(0, 1 - this.drag * dt);
+    const particles = this.particles;
+    for (let i = particles.length - 1; i >= 0; i--) {
+      const particle = particles[i];
+      particle.age += dt;
+      if (particle.age >= particle.lifetime) {
+        // Swapped with the last one, the order doesn't matter
+        particles[i] = particles[particles.length - 1];
+        particles.pop();
+        this.pool.release(particle);
+        continue;
+      }
+
+      particle.vx = (particle.vx + this.gravity.x * dt) * dragFactor;
+      particle.vy = (particle.vy + this.gravity.y * dt) * dragFactor;
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt;
+      particle.rotation += particle.angularVelocity * dt;
+    }
+  }
+
+  /**
+   * @param {number} t - From `0` to `1` of the life.
+   */
+  getColorAt(t) {
+    if (this.color !== null) {
+      return this.color;
+    }
+
+    const stops = /** @type {[number, number, number][]} */ (this.colorStops);
+    const position = Math.min(t, 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const from = stops[index];
+    const to = stops[index + 1];
+    const f = position - index;
+    return `rgb(${Math.round(from[0] + (to[0] - from[0]) * f)}, ${Math.round(from[1] + (to[1] - from[1]) * f)}, ${Math.round(from[2] + (to[2] - from[2]) * f)})`;
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw(ctx) {
+    if (this.particles.length === 0) {
+      return;
+    }
+
+    ctx.save();
+    ctx.globalCompositeOperation = this.blendMode;
+    const baseAlpha = ctx.globalAlpha;
+
+    for (const particle of this.particles) {
+      const t = particle.age / particle.lifetime;
+      const size = sampleCurve(this.size, t);
+      const alpha = sampleCurve(this.alpha, t);
+      if (size <= 0 || alpha <= 0) {
+        continue;
+      }
+
+      if (this.sprite) {
+        ctx.globalAlpha = baseAlpha;
+        drawSprite(ctx, this.sprite.source, this.sprite.frame, {
+          x: particle.x,
+          y: particle.y,
+          width: size,
+          height: size,
+          pivotX: 0.5,
+          pivotY: 0.5,
+          rotation: particle.rotation,
+          opacity: alpha,
+        });
+        continue;
+      }
+
+      ctx.globalAlpha = baseAlpha * Math.min(alpha, 1);
+      ctx.fillStyle = this.getColorAt(t);
+      if (this.shape === "circle") {
+        ctx.beginPath();
+        ctx.arc(particle.x, particle.y, size * 0.5, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (particle.rotation === 0) {
+        ctx.fillRect(
+          particle.x - size * 0.5,
+          particle.y - size * 0.5,
+          size,
+          size,
+        );
+      } else {
+        ctx.translate(particle.x, particle.y);
+        ctx.rotate(particle.rotation);
+        ctx.fillRect(-size * 0.5, -size * 0.5, size, size);
+        ctx.rotate(-particle.rotation);
+        ctx.translate(-particle.x, -particle.y);
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /** Gives every particle back to the pool. */
+  clear() {
+    for (const particle of this.particles) {
+      this.pool.release(particle);
+    }
+    this.particles.length = 0;
+    this.pendingEmits = 0;
+  }
+}
+
+/**
+ * Owns the emitters of a screen, updates them on the game loop's time,
+ * so they pause with it, and recycles the particles of all of them through one pool.
+ *
+ * Drawing is left to the game's `render`, to layer each emitter where it belongs.
+ *
+ * @example
+ * ```js
+ * const particles = new ParticleSystem({ cleanupManager });
+ * particles.attach(gameLoop);
+ *
+ * const sparks = particles.createEmitter({
+ *   x: 0,
+ *   y: 0,
+ *   lifetime: [0.3, 0.6],
+ *   speed: [80, 220],
+ *   gravity: { x: 0, y: 300 },
+ *   size: [3, 1],
+ *   color: ["#ffffff", "#ffcc00", "#ff4400"],
+ *   blendMode: "lighter",
+ * });
+ * sparks.burst(12, explosion.x, explosion.y);
+ *
+ * // In `render`
+ * sparks.draw(ctx);
+ * ```
+ */
+export class ParticleSystem {
+  /** @type {Set<ParticleEmitter>} */
+  emitters = new Set();
+
+  /**
+   * @param {{
+   *  cleanupManager?: CleanupManager; // Detaches it from the loop with the screen
+   *  maxPooledParticles?: number; // The most free particles kept for reuse (default: 2000)
+   * }} [options]
+   */
+  constructor(options = {}) {
+    this.cleanupManager = options.cleanupManager;
+    /** @type {ObjectPool<Particle>} */
+    this.pool = new ObjectPool({
+      create: () => ({
+        x: 0,
+        y: 0,
+        vx: 0,
+        vy: 0,
+        age: 0,
+        lifetime: 0,
+        rotation: 0,
+        angularVelocity: 0,
+      }),
+      maxSize: options.maxPooledParticles ?? 2000,
+    });
+  }
+
+  /**
+   * @param {ParticleEmitterOptions} options
+   */
+  createEmitter(options) {
+    const emitter = new ParticleEmitter(options, this.pool);
+    this.emitters.add(emitter);
+    return emitter;
+  }
+
+  /**
+   * @param {ParticleEmitter} emitter
+   */
+  removeEmitter(emitter) {
+    emitter.clear();
+    this.emitters.delete(emitter);
+  }
+
+  /**
+   * @param {number} dt - Elapsed time in seconds.
+   */
+  update(dt) {
+    for (const emitter of this.emitters) {
+      emitter.update(dt);
+    }
+  }
+
+  /**
+   * Draws every emitter, in the order they were created.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw(ctx) {
+    for (const emitter of this.emitters) {
+      emitter.draw(ctx);
+    }
+  }
+
+  /**
+   * Runs `update` in the loop's `update` phase.
+   *
+   * @param {GameLoop} gameLoop
+   * @returns {() => void} Detaches the system from the loop.
+   */
+  attach(gameLoop) {
+    return gameLoop.addSystem("update", (dt) => this.update(dt), {
+      cleanupManager: this.cleanupManager,
+    });
+  }
+}
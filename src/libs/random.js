@@ -0,0 +1,206 @@
+/**
+ * A small seedable pseudo random number generator _(mulberry32)_.
+ * Its whole state is one 32-bit integer, so it can be saved with `getState`
+ * and put back with `setState` to replay the exact same numbers.
+ *
+ * @example
+ * ```js
+ * const rng = new SeededRandom(getSessionSeed());
+ *
+ * rng.range(-2.5, 2.5); // a float in [-2.5, 2.5)
+ * rng.int(1, 6); // a die roll
+ * rng.pick(sfxs);
+ *
+ * // An independent stream, that doesn't shift when `rng` is used more or less
+ * const spawnRng = rng.fork("spawn");
+ * ```
+ */
+export class SeededRandom {
+  /** @param {number} seed - Any number, only its 32-bit unsigned integer part is used. */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} A number in the range `[0, 1)`, like `Math.random()`.
+   */
+  next() {
+    return this.nextUint32() / 4294967296;
+  }
+
+  /**
+   * @returns {number} An integer in the range `[0, 2^32)`.
+   */
+  nextUint32() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} A float in the range `[min, max)`.
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} An integer in the range `[min, max]`, both ends included.
+   */
+  int(min, max) {
+    const low = Math.ceil(min);
+    return low + Math.floor(this.next() * (Math.floor(max) - low + 1));
+  }
+
+  /**
+   * @param {number} [probability=0.5] - The chance to get `true`.
+   */
+  bool(probability = 0.5) {
+    return this.next() < probability;
+  }
+
+  /**
+   * @template TItem
+   * @param {readonly TItem[]} items
+   * @returns {TItem}
+   */
+  pick(items) {
+    if (items.length === 0) {
+      throw new Error("Can't pick from an empty array.");
+    }
+
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Shuffles the array in place _(Fisher-Yates)_.
+   *
+   * @template TItem
+   * @param {TItem[]} items
+   * @returns {TItem[]} The same array.
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      const item = items[i];
+      items[i] = items[j];
+      items[j] = item;
+    }
+
+    return items;
+  }
+
+  /**
+   * A normally distributed number _(Box-Muller)_.
+   * No spare value is cached, so the state stays a single integer.
+   *
+   * @param {number} [mean=0]
+   * @param {number} [standardDeviation=1]
+   */
+  gaussian(mean = 0, standardDeviation = 1) {
+    // `1 - next()` is in (0, 1], so the log is finite
+    const u = 1 - this.next();
+    const v = this.next();
+    return (
+      mean +
+      standardDeviation *
+        Math.sqrt(-2 * Math.log(u)) *
+        Math.cos(2 * Math.PI * v)
+    );
+  }
+
+  /**
+   * Creates another independent generator.
+   *
+   * - With a `name`, it's derived from this generator seed and the name only,
+   *   so it's the same however much this generator has been used.
+   * - Without, it's seeded from the next number of this generator.
+   *
+   * @param {string} [name]
+   */
+  fork(name) {
+    return new SeededRandom(
+      name === undefined ? this.nextUint32() : hashSeed(this.seed, name),
+    );
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /** @param {number} state - A value returned by `getState`. */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+/**
+ * Mixes a seed and a string into a new seed _(FNV-1a then a final avalanche)_.
+ *
+ * @param {number} seed
+ * @param {string} value
+ */
+function hashSeed(seed, value) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+  }
+
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * @returns {number} A new 32-bit unsigned integer seed, not reproducible on purpose.
+ */
+export function createRandomSeed() {
+  if (typeof crypto !== "undefined" && "getRandomValues" in crypto) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Turns a user given seed into a 32-bit unsigned integer,
+ * numbers are used as is and any other text is hashed.
+ *
+ * @param {string} value
+ * @returns {number|null} `null` for an empty value.
+ */
+export function parseSeed(value) {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  return /^\d+$/.test(trimmed) ? Number(trimmed) >>> 0 : hashSeed(0, trimmed);
+}
+
+/** @type {number|null} */
+let sessionSeed = null;
+
+/**
+ * The seed of this page session, taken from the `?seed=` query parameter when there is one,
+ * so a run can be reproduced by opening the same URL with its seed.
+ */
+export function getSessionSeed() {
+  if (sessionSeed === null) {
+    const seedParam =
+      typeof location !== "undefined"
+        ? new URLSearchParams(location.search).get("seed")
+        : null;
+    sessionSeed =
+      (seedParam === null ? null : parseSeed(seedParam)) ?? createRandomSeed();
+  }
+
+  return sessionSeed;
+}
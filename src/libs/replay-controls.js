@@ -0,0 +1,184 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ * @import { SimulationRecorder } from "#libs/replay.js";
+ */
+
+import { buttonPrimaryClassName } from "#libs/class-names.js";
+import { SYSTEM_PRIORITY } from "#libs/create-game-loop.js";
+import { parseSimulationRecording } from "#libs/replay.js";
+
+/**
+ * A timeline to scrub a `SimulationRecorder`, with buttons to replay, take over,
+ * and export or import the recording as a JSON file.
+ *
+ * @template TInput, TSnapshot
+ * @param {{
+ *   recorder: SimulationRecorder<TInput, TSnapshot>;
+ *   gameLoop: GameLoop;
+ *   cleanupManager: CleanupManager;
+ *   container: HTMLElement;
+ *   fileName?: string;
+ *   refreshMS?: number;
+ *   validateState?: (state: unknown) => state is TSnapshot; // Rejects imported recordings whose states don't match, see `parseSimulationRecording`
+ * }} options
+ */
+export function createReplayControls(options) {
+  const { recorder, gameLoop, cleanupManager } = options;
+  const refreshMS = options.refreshMS ?? 100;
+  let lastRefreshTime = -Infinity;
+
+  const controls = document.createElement("div");
+  controls.className = "flex flex-col gap-2 mx-auto w-full max-w-xl";
+  controls.innerHTML = /* html */ `<div class="flex items-center gap-2">
+		<input type="range" min="0" max="0" value="0" step="1" class="grow" aria-label="Timeline" />
+		<output class="text-sm font-mono whitespace-nowrap"></output>
+	</div>
+	<div class="flex flex-wrap gap-2 justify-center">
+		<button type="button" data-action="replay" class="${buttonPrimaryClassName}">Replay</button>
+		<button type="button" data-action="record" class="${buttonPrimaryClassName}">Take over</button>
+		<button type="button" data-action="export" class="${buttonPrimaryClassName}">Export</button>
+		<button type="button" data-action="import" class="${buttonPrimaryClassName}">Import</button>
+		<input type="file" accept="application/json,.json" hidden />
+	</div>
+	<p class="text-sm text-center text-red-600 dark:text-red-400" hidden></p>`;
+  options.container.appendChild(controls);
+  cleanupManager.register(() => {
+    controls.remove();
+  });
+
+  const timeline = /** @type {HTMLInputElement} */ (
+    controls.querySelector('input[type="range"]')
+  );
+  const stepOutput = /** @type {HTMLOutputElement} */ (
+    controls.querySelector("output")
+  );
+  const fileInput = /** @type {HTMLInputElement} */ (
+    controls.querySelector('input[type="file"]')
+  );
+  const errorMessage = /** @type {HTMLParagraphElement} */ (
+    controls.querySelector("p")
+  );
+
+  /** @param {string|null} message */
+  const showError = (message) => {
+    errorMessage.hidden = !message;
+    errorMessage.textContent = message ?? "";
+  };
+
+  const refresh = () => {
+    const totalSteps = recorder.getTotalSteps();
+    timeline.max = totalSteps.toString();
+    timeline.value = recorder.currentStep.toString();
+    stepOutput.value = `${recorder.mode} ${recorder.currentStep}/${totalSteps}`;
+  };
+
+  cleanupManager.registerEventListener({
+    elem: timeline,
+    type: "input",
+    listener: () => {
+      recorder.seek(Number(timeline.value));
+      refresh();
+    },
+  });
+
+  cleanupManager.registerEventListener({
+    elem: controls,
+    type: "click",
+    listener: (event) => {
+      const button = /** @type {HTMLElement} */ (event.target).closest(
+        "button[data-action]",
+      );
+      if (!(button instanceof HTMLButtonElement)) return;
+
+      showError(null);
+      switch (button.dataset.action) {
+        case "replay":
+          recorder.replay(
+            recorder.mode === "idle" &&
+              recorder.currentStep < recorder.getTotalSteps()
+              ? recorder.currentStep
+              : 0,
+          );
+          break;
+        case "record":
+          recorder.record();
+          break;
+        case "export":
+          downloadJSON(
+            `${options.fileName ?? "recording"}.json`,
+            recorder.toJSON(),
+          );
+          break;
+        case "import":
+          fileInput.click();
+          break;
+      }
+      refresh();
+    },
+  });
+
+  cleanupManager.registerEventListener({
+    elem: fileInput,
+    type: "change",
+    listener: async () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = "";
+      if (!file) return;
+
+      let json;
+      try {
+        json = JSON.parse(await file.text());
+      } catch (error) {
+        console.error(error);
+        showError(`Couldn't read ${file.name} as JSON.`);
+        return;
+      }
+
+      const [recordingError, recording] = parseSimulationRecording(
+        json,
+        options.validateState,
+      );
+      if (recordingError) {
+        console.error(recordingError);
+        showError(recordingError.message);
+        return;
+      }
+
+      recorder.load(
+        /** @type {Parameters<typeof recorder.load>[0]} */ (recording),
+      );
+      recorder.replay();
+      refresh();
+    },
+  });
+
+  gameLoop.addSystem(
+    "render",
+    () => {
+      const now = gameLoop.clock.now();
+      if (now - lastRefreshTime < refreshMS) return;
+      lastRefreshTime = now;
+      refresh();
+    },
+    { priority: SYSTEM_PRIORITY.AFTER + 1, cleanupManager },
+  );
+  refresh();
+
+  return { element: controls, refresh };
+}
+
+/**
+ * @param {string} fileName
+ * @param {unknown} data
+ */
+function downloadJSON(fileName, data) {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(data)], { type: "application/json" }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,399 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ * @import { SeededRandom } from "#libs/random.js";
+ * @import { TResult } from "#libs/types/common.js";
+ */
+
+import { clamp } from "#libs/math.js";
+
+/**
+ * - `recording`: each fixed step reads the live input, stores it, then simulates it.
+ * - `replaying`: each fixed step simulates the stored input, and switches back to `recording` once they run out.
+ * - `idle`: fixed steps do nothing, e.g. after a `seek` while scrubbing.
+ *
+ * @typedef {"idle" | "recording" | "replaying"} SimulationRecorderMode
+ */
+
+/**
+ * @template TSnapshot
+ * @typedef {{
+ *   step: number;
+ *   state: TSnapshot;
+ *   rngState: number | null;
+ * }} SimulationSnapshot
+ */
+
+/**
+ * Everything needed to replay a session, safe to pass to `JSON.stringify`
+ * as long as the inputs and snapshots are.
+ *
+ * @template TInput, TSnapshot
+ * @typedef {{
+ *   version: 1;
+ *   stepDelta: number;
+ *   initial: SimulationSnapshot<TSnapshot>;
+ *   inputs: TInput[];
+ *   snapshots: SimulationSnapshot<TSnapshot>[];
+ * }} SimulationRecording
+ */
+
+/**
+ * @template TInput, TSnapshot
+ * @typedef {{
+ *   readInput: () => TInput;
+ *   step: (input: TInput, dt: number) => void;
+ *   snapshot: () => TSnapshot;
+ *   restore: (snapshot: TSnapshot) => void;
+ *   rng?: SeededRandom;
+ *   snapshotInterval?: number;
+ *   maxSnapshots?: number;
+ *   onModeChange?: (mode: SimulationRecorderMode) => void;
+ * }} SimulationRecorderOptions
+ */
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Records a fixed-step simulation as its initial state plus the input of every step,
+ * so it can be replayed exactly, scrubbed backwards and forwards, or exported to JSON.
+ *
+ * The simulation has to be deterministic: the same input, `dt` and random numbers
+ * on the same state must always give the same next state.
+ * So everything it does goes through `step`, and randomness through the given `rng`.
+ *
+ * - `readInput` is called once per recorded step, and must return a new serializable value each time.
+ * - `snapshot` must return a new serializable copy of the simulation state,
+ *   and `restore` must copy out of the snapshot it's given rather than keep it.
+ *
+ * Snapshots are taken every `snapshotInterval` steps and kept in a ring buffer of `maxSnapshots`,
+ * so seeking only has to re-simulate the steps since the closest one.
+ * The initial snapshot is always kept, so any step can be reached.
+ *
+ * @template TInput, TSnapshot
+ *
+ * @example
+ * ```js
+ * const recorder = new SimulationRecorder({
+ *   readInput: () => ({ ...pointer }),
+ *   step: (input, dt) => ball.update(input, dt),
+ *   snapshot: () => ball.toSnapshot(),
+ *   restore: (snapshot) => ball.fromSnapshot(snapshot),
+ * });
+ * recorder.attach(gameLoop, cleanupManager);
+ * recorder.start();
+ *
+ * // Later, rewind two seconds at 60 fixed steps per second and watch it again
+ * recorder.replay(recorder.currentStep - 120);
+ * ```
+ */
+export class SimulationRecorder {
+  /** @type {SimulationRecorderMode} */
+  mode = "idle";
+  /** The step the simulation is at, counted from the start of the recording. */
+  currentStep = 0;
+  /** The `dt` of the recorded steps in seconds, replays and seeks use it too. */
+  stepDelta = 0;
+  /** @type {TInput[]} */
+  inputs = [];
+  /**
+   * Oldest first.
+   * @type {SimulationSnapshot<TSnapshot>[]}
+   */
+  snapshots = [];
+  /** @type {SimulationSnapshot<TSnapshot>|null} */
+  initial = null;
+
+  /** @param {SimulationRecorderOptions<TInput, TSnapshot>} options */
+  constructor(options) {
+    this.options = options;
+    this.snapshotInterval = options.snapshotInterval ?? 60;
+    this.maxSnapshots = options.maxSnapshots ?? 120;
+
+    if (this.snapshotInterval < 1 || this.maxSnapshots < 1) {
+      throw new Error(
+        "[SimulationRecorder] `snapshotInterval` and `maxSnapshots` must be at least 1.",
+      );
+    }
+  }
+
+  /**
+   * Runs `tick` on every fixed step of the loop.
+   *
+   * @param {GameLoop} gameLoop
+   * @param {CleanupManager} [cleanupManager]
+   * @returns {() => void} Detaches the recorder from the loop.
+   */
+  attach(gameLoop, cleanupManager) {
+    return gameLoop.addSystem("fixedUpdate", (dt) => this.tick(dt), {
+      cleanupManager,
+    });
+  }
+
+  /**
+   * Starts a new recording from the current state of the simulation, dropping the previous one.
+   */
+  start() {
+    this.inputs.length = 0;
+    this.snapshots.length = 0;
+    this.currentStep = 0;
+    this.initial = this.takeSnapshot();
+    this.setMode("recording");
+  }
+
+  /** @returns {number} The number of recorded steps. */
+  getTotalSteps() {
+    return this.inputs.length;
+  }
+
+  /**
+   * Advances the simulation by one fixed step, according to the current mode.
+   *
+   * @param {number} dt - The fixed step in seconds.
+   */
+  tick(dt) {
+    if (this.mode === "recording") {
+      const input = this.options.readInput();
+      this.stepDelta = dt;
+      this.inputs.push(input);
+      this.runStep(input, dt);
+      return;
+    }
+
+    if (this.mode === "replaying") {
+      if (this.currentStep >= this.inputs.length) {
+        // Out of recorded inputs, the live input takes over
+        this.setMode("recording");
+        this.tick(dt);
+        return;
+      }
+
+      this.runStep(this.inputs[this.currentStep], this.stepDelta);
+    }
+  }
+
+  /**
+   * Puts the simulation at the given step, restoring the closest snapshot before it
+   * and re-simulating the recorded inputs from there. The recorder becomes `idle`.
+   *
+   * @param {number} step - Clamped to the recorded steps.
+   */
+  seek(step) {
+    if (!this.initial) {
+      throw new Error(
+        "[SimulationRecorder] Nothing was recorded to seek into.",
+      );
+    }
+
+    const target = clamp(Math.floor(step), 0, this.inputs.length);
+    this.setMode("idle");
+
+    let from = this.initial;
+    for (let i = this.snapshots.length - 1; i >= 0; i--) {
+      if (this.snapshots[i].step <= target) {
+        from = this.snapshots[i];
+        break;
+      }
+    }
+
+    // Moving forward from the current step is cheaper when no snapshot is closer
+    if (this.currentStep > target || this.currentStep < from.step) {
+      this.restoreSnapshot(from);
+    }
+
+    while (this.currentStep < target) {
+      this.runStep(this.inputs[this.currentStep], this.stepDelta);
+    }
+  }
+
+  /**
+   * Replays the recorded inputs, then continues recording once they run out.
+   *
+   * @param {number} [fromStep] - Seeks there first, replays from the current step otherwise.
+   */
+  replay(fromStep) {
+    if (fromStep !== undefined) {
+      this.seek(fromStep);
+    }
+    this.setMode("replaying");
+  }
+
+  /**
+   * Continues recording from the current step, dropping the inputs and snapshots after it,
+   * e.g. to take over from a point of a replay.
+   */
+  record() {
+    if (!this.initial) {
+      this.start();
+      return;
+    }
+
+    this.inputs.length = this.currentStep;
+    while (
+      this.snapshots.length > 0 &&
+      /** @type {SimulationSnapshot<TSnapshot>} */ (this.snapshots.at(-1))
+        .step > this.currentStep
+    ) {
+      this.snapshots.pop();
+    }
+    this.setMode("recording");
+  }
+
+  /**
+   * @returns {SimulationRecording<TInput, TSnapshot>}
+   */
+  toJSON() {
+    if (!this.initial) {
+      throw new Error("[SimulationRecorder] Nothing was recorded to export.");
+    }
+
+    return {
+      version: RECORDING_VERSION,
+      stepDelta: this.stepDelta,
+      initial: this.initial,
+      inputs: [...this.inputs],
+      snapshots: [...this.snapshots],
+    };
+  }
+
+  /**
+   * Replaces the current recording, and puts the simulation at its first step.
+   * The recorder becomes `idle`, call `replay` to play it.
+   *
+   * @param {SimulationRecording<TInput, TSnapshot>} recording - e.g. from `parseSimulationRecording`.
+   */
+  load(recording) {
+    this.stepDelta = recording.stepDelta;
+    this.initial = recording.initial;
+    this.inputs = [...recording.inputs];
+    this.snapshots = recording.snapshots.slice(-this.maxSnapshots);
+    this.setMode("idle");
+    this.restoreSnapshot(this.initial);
+  }
+
+  /**
+   * @param {TInput} input
+   * @param {number} dt
+   */
+  runStep(input, dt) {
+    this.options.step(input, dt);
+    this.currentStep++;
+
+    if (
+      this.mode === "recording" &&
+      this.currentStep % this.snapshotInterval === 0
+    ) {
+      this.snapshots.push(this.takeSnapshot());
+      if (this.snapshots.length > this.maxSnapshots) {
+        this.snapshots.shift();
+      }
+    }
+  }
+
+  /** @returns {SimulationSnapshot<TSnapshot>} */
+  takeSnapshot() {
+    return {
+      step: this.currentStep,
+      state: this.options.snapshot(),
+      rngState: this.options.rng?.getState() ?? null,
+    };
+  }
+
+  /** @param {SimulationSnapshot<TSnapshot>} snapshot */
+  restoreSnapshot(snapshot) {
+    this.options.restore(snapshot.state);
+    if (snapshot.rngState !== null) {
+      this.options.rng?.setState(snapshot.rngState);
+    }
+    this.currentStep = snapshot.step;
+  }
+
+  /** @param {SimulationRecorderMode} mode */
+  setMode(mode) {
+    if (this.mode === mode) return;
+    this.mode = mode;
+    this.options.onModeChange?.(mode);
+  }
+}
+
+/**
+ * Checks the shape of a parsed recording, e.g. from an imported JSON file.
+ * The snapshot states are checked with `validateState` if it's passed, so a recording
+ * of another game, or of an older version of its state, is rejected instead of restored.
+ * The inputs are left to the game to trust.
+ *
+ * @template [TSnapshot=unknown]
+ * @param {unknown} value
+ * @param {(state: unknown) => state is TSnapshot} [validateState]
+ * @returns {TResult<SimulationRecording<unknown, TSnapshot>>}
+ */
+export function parseSimulationRecording(value, validateState) {
+  if (typeof value !== "object" || value === null) {
+    return [new Error("Recording must be an object."), null];
+  }
+
+  const recording = /** @type {Record<string, unknown>} */ (value);
+  if (recording.version !== RECORDING_VERSION) {
+    return [
+      new Error(
+        `Unsupported recording version: ${String(recording.version)}, expected ${RECORDING_VERSION}.`,
+      ),
+      null,
+    ];
+  }
+  if (typeof recording.stepDelta !== "number" || recording.stepDelta <= 0) {
+    return [
+      new Error("Recording `stepDelta` must be a positive number."),
+      null,
+    ];
+  }
+  if (!Array.isArray(recording.inputs)) {
+    return [new Error("Recording `inputs` must be an array."), null];
+  }
+  if (!Array.isArray(recording.snapshots)) {
+    return [new Error("Recording `snapshots` must be an array."), null];
+  }
+  if (!isSnapshot(recording.initial)) {
+    return [new Error("Recording `initial` must be a snapshot."), null];
+  }
+  if (!recording.snapshots.every(isSnapshot)) {
+    return [new Error("Recording `snapshots` must only have snapshots."), null];
+  }
+  if (validateState) {
+    const invalidSnapshot = [recording.initial, ...recording.snapshots].find(
+      (snapshot) => !validateState(snapshot.state),
+    );
+    if (invalidSnapshot) {
+      return [
+        new Error(
+          `Recording state at step ${invalidSnapshot.step} doesn't match this game's, it may be from another game or an older version.`,
+        ),
+        null,
+      ];
+    }
+  }
+
+  return [
+    null,
+    /** @type {SimulationRecording<unknown, TSnapshot>} */ (
+      /** @type {unknown} */ (recording)
+    ),
+  ];
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is SimulationSnapshot<unknown>}
+ */
+function isSnapshot(value) {
+  if (typeof value !== "object" || value === null) {
+    return false;
+  }
+
+  const snapshot = /** @type {Record<string, unknown>} */ (value);
+  return (
+    typeof snapshot.step === "number" &&
+    "state" in snapshot &&
+    (snapshot.rngState === null || typeof snapshot.rngState === "number")
+  );
+}
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseSimulationRecording } from "#libs/replay.js";
+
+/**
+ * @param {unknown} state
+ * @returns {state is { x: number }}
+ */
+function isState(state) {
+  return (
+    typeof state === "object" &&
+    state !== null &&
+    "x" in state &&
+    typeof state.x === "number"
+  );
+}
+
+/**
+ * @param {unknown} initialState
+ * @param {unknown} [snapshotState]
+ */
+function createRecording(initialState, snapshotState = initialState) {
+  return {
+    version: 1,
+    stepDelta: 1 / 60,
+    initial: { step: 0, state: initialState, rngState: null },
+    inputs: [[], []],
+    snapshots: [{ step: 2, state: snapshotState, rngState: 42 }],
+  };
+}
+
+describe("parseSimulationRecording", () => {
+  it("accepts the states `validateState` accepts", () => {
+    const recording = createRecording({ x: 1 });
+
+    const [error, parsed] = parseSimulationRecording(recording, isState);
+
+    assert.equal(error, null);
+    assert.equal(parsed, recording);
+  });
+
+  it("rejects a state `validateState` doesn't accept, with its step", () => {
+    const [error, parsed] = parseSimulationRecording(
+      createRecording({ x: 1 }, { y: 1 }),
+      isState,
+    );
+
+    assert.equal(parsed, null);
+    assert.match(error?.message ?? "", /step 2/);
+  });
+
+  it("leaves the states unchecked without `validateState`", () => {
+    const [error] = parseSimulationRecording(createRecording({ y: 1 }));
+
+    assert.equal(error, null);
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ */
+
+/**
+ * What a coroutine can wait on:
+ * - a number of seconds, `0` or less waits for the next update like nothing does,
+ * - a function, until it returns `true`, checked on every update,
+ * - anything with an `isDone` flag, e.g. another timer or coroutine, or a tween.
+ *
+ * @typedef {number | (() => boolean) | { readonly isDone: boolean } | null | undefined | void} CoroutineYield
+ */
+
+/**
+ * @typedef {Generator<CoroutineYield, void, void>} CoroutineGenerator
+ */
+
+/**
+ * Something the `Scheduler` runs on game time.
+ *
+ * It's awaitable, `await` resolves with `true` once it's over, or `false` if it's cancelled.
+ *
+ * @abstract
+ */
+export class ScheduledTask {
+  isComplete = false;
+  isCancelled = false;
+
+  constructor() {
+    /** @type {(isComplete: boolean) => void} */
+    this.resolveFinished = () => {};
+    /** @type {Promise<boolean>} */
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  get isDone() {
+    return this.isComplete || this.isCancelled;
+  }
+
+  /**
+   * @abstract
+   * @param {number} _dt - Elapsed game time in seconds.
+   */
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  update(_dt) {
+    throw new Error(`[${this.constructor.name}] update isn't implemented`);
+  }
+
+  complete() {
+    if (this.isDone) {
+      return;
+    }
+    this.isComplete = true;
+    this.resolveFinished(true);
+  }
+
+  /**
+   * Stops it, its callback isn't called anymore and it resolves with `false`.
+   */
+  cancel() {
+    if (this.isDone) {
+      return;
+    }
+    this.isCancelled = true;
+    this.resolveFinished(false);
+  }
+
+  /**
+   * Makes it awaitable.
+   *
+   * @template [TResult1=boolean]
+   * @template [TResult2=never]
+   * @param {((isComplete: boolean) => TResult1 | PromiseLike<TResult1>) | null} [onFulfilled]
+   * @param {((reason: any) => TResult2 | PromiseLike<TResult2>) | null} [onRejected]
+   * @returns {Promise<TResult1 | TResult2>}
+   */
+  then(onFulfilled, onRejected) {
+    return this.finished.then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Calls a function after a delay, and then every `interval` seconds if it has one.
+ * It catches up when a frame is longer than the interval, so it doesn't drift.
+ */
+export class Timer extends ScheduledTask {
+  /**
+   * The times it was called
+   */
+  count = 0;
+
+  /**
+   * @param {number} delay - Seconds before the first call.
+   * @param {(count: number) => void} callback - Gets the number of the call, from `1`.
+   * @param {number | null} [interval] - Seconds between the calls after the first, `null` to only call it once.
+   */
+  constructor(delay, callback, interval = null) {
+    super();
+    if (interval !== null && !(interval > 0)) {
+      throw new Error(
+        `[${this.constructor.name}] The interval must be a positive number.`,
+      );
+    }
+
+    this.callback = callback;
+    this.interval = interval;
+    /**
+     * Seconds left before the next call
+     */
+    this.remaining = delay;
+  }
+
+  /**
+   * @param {number} dt - Elapsed game time in seconds.
+   */
+  update(dt) {
+    this.remaining -= dt;
+    while (this.remaining <= 0 && !this.isDone) {
+      this.count++;
+      this.callback(this.count);
+
+      if (this.interval === null) {
+        this.complete();
+      } else {
+        this.remaining += this.interval;
+      }
+    }
+  }
+}
+
+/**
+ * Runs a generator a bit on every update, resuming it once what it yielded is over,
+ * so a sequence of steps over time reads top to bottom.
+ *
+ * Cancelling it calls `return` on the generator, so its `finally` blocks still run.
+ */
+export class Coroutine extends ScheduledTask {
+  /**
+   * Seconds left to wait, below `0` by how much the last update overshot it
+   */
+  waitTime = 0;
+  /** @type {(() => boolean) | { readonly isDone: boolean } | null} */
+  waitFor = null;
+  /**
+   * Whether the generator is between `next` and its `yield`, it can't be returned from then
+   */
+  isRunning = false;
+
+  /**
+   * @param {CoroutineGenerator} generator
+   */
+  constructor(generator) {
+    super();
+    this.generator = generator;
+  }
+
+  /**
+   * @param {number} dt - Elapsed game time in seconds.
+   */
+  update(dt) {
+    this.waitTime -= dt;
+
+    while (!this.isDone) {
+      if (this.waitFor) {
+        const isWaitOver =
+          typeof this.waitFor === "function"
+            ? this.waitFor()
+            : this.waitFor.isDone;
+        if (!isWaitOver) {
+          return;
+        }
+        this.waitFor = null;
+        this.waitTime = 0;
+      } else if (this.waitTime > 0) {
+        return;
+      }
+
+      /** @type {IteratorResult<CoroutineYield, void>} */
+      let result;
+      this.isRunning = true;
+      try {
+        result = this.generator.next();
+      } catch (error) {
+        this.cancel();
+        throw error;
+      } finally {
+        this.isRunning = false;
+      }
+      if (this.isCancelled) {
+        // It cancelled itself
+        this.generator.return();
+        return;
+      }
+      if (result.done) {
+        this.complete();
+        return;
+      }
+
+      const value = result.value;
+      if (typeof value === "number" && value > 0) {
+        // Keeps the overshoot, so waiting in a loop doesn't drift
+        this.waitTime += value;
+      } else if (
+        typeof value === "function" ||
+        (typeof value === "object" && value !== null)
+      ) {
+        this.waitFor = value;
+      } else {
+        // The next update
+        this.waitTime = Math.max(this.waitTime, 0);
+        return;
+      }
+    }
+  }
+
+  cancel() {
+    if (this.isDone) {
+      return;
+    }
+    super.cancel();
+    if (!this.isRunning) {
+      this.generator.return();
+    }
+  }
+}
+
+/**
+ * Runs timers and coroutines on game time, so they pause and slow down with the loop,
+ * unlike `setTimeout`, and cancels them with the screen.
+ *
+ * Tasks added during an update start on the next one.
+ *
+ * @example
+ * ```js
+ * const scheduler = new Scheduler({ cleanupManager });
+ * scheduler.attach(gameLoop);
+ *
+ * scheduler.after(1, () => door.open());
+ * const spawner = scheduler.every(2.5, () => spawnEnemy());
+ * scheduler.run(function* () {
+ *   yield 3;
+ *   spawner.cancel();
+ *   yield tweens.tween(boss, { y: 100 }, { duration: 1 });
+ *   yield () => boss.isDefeated;
+ *   showVictory();
+ * });
+ * ```
+ */
+export class Scheduler {
+  /** @type {Set<ScheduledTask>} */
+  tasks = new Set();
+  /** @type {ScheduledTask[]} */
+  pendingTasks = [];
+  isUpdating = false;
+
+  /**
+   * @param {{
+   *  cleanupManager?: CleanupManager; // Cancels the tasks and detaches it from the loop with the screen
+   * }} [options]
+   */
+  constructor(options = {}) {
+    this.cleanupManager = options.cleanupManager;
+    this.cleanupManager?.register(() => this.cancelAll());
+  }
+
+  /**
+   * @template {ScheduledTask} TTask
+   * @param {TTask} task - Not in another scheduler.
+   * @returns {TTask}
+   */
+  add(task) {
+    if (this.isUpdating) {
+      this.pendingTasks.push(task);
+    } else {
+      this.tasks.add(task);
+    }
+    return task;
+  }
+
+  /**
+   * @param {number} seconds
+   * @param {() => void} callback
+   */
+  after(seconds, callback) {
+    return this.add(new Timer(seconds, callback));
+  }
+
+  /**
+   * Calls `callback` every `seconds`, the first time after `seconds`, until it's cancelled.
+   *
+   * @param {number} seconds - Must be positive.
+   * @param {(count: number) => void} callback - Gets the number of the call, from `1`.
+   */
+  every(seconds, callback) {
+    return this.add(new Timer(seconds, callback, seconds));
+  }
+
+  /**
+   * Starts a coroutine, it runs up to its first `yield` on the next update.
+   *
+   * @param {() => CoroutineGenerator} generatorFunction
+   */
+  run(generatorFunction) {
+    return this.add(new Coroutine(generatorFunction()));
+  }
+
+  cancelAll() {
+    for (const task of this.tasks) {
+      task.cancel();
+    }
+    for (const task of this.pendingTasks) {
+      task.cancel();
+    }
+    this.tasks.clear();
+    this.pendingTasks.length = 0;
+  }
+
+  /**
+   * Advances the tasks in the order they were added, and drops the done ones.
+   *
+   * @param {number} dt - Elapsed game time in seconds.
+   */
+  update(dt) {
+    this.isUpdating = true;
+    try {
+      for (const task of this.tasks) {
+        if (!task.isDone) {
+          task.update(dt);
+        }
+        if (task.isDone) {
+          this.tasks.delete(task);
+        }
+      }
+    } finally {
+      this.isUpdating = false;
+    }
+
+    for (const task of this.pendingTasks) {
+      this.tasks.add(task);
+    }
+    this.pendingTasks.length = 0;
+  }
+
+  /**
+   * Runs `update` in the loop's `update` phase, with its scaled game time.
+   *
+   * @param {GameLoop} gameLoop
+   * @returns {() => void} Detaches the scheduler from the loop.
+   */
+  attach(gameLoop) {
+    return gameLoop.addSystem("update", (dt) => this.update(dt), {
+      cleanupManager: this.cleanupManager,
+    });
+  }
+}
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ManualClock } from "#libs/clock.js";
+import { GameLoop } from "#libs/create-game-loop.js";
+import { Scheduler } from "#libs/scheduler.js";
+
+/**
+ * A started loop updating the scheduler, the first `advance` frame only reads the start time.
+ */
+function createScheduledLoop() {
+  const clock = new ManualClock();
+  const gameLoop = new GameLoop({ clock, profiler: false, render() {} });
+  const scheduler = new Scheduler();
+  scheduler.attach(gameLoop);
+  gameLoop.start();
+  return { clock, gameLoop, scheduler };
+}
+
+describe("Scheduler", () => {
+  it("calls the timers in the order they're due", () => {
+    const { clock, scheduler } = createScheduledLoop();
+    /** @type {string[]} */
+    const calls = [];
+
+    scheduler.after(0.5, () => calls.push("after 0.5"));
+    scheduler.after(0.2, () => calls.push("after 0.2"));
+    scheduler.every(0.3, (count) => calls.push(`every 0.3 #${count}`));
+    clock.advance(1100);
+
+    assert.deepEqual(calls, [
+      "after 0.2",
+      "every 0.3 #1",
+      "after 0.5",
+      "every 0.3 #2",
+      "every 0.3 #3",
+    ]);
+  });
+
+  it("doesn't call a cancelled timer, and resolves it with `false`", async () => {
+    const { clock, scheduler } = createScheduledLoop();
+    let calls = 0;
+
+    const timer = scheduler.after(0.1, () => calls++);
+    const repeated = scheduler.every(0.1, (count) => {
+      calls++;
+      if (count === 2) {
+        repeated.cancel();
+      }
+    });
+    timer.cancel();
+    clock.advance(1000);
+
+    assert.equal(calls, 2);
+    assert.equal(await timer, false);
+    assert.equal(await repeated, false);
+  });
+
+  it("resolves a timer with `true` once it's called", async () => {
+    const { clock, scheduler } = createScheduledLoop();
+
+    const timer = scheduler.after(0.1, () => {});
+    clock.advance(200);
+
+    assert.equal(timer.isComplete, true);
+    assert.equal(await timer, true);
+  });
+
+  it("resumes a coroutine once what it yielded is over", async () => {
+    const { clock, scheduler } = createScheduledLoop();
+    /** @type {string[]} */
+    const steps = [];
+    let isOpen = false;
+
+    const timer = scheduler.after(0.5, () => {});
+    const coroutine = scheduler.run(function* () {
+      steps.push("start");
+      yield 0.2;
+      steps.push("after 0.2s");
+      yield timer;
+      steps.push("after the timer");
+      yield () => isOpen;
+      steps.push("done");
+    });
+
+    clock.advance(400);
+    assert.deepEqual(steps, ["start", "after 0.2s"]);
+
+    clock.advance(400);
+    assert.deepEqual(steps, ["start", "after 0.2s", "after the timer"]);
+
+    isOpen = true;
+    clock.advance(100);
+    assert.deepEqual(steps, ["start", "after 0.2s", "after the timer", "done"]);
+    assert.equal(await coroutine, true);
+  });
+
+  it("runs a cancelled coroutine's `finally`, and resolves it with `false`", async () => {
+    const { clock, scheduler } = createScheduledLoop();
+    let isCleanedUp = false;
+
+    const coroutine = scheduler.run(function* () {
+      try {
+        yield 10;
+      } finally {
+        isCleanedUp = true;
+      }
+    });
+    clock.advance(100);
+    scheduler.cancelAll();
+
+    assert.equal(isCleanedUp, true);
+    assert.equal(await coroutine, false);
+  });
+
+  it("runs on the loop's scaled game time", () => {
+    const { clock, gameLoop, scheduler } = createScheduledLoop();
+    let calls = 0;
+
+    gameLoop.setTimeScale(0.5);
+    scheduler.after(0.5, () => calls++);
+
+    clock.advance(900);
+    assert.equal(calls, 0);
+
+    clock.advance(200);
+    assert.equal(calls, 1);
+  });
+});
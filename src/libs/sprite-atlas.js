@@ -0,0 +1,409 @@
+/**
+ * @import { TSprintAnimationState } from "#libs/types/core.js";
+ * @import { TResult } from "#libs/types/common.js";
+ * @import { SpriteAnimatorAnimation } from "#libs/sprite.js";
+ */
+
+/**
+ * One frame of an atlas, with the trimming undone by `offsetX`/`offsetY` within the `sourceWidth`×`sourceHeight` box.
+ *
+ * @typedef {{
+ *   name: string;
+ *   x: number;
+ *   y: number;
+ *   width: number;
+ *   height: number;
+ *   rotated: boolean;
+ *   trimmed: boolean;
+ *   offsetX: number;
+ *   offsetY: number;
+ *   sourceWidth: number;
+ *   sourceHeight: number;
+ *   pivotX: number;
+ *   pivotY: number;
+ *   duration: number;
+ * }} SpriteAtlasFrame
+ *
+ * @typedef {"forward" | "reverse" | "pingpong" | "pingpong_reverse"} SpriteAtlasDirection
+ *
+ * @typedef {{
+ *   name: string;
+ *   frames: SpriteAtlasFrame[];
+ *   direction: SpriteAtlasDirection;
+ *   totalDuration: number;
+ * }} SpriteAtlasAnimation
+ *
+ * @typedef {{
+ *   image: string | null;
+ *   width: number;
+ *   height: number;
+ *   frames: Record<string, SpriteAtlasFrame>;
+ *   animations: Record<string, SpriteAtlasAnimation>;
+ *   animationStates: TSprintAnimationState<string>;
+ * }} SpriteAtlas
+ *
+ * @typedef {{
+ *   defaultDuration?: number;
+ * }} ParseSpriteAtlasOptions
+ */
+
+/**
+ * @typedef {{ x: number; y: number; w: number; h: number }} RawRect
+ * @typedef {{
+ *   filename?: string;
+ *   frame: RawRect;
+ *   rotated?: boolean;
+ *   trimmed?: boolean;
+ *   spriteSourceSize?: RawRect;
+ *   sourceSize?: { w: number; h: number };
+ *   pivot?: { x: number; y: number };
+ *   duration?: number;
+ * }} RawFrame
+ * @typedef {{ name: string; from: number; to: number; direction?: string }} RawFrameTag
+ * @typedef {{
+ *   name: string;
+ *   keys: { frame: number; bounds: RawRect; pivot?: { x: number; y: number } }[];
+ * }} RawSlice
+ */
+
+const DIRECTIONS = /** @type {const} */ ([
+  "forward",
+  "reverse",
+  "pingpong",
+  "pingpong_reverse",
+]);
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is RawRect}
+ */
+function isRect(value) {
+  return (
+    isObject(value) &&
+    typeof value.x === "number" &&
+    typeof value.y === "number" &&
+    typeof value.w === "number" &&
+    typeof value.h === "number"
+  );
+}
+
+/**
+ * Splits a frame name like `"run_012.png"` or `"run 3.aseprite"` into `"run"` and `12`.
+ *
+ * @param {string} name
+ * @returns {[animation: string, index: number]}
+ */
+function splitFrameName(name) {
+  const match = /^(.*?)[\s_\-.]*(\d+)?(\.[a-z]\w*)?$/i.exec(name);
+  const animation = match?.[1] || name;
+  return [animation, match?.[2] ? Number(match[2]) : 0];
+}
+
+/**
+ * @param {SpriteAtlasFrame[]} frames
+ * @param {SpriteAtlasDirection} direction
+ */
+function orderFrames(frames, direction) {
+  const reversed = [...frames].reverse();
+  switch (direction) {
+    case "forward":
+      return frames;
+    case "reverse":
+      return reversed;
+    // Back without repeating the ends, so it loops seamlessly
+    case "pingpong":
+      return [...frames, ...reversed.slice(1, -1)];
+    case "pingpong_reverse":
+      return [...reversed, ...frames.slice(1, -1)];
+  }
+}
+
+/**
+ * Imports a sprite atlas exported as JSON by TexturePacker _("JSON (Hash)" or "JSON (Array)")_
+ * or Aseprite _("Hash" or "Array")_.
+ *
+ * The animations come from, in order:
+ * - The Aseprite `meta.frameTags`, with their direction.
+ * - A top-level `animations` map of names to frame names _(TexturePacker's Phaser and PixiJS exports)_.
+ * - The frame names, with their trailing number and extension removed, e.g. `run_01.png`, `run_02.png` are `"run"`.
+ *
+ * `animationStates` has the same shape as `generateSpriteAnimationStates`,
+ * with the top left of each frame in the atlas, and `animations` the matching frames with their metadata.
+ *
+ * @param {unknown} data - The parsed JSON.
+ * @param {ParseSpriteAtlasOptions} [options]
+ * @returns {TResult<SpriteAtlas>}
+ */
+export function parseSpriteAtlas(data, options = {}) {
+  const defaultDuration = options.defaultDuration ?? 100;
+
+  if (!isObject(data)) {
+    return [new Error("Sprite atlas must be an object."), null];
+  }
+  if (!isObject(data.frames)) {
+    return [
+      new Error("Sprite atlas `frames` must be an object or an array."),
+      null,
+    ];
+  }
+
+  /** @type {[string, unknown][]} */
+  const rawFrames = Array.isArray(data.frames)
+    ? data.frames.map((frame, i) => [
+        isObject(frame) && typeof frame.filename === "string"
+          ? frame.filename
+          : String(i),
+        frame,
+      ])
+    : Object.entries(data.frames);
+
+  const meta = isObject(data.meta) ? data.meta : {};
+
+  /** @type {SpriteAtlasFrame[]} */
+  const frameList = [];
+  /** @type {Record<string, SpriteAtlasFrame>} */
+  const frames = {};
+  for (const [name, value] of rawFrames) {
+    if (!isObject(value) || !isRect(value.frame)) {
+      return [
+        new Error(`Sprite atlas frame "${name}" must have a \`frame\` rect.`),
+        null,
+      ];
+    }
+
+    const raw = /** @type {RawFrame} */ (value);
+    const rotated = raw.rotated === true;
+    // `frame.w`×`frame.h` is the unrotated size, a rotated frame takes `h`×`w` in the atlas
+    const width = raw.frame.w;
+    const height = raw.frame.h;
+    const spriteSourceSize = isRect(raw.spriteSourceSize)
+      ? raw.spriteSourceSize
+      : { x: 0, y: 0, w: width, h: height };
+    const sourceWidth = raw.sourceSize?.w ?? width;
+    const sourceHeight = raw.sourceSize?.h ?? height;
+
+    /** @type {SpriteAtlasFrame} */
+    const frame = {
+      name,
+      x: raw.frame.x,
+      y: raw.frame.y,
+      width,
+      height,
+      rotated,
+      trimmed: raw.trimmed === true,
+      offsetX: spriteSourceSize.x,
+      offsetY: spriteSourceSize.y,
+      sourceWidth,
+      sourceHeight,
+      pivotX: raw.pivot?.x ?? 0.5,
+      pivotY: raw.pivot?.y ?? 0.5,
+      duration:
+        typeof raw.duration === "number" && raw.duration > 0
+          ? raw.duration
+          : defaultDuration,
+    };
+    frameList.push(frame);
+    frames[name] = frame;
+  }
+
+  // Aseprite pivots are on slices, in pixels, and apply from their key frame on
+  if (Array.isArray(meta.slices)) {
+    for (const slice of /** @type {RawSlice[]} */ (meta.slices)) {
+      const keys = [...(slice.keys ?? [])].sort((a, b) => a.frame - b.frame);
+      keys.forEach((key, i) => {
+        if (!key.pivot) return;
+
+        const end = keys[i + 1]?.frame ?? frameList.length;
+        for (let index = key.frame; index < end; index++) {
+          const frame = frameList[index];
+          if (!frame) break;
+          frame.pivotX = (key.bounds.x + key.pivot.x) / frame.sourceWidth;
+          frame.pivotY = (key.bounds.y + key.pivot.y) / frame.sourceHeight;
+        }
+      });
+    }
+  }
+
+  /** @type {Record<string, SpriteAtlasAnimation>} */
+  const animations = {};
+
+  if (Array.isArray(meta.frameTags) && meta.frameTags.length > 0) {
+    for (const tag of /** @type {RawFrameTag[]} */ (meta.frameTags)) {
+      const tagFrames = frameList.slice(tag.from, tag.to + 1);
+      if (
+        typeof tag.name !== "string" ||
+        tagFrames.length !== tag.to - tag.from + 1
+      ) {
+        return [
+          new Error(
+            `Sprite atlas frame tag "${tag.name}" is out of the ${frameList.length} frames.`,
+          ),
+          null,
+        ];
+      }
+
+      const direction =
+        DIRECTIONS.find((d) => d === tag.direction) ?? "forward";
+      animations[tag.name] = {
+        name: tag.name,
+        frames: orderFrames(tagFrames, direction),
+        direction,
+        totalDuration: 0,
+      };
+    }
+  } else if (isObject(data.animations)) {
+    for (const [name, frameNames] of Object.entries(data.animations)) {
+      if (!Array.isArray(frameNames)) continue;
+
+      /** @type {SpriteAtlasFrame[]} */
+      const animationFrames = [];
+      for (const frameName of frameNames) {
+        const frame = frames[String(frameName)];
+        if (!frame) {
+          return [
+            new Error(
+              `Sprite atlas animation "${name}" has an unknown frame "${frameName}".`,
+            ),
+            null,
+          ];
+        }
+        animationFrames.push(frame);
+      }
+      animations[name] = {
+        name,
+        frames: animationFrames,
+        direction: "forward",
+        totalDuration: 0,
+      };
+    }
+  } else {
+    /** @type {Record<string, [index: number, frame: SpriteAtlasFrame][]>} */
+    const groups = {};
+    for (const frame of frameList) {
+      const [animation, index] = splitFrameName(frame.name);
+      (groups[animation] ??= []).push([index, frame]);
+    }
+    for (const [name, group] of Object.entries(groups)) {
+      animations[name] = {
+        name,
+        frames: group.sort((a, b) => a[0] - b[0]).map(([, frame]) => frame),
+        direction: "forward",
+        totalDuration: 0,
+      };
+    }
+  }
+
+  /** @type {TSprintAnimationState<string>} */
+  const animationStates = {};
+  for (const animation of Object.values(animations)) {
+    animation.totalDuration = animation.frames.reduce(
+      (total, frame) => total + frame.duration,
+      0,
+    );
+    animationStates[animation.name] = {
+      locations: animation.frames.map((frame) => ({ x: frame.x, y: frame.y })),
+      size: animation.frames.length,
+    };
+  }
+
+  const size = isObject(meta.size) ? meta.size : {};
+  return [
+    null,
+    {
+      image: typeof meta.image === "string" ? meta.image : null,
+      width: typeof size.w === "number" ? size.w : 0,
+      height: typeof size.h === "number" ? size.h : 0,
+      frames,
+      animations,
+      animationStates,
+    },
+  ];
+}
+
+/**
+ * The atlas animations for a `SpriteAnimator`, with their per-frame durations.
+ * They loop, since the frames are already in their tag's direction order.
+ *
+ * @param {SpriteAtlas} atlas
+ * @returns {Record<string, SpriteAnimatorAnimation>}
+ */
+export function getSpriteAtlasAnimatorAnimations(atlas) {
+  /** @type {Record<string, SpriteAnimatorAnimation>} */
+  const animations = {};
+  for (const animation of Object.values(atlas.animations)) {
+    animations[animation.name] = {
+      frames: animation.frames.length,
+      durations: animation.frames.map((frame) => frame.duration),
+      mode: "loop",
+    };
+  }
+
+  return animations;
+}
+
+/**
+ * Draws an atlas frame as if it was never trimmed nor rotated,
+ * with the top left of its `sourceWidth`×`sourceHeight` box at `dx`, `dy`.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} image - The atlas image.
+ * @param {SpriteAtlasFrame} frame
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} [scaleX=1] - The drawn size over the source size.
+ * @param {number} [scaleY=scaleX]
+ */
+export function drawSpriteAtlasFrame(
+  ctx,
+  image,
+  frame,
+  dx,
+  dy,
+  scaleX = 1,
+  scaleY = scaleX,
+) {
+  const x = dx + frame.offsetX * scaleX;
+  const y = dy + frame.offsetY * scaleY;
+  const width = frame.width * scaleX;
+  const height = frame.height * scaleY;
+
+  if (!frame.rotated) {
+    ctx.drawImage(
+      image,
+      frame.x,
+      frame.y,
+      frame.width,
+      frame.height,
+      x,
+      y,
+      width,
+      height,
+    );
+    return;
+  }
+
+  // Stored 90° clockwise in a `height`×`width` region, so it's drawn 90° counterclockwise from its bottom left
+  ctx.save();
+  ctx.translate(x, y + height);
+  ctx.rotate(-Math.PI / 2);
+  ctx.drawImage(
+    image,
+    frame.x,
+    frame.y,
+    frame.height,
+    frame.width,
+    0,
+    0,
+    height,
+    width,
+  );
+  ctx.restore();
+}
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+
+import { Matrix2D } from "#libs/matrix2d.js";
+import { drawSpriteAtlasFrame, parseSpriteAtlas } from "#libs/sprite-atlas.js";
+
+const rotatedAtlasData = JSON.parse(
+  readFileSync(
+    new URL("./fixtures/texture-packer-rotated.json", import.meta.url),
+    "utf8",
+  ),
+);
+
+/**
+ * A context recording where each `drawImage` takes its pixels from,
+ * and where the corners of that atlas region land on the screen.
+ */
+function createRecordingContext() {
+  let transform = new Matrix2D();
+  /** @type {Matrix2D[]} */
+  const stack = [];
+  /** @type {{ source: number[]; corners: Record<string, [number, number]> }[]} */
+  const draws = [];
+
+  const ctx = {
+    draws,
+    save: () => stack.push(transform.clone()),
+    restore: () => {
+      transform = stack.pop() ?? new Matrix2D();
+    },
+    /** @param {number} x @param {number} y */
+    translate: (x, y) => transform.translate(x, y),
+    /** @param {number} angle */
+    rotate: (angle) => transform.rotate(angle),
+    /**
+     * @param {unknown} _image
+     * @param {number} sx @param {number} sy @param {number} sw @param {number} sh
+     * @param {number} dx @param {number} dy @param {number} dw @param {number} dh
+     */
+    drawImage: (_image, sx, sy, sw, sh, dx, dy, dw, dh) => {
+      /**
+       * @param {number} u - Atlas x
+       * @param {number} v - Atlas y
+       * @returns {[number, number]}
+       */
+      const toScreen = (u, v) => {
+        const point = transform.applyToPoint({
+          x: dx + ((u - sx) * dw) / sw,
+          y: dy + ((v - sy) * dh) / sh,
+        });
+        return [
+          Math.round(point.x * 1e6) / 1e6,
+          Math.round(point.y * 1e6) / 1e6,
+        ];
+      };
+      draws.push({
+        source: [sx, sy, sw, sh],
+        corners: {
+          topLeft: toScreen(sx, sy),
+          topRight: toScreen(sx + sw, sy),
+          bottomLeft: toScreen(sx, sy + sh),
+          bottomRight: toScreen(sx + sw, sy + sh),
+        },
+      });
+    },
+  };
+  return ctx;
+}
+
+describe("parseSpriteAtlas", () => {
+  it("keeps the unrotated size of TexturePacker's rotated frames", () => {
+    const [error, atlas] = parseSpriteAtlas(rotatedAtlasData);
+    assert.equal(error, null);
+
+    const frame = atlas?.frames["hero_1.png"];
+    assert.equal(frame?.rotated, true);
+    assert.equal(frame?.width, 20);
+    assert.equal(frame?.height, 30);
+    assert.equal(frame?.offsetX, 2);
+    assert.equal(frame?.offsetY, 1);
+    assert.equal(frame?.sourceWidth, 24);
+    assert.equal(frame?.sourceHeight, 32);
+  });
+});
+
+describe("drawSpriteAtlasFrame", () => {
+  it("draws an unrotated frame as is, trim offset included", () => {
+    const [, atlas] = parseSpriteAtlas(rotatedAtlasData);
+    const ctx = createRecordingContext();
+
+    drawSpriteAtlasFrame(
+      /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (ctx)),
+      /** @type {CanvasImageSource} */ ({}),
+      /** @type {NonNullable<typeof atlas>} */ (atlas).frames["hero_0.png"],
+      100,
+      200,
+    );
+
+    assert.deepEqual(ctx.draws[0].source, [0, 0, 20, 30]);
+    assert.deepEqual(ctx.draws[0].corners.topLeft, [100, 200]);
+    assert.deepEqual(ctx.draws[0].corners.bottomRight, [120, 230]);
+  });
+
+  it("samples the h×w region of a rotated frame and turns it back upright", () => {
+    const [, atlas] = parseSpriteAtlas(rotatedAtlasData);
+    const ctx = createRecordingContext();
+
+    drawSpriteAtlasFrame(
+      /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (ctx)),
+      /** @type {CanvasImageSource} */ ({}),
+      /** @type {NonNullable<typeof atlas>} */ (atlas).frames["hero_1.png"],
+      100,
+      200,
+    );
+
+    // Stored 90° clockwise: 30 wide and 20 high in the atlas
+    assert.deepEqual(ctx.draws[0].source, [20, 0, 30, 20]);
+    // The sprite's top left is the region's top right, and it fills the 20×30 box past the trim offset
+    const { corners } = ctx.draws[0];
+    assert.deepEqual(corners.topRight, [102, 201]);
+    assert.deepEqual(corners.bottomRight, [122, 201]);
+    assert.deepEqual(corners.topLeft, [102, 231]);
+    assert.deepEqual(corners.bottomLeft, [122, 231]);
+  });
+});
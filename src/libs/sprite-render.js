@@ -0,0 +1,195 @@
+/**
+ * @typedef {{
+ *  img: CanvasImageSource;
+ *  width: number; // Of a frame
+ *  height: number; // Of a frame
+ * }} DrawSpriteSource
+ *
+ * @typedef {{
+ *  x: number;
+ *  y: number;
+ *  width?: number; // (default: the sprite `width`)
+ *  height?: number; // (default: the sprite `height`)
+ * }} DrawSpriteFrame - Where the frame is in the image, e.g. one of the `locations` of an animation state.
+ *
+ * @typedef {{
+ *  x: number; // Where the pivot is drawn
+ *  y: number;
+ *  width?: number; // The drawn size, before scaling (default: the frame size)
+ *  height?: number;
+ *  scale?: number; // (default: 1)
+ *  scaleX?: number; // Multiplies `scale` (default: 1)
+ *  scaleY?: number; // Multiplies `scale` (default: 1)
+ *  rotation?: number; // In radians, around the pivot (default: 0)
+ *  pivotX?: number; // From `0` (left) to `1` (right) of the drawn size (default: 0)
+ *  pivotY?: number; // From `0` (top) to `1` (bottom) of the drawn size (default: 0)
+ *  flipX?: boolean; // Mirrored around the pivot
+ *  flipY?: boolean;
+ *  opacity?: number; // From `0` to `1`, multiplies the context `globalAlpha` (default: 1)
+ *  tint?: string; // A CSS color blended over the sprite's opaque pixels
+ *  tintStrength?: number; // From `0` to `1` (default: 1)
+ * }} DrawSpriteTransform
+ */
+
+/**
+ * Tinted frames kept per image, so a tint is only drawn once.
+ * @type {WeakMap<CanvasImageSource, Map<string, HTMLCanvasElement|OffscreenCanvas>>}
+ */
+const tintCache = new WeakMap();
+/** The most tinted frames kept per image, the oldest are dropped first. */
+const TINT_CACHE_MAX_SIZE = 256;
+
+/**
+ * @param {number} width
+ * @param {number} height
+ */
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * A frame of an image filled with a color over its opaque pixels, cached.
+ *
+ * @param {CanvasImageSource} img
+ * @param {number} sx
+ * @param {number} sy
+ * @param {number} sw
+ * @param {number} sh
+ * @param {string} tint
+ * @param {number} strength
+ */
+function getTintedFrame(img, sx, sy, sw, sh, tint, strength) {
+  let imageCache = tintCache.get(img);
+  if (!imageCache) {
+    imageCache = new Map();
+    tintCache.set(img, imageCache);
+  }
+
+  const key = `${sx},${sy},${sw},${sh},${tint},${strength}`;
+  const cached = imageCache.get(key);
+  if (cached) {
+    // Moved to the end, as the most recently used
+    imageCache.delete(key);
+    imageCache.set(key, cached);
+    return cached;
+  }
+
+  const width = Math.max(1, Math.ceil(sw));
+  const height = Math.max(1, Math.ceil(sh));
+  const canvas = createCanvas(width, height);
+  const ctx =
+    /** @type {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} */ (
+      canvas.getContext("2d")
+    );
+  ctx.drawImage(img, sx, sy, sw, sh, 0, 0, width, height);
+  // Only where the sprite is drawn
+  ctx.globalCompositeOperation = "source-atop";
+  ctx.globalAlpha = strength;
+  ctx.fillStyle = tint;
+  ctx.fillRect(0, 0, width, height);
+
+  imageCache.set(key, canvas);
+  if (imageCache.size > TINT_CACHE_MAX_SIZE) {
+    const oldestKey = /** @type {string} */ (imageCache.keys().next().value);
+    imageCache.delete(oldestKey);
+  }
+
+  return canvas;
+}
+
+/**
+ * Draws a sprite frame with a transform, instead of a 9 arguments `drawImage`
+ * and `save` / `translate` / `rotate` / `restore` by hand.
+ *
+ * The frame's pivot is drawn at `x`, `y`, and it's rotated, scaled and flipped around it.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {DrawSpriteSource} sprite
+ * @param {DrawSpriteFrame} frame
+ * @param {DrawSpriteTransform} transform
+ *
+ * @example
+ * ```js
+ * // Centered on the enemy, facing its direction, flashing red when hit
+ * drawSprite(ctx, enemy.sprite, animationState.locations[frame], {
+ *   x: enemy.x,
+ *   y: enemy.y,
+ *   width: enemy.width,
+ *   height: enemy.height,
+ *   pivotX: 0.5,
+ *   pivotY: 0.5,
+ *   flipX: enemy.vx < 0,
+ *   tint: enemy.isHit ? "red" : undefined,
+ *   tintStrength: 0.6,
+ * });
+ * ```
+ */
+export function drawSprite(ctx, sprite, frame, transform) {
+  const sw = frame.width ?? sprite.width;
+  const sh = frame.height ?? sprite.height;
+  const width = transform.width ?? sw;
+  const height = transform.height ?? sh;
+  const scale = transform.scale ?? 1;
+  const scaleX = scale * (transform.scaleX ?? 1) * (transform.flipX ? -1 : 1);
+  const scaleY = scale * (transform.scaleY ?? 1) * (transform.flipY ? -1 : 1);
+  const rotation = transform.rotation ?? 0;
+  const opacity = transform.opacity ?? 1;
+  const dx = -width * (transform.pivotX ?? 0);
+  const dy = -height * (transform.pivotY ?? 0);
+
+  if (opacity <= 0 || scaleX === 0 || scaleY === 0) {
+    return;
+  }
+
+  /** @type {CanvasImageSource} */
+  let img = sprite.img;
+  let sx = frame.x;
+  let sy = frame.y;
+  if (transform.tint) {
+    img = getTintedFrame(
+      sprite.img,
+      frame.x,
+      frame.y,
+      sw,
+      sh,
+      transform.tint,
+      transform.tintStrength ?? 1,
+    );
+    sx = 0;
+    sy = 0;
+  }
+
+  const isPlain =
+    scaleX === 1 && scaleY === 1 && rotation === 0 && opacity === 1;
+  if (isPlain) {
+    ctx.drawImage(
+      img,
+      sx,
+      sy,
+      sw,
+      sh,
+      transform.x + dx,
+      transform.y + dy,
+      width,
+      height,
+    );
+    return;
+  }
+
+  ctx.save();
+  ctx.globalAlpha *= opacity;
+  ctx.translate(transform.x, transform.y);
+  if (rotation !== 0) {
+    ctx.rotate(rotation);
+  }
+  ctx.scale(scaleX, scaleY);
+  ctx.drawImage(img, sx, sy, sw, sh, dx, dy, width, height);
+  ctx.restore();
+}
@@ -53,3 +53,224 @@ export function generateSpriteAnimationStates(states, spriteMeta) {
     sprintAnimationState
   );
 }
+
+/**
+ * - `loop`: first to last frame, over and over.
+ * - `once`: first to last frame, then stays on the last one.
+ * - `pingpong`: first to last frame and back, over and over.
+ * - `reverse`: last to first frame, over and over.
+ *
+ * @typedef {"loop" | "once" | "pingpong" | "reverse"} SpriteAnimationMode
+ */
+
+/**
+ * @typedef {{
+ *  frames: number;
+ *  fps?: number; // Used for the frames without a duration (default: 12)
+ *  durations?: number[]; // Per frame, in milliseconds
+ *  mode?: SpriteAnimationMode; // (default: "loop")
+ * }} SpriteAnimatorAnimation
+ */
+
+/**
+ * @template {string} TSpriteAnimationName
+ *
+ * @typedef {{
+ *  animations: Record<TSpriteAnimationName, SpriteAnimatorAnimation>;
+ *  initial: TSpriteAnimationName;
+ *  speed?: number;
+ *  onFrame?: (frame: number, animation: TSpriteAnimationName) => void;
+ *  onLoop?: (animation: TSpriteAnimationName) => void;
+ *  onComplete?: (animation: TSpriteAnimationName) => void;
+ * }} SpriteAnimatorOptions
+ */
+
+/**
+ * The frame indexes an animation goes through in one cycle.
+ *
+ * @param {number} frames
+ * @param {SpriteAnimationMode} mode
+ * @returns {number[]}
+ */
+function getSpriteAnimationSequence(frames, mode) {
+  const forward = Array.from({ length: frames }, (_, i) => i);
+  switch (mode) {
+    case "reverse":
+      return forward.reverse();
+    case "pingpong":
+      // Back without repeating the ends, so it loops seamlessly
+      return [...forward, ...forward.slice(1, -1).reverse()];
+    default:
+      return forward;
+  }
+}
+
+/**
+ * Advances sprite animations on elapsed time instead of rendered frames,
+ * so they play at the same speed on any refresh rate.
+ *
+ * `frame` is the index into the animation's `locations`, from `generateSpriteAnimationStates` or `parseSpriteAtlas`.
+ *
+ * @template {string} TSpriteAnimationName
+ *
+ * @example
+ * ```js
+ * const animator = new SpriteAnimator({
+ *   animations: {
+ *     idle: { frames: 7, fps: 12 },
+ *     bite: { frames: 7, fps: 15, mode: "once" },
+ *   },
+ *   initial: "idle",
+ *   onFrame: (frame, animation) => {
+ *     if (animation === "bite" && frame === 3) biteSfx.play();
+ *   },
+ * });
+ *
+ * animator.play("bite");
+ * animator.queue("idle"); // Once the bite is done
+ *
+ * gameLoop.addSystem("update", (dt) => animator.update(dt));
+ * ```
+ */
+export class SpriteAnimator {
+  /** @type {TSpriteAnimationName[]} */
+  queued = [];
+  /** @type {number[]} */
+  sequence = [];
+  /** The position in `sequence`. */
+  step = 0;
+  /** Time spent on the current frame, in milliseconds. */
+  frameElapsedMS = 0;
+  isComplete = false;
+  isPaused = false;
+
+  /**
+   * @param {SpriteAnimatorOptions<TSpriteAnimationName>} options
+   */
+  constructor(options) {
+    this.animations = options.animations;
+    /** Scales the elapsed time, `2` plays twice as fast, `0` freezes. */
+    this.speed = options.speed ?? 1;
+    this.onFrame = options.onFrame;
+    this.onLoop = options.onLoop;
+    this.onComplete = options.onComplete;
+    /** @type {TSpriteAnimationName} */
+    this.animation = options.initial;
+    /** @type {SpriteAnimationMode} */
+    this.mode = "loop";
+
+    this.play(options.initial, { restart: true });
+  }
+
+  /** The current frame index of the current animation. */
+  get frame() {
+    return this.sequence[this.step];
+  }
+
+  /**
+   * Switches to an animation right away, dropping the queued ones.
+   * Does nothing when it's already playing, unless `restart` is set.
+   *
+   * @param {TSpriteAnimationName} animation
+   * @param {{ restart?: boolean; mode?: SpriteAnimationMode }} [options] - `mode` overrides the animation's.
+   */
+  play(animation, options = {}) {
+    this.queued.length = 0;
+    if (
+      !options.restart &&
+      animation === this.animation &&
+      !this.isComplete &&
+      (!options.mode || options.mode === this.mode)
+    ) {
+      return;
+    }
+
+    this.start(animation, options.mode);
+  }
+
+  /**
+   * Plays an animation once the current one is done,
+   * at the end of its cycle when it loops.
+   *
+   * @param {TSpriteAnimationName} animation
+   */
+  queue(animation) {
+    if (this.isComplete) {
+      this.start(animation);
+      return;
+    }
+
+    this.queued.push(animation);
+  }
+
+  /**
+   * @param {TSpriteAnimationName} animation
+   * @param {SpriteAnimationMode} [mode]
+   */
+  start(animation, mode) {
+    const config = this.animations[animation];
+    if (!config) {
+      throw new Error(`[SpriteAnimator] Unknown animation "${animation}".`);
+    }
+
+    this.animation = animation;
+    this.mode = mode ?? config.mode ?? "loop";
+    this.sequence = getSpriteAnimationSequence(config.frames, this.mode);
+    this.step = 0;
+    this.frameElapsedMS = 0;
+    this.isComplete = false;
+    this.onFrame?.(this.frame, animation);
+  }
+
+  /** @param {number} frame */
+  getFrameDuration(frame) {
+    const config = this.animations[this.animation];
+    const duration = config.durations?.[frame] ?? 1000 / (config.fps ?? 12);
+    // A zero duration would never let the time run out
+    return Math.max(duration, 1);
+  }
+
+  /**
+   * @param {number} dt - Elapsed time in seconds, as given to the game loop `update`.
+   */
+  update(dt) {
+    if (this.isPaused || this.isComplete) return;
+
+    this.frameElapsedMS += dt * 1000 * this.speed;
+
+    let duration = this.getFrameDuration(this.frame);
+    while (this.frameElapsedMS >= duration) {
+      this.frameElapsedMS -= duration;
+
+      if (this.step < this.sequence.length - 1) {
+        this.step++;
+        this.onFrame?.(this.frame, this.animation);
+      } else if (this.queued.length > 0) {
+        const timeLeftMS = this.frameElapsedMS;
+        this.onComplete?.(this.animation);
+        this.start(/** @type {TSpriteAnimationName} */ (this.queued.shift()));
+        // The time left goes to the queued animation
+        this.frameElapsedMS = timeLeftMS;
+      } else if (this.mode === "once") {
+        this.isComplete = true;
+        this.frameElapsedMS = 0;
+        this.onComplete?.(this.animation);
+        return;
+      } else {
+        this.step = 0;
+        this.onLoop?.(this.animation);
+        this.onFrame?.(this.frame, this.animation);
+      }
+
+      duration = this.getFrameDuration(this.frame);
+    }
+  }
+
+  pause() {
+    this.isPaused = true;
+  }
+
+  resume() {
+    this.isPaused = false;
+  }
+}
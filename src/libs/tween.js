@@ -0,0 +1,564 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { GameLoop } from "#libs/create-game-loop.js";
+ */
+
+import { clamp, lerp } from "#libs/math.js";
+
+/**
+ * Maps the progress of a tween, from 0 to 1, to how far it has moved, 0 and 1 at its ends.
+ *
+ * @typedef {(t: number) => number} EasingFunction
+ */
+
+/**
+ * @typedef {{
+ *  delay?: number; // Seconds before it starts, not repeated (default: 0)
+ *  repeat?: number; // The times it plays again after the first, `Infinity` loops it (default: 0)
+ *  yoyo?: boolean; // Every other play runs backwards (default: false)
+ *  onStart?: () => void; // Once, when the delay is over
+ *  onUpdate?: (progress: number) => void; // After every change, with the progress of the current play from 0 to 1
+ *  onRepeat?: (play: number) => void; // When a new play starts, `1` for the first repeat
+ *  onComplete?: () => void;
+ * }} TweenTimingOptions
+ */
+
+/**
+ * The number properties of `T`.
+ *
+ * @template T
+ * @typedef {{ [K in keyof T as T[K] extends number ? K : never]?: number }} TweenValues
+ */
+
+/**
+ * @template T
+ * @typedef {TweenTimingOptions & {
+ *  duration: number; // In seconds
+ *  easing?: EasingFunction; // (default: EASINGS.linear)
+ *  from?: TweenValues<T>; // The start values, the ones on the target when it starts by default
+ * }} TweenOptions
+ */
+
+const BACK_OVERSHOOT = 1.70158;
+const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+
+/** @type {EasingFunction} */
+function bounceOut(t) {
+  if (t < 1 / 2.75) {
+    return 7.5625 * t * t;
+  }
+  if (t < 2 / 2.75) {
+    t -= 1.5 / 2.75;
+    return 7.5625 * t * t + 0.75;
+  }
+  if (t < 2.5 / 2.75) {
+    t -= 2.25 / 2.75;
+    return 7.5625 * t * t + 0.9375;
+  }
+  t -= 2.625 / 2.75;
+  return 7.5625 * t * t + 0.984375;
+}
+
+/**
+ * The standard easing curves, `In` ones start slow, `Out` ones end slow, `InOut` ones do both.
+ *
+ * @see https://easings.net
+ */
+export const EASINGS = /** @type {const} */ ({
+  /** @type {EasingFunction} */
+  linear: (t) => t,
+  /** @type {EasingFunction} */
+  quadIn: (t) => t * t,
+  /** @type {EasingFunction} */
+  quadOut: (t) => 1 - (1 - t) * (1 - t),
+  /** @type {EasingFunction} */
+  quadInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+  /** @type {EasingFunction} */
+  cubicIn: (t) => t ** 3,
+  /** @type {EasingFunction} */
+  cubicOut: (t) => 1 - (1 - t) ** 3,
+  /** @type {EasingFunction} */
+  cubicInOut: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+  /** @type {EasingFunction} */
+  sineIn: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  /** @type {EasingFunction} */
+  sineOut: (t) => Math.sin((t * Math.PI) / 2),
+  /** @type {EasingFunction} */
+  sineInOut: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  /** @type {EasingFunction} */
+  expoIn: (t) => (t === 0 ? 0 : 2 ** (10 * t - 10)),
+  /** @type {EasingFunction} */
+  expoOut: (t) => (t === 1 ? 1 : 1 - 2 ** (-10 * t)),
+  /** @type {EasingFunction} */
+  expoInOut: (t) =>
+    t === 0 || t === 1
+      ? t
+      : t < 0.5
+        ? 2 ** (20 * t - 10) / 2
+        : (2 - 2 ** (-20 * t + 10)) / 2,
+  /** @type {EasingFunction} */
+  backIn: (t) => (BACK_OVERSHOOT + 1) * t ** 3 - BACK_OVERSHOOT * t * t,
+  /** @type {EasingFunction} */
+  backOut: (t) =>
+    1 + (BACK_OVERSHOOT + 1) * (t - 1) ** 3 + BACK_OVERSHOOT * (t - 1) ** 2,
+  /** @type {EasingFunction} */
+  backInOut: (t) => {
+    const s = BACK_OVERSHOOT * 1.525;
+    return t < 0.5
+      ? ((2 * t) ** 2 * ((s + 1) * 2 * t - s)) / 2
+      : ((2 * t - 2) ** 2 * ((s + 1) * (t * 2 - 2) + s) + 2) / 2;
+  },
+  /** @type {EasingFunction} */
+  elasticIn: (t) =>
+    t === 0 || t === 1
+      ? t
+      : -(2 ** (10 * t - 10)) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD),
+  /** @type {EasingFunction} */
+  elasticOut: (t) =>
+    t === 0 || t === 1
+      ? t
+      : 2 ** (-10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC_PERIOD) + 1,
+  /** @type {EasingFunction} */
+  bounceIn: (t) => 1 - bounceOut(1 - t),
+  bounceOut,
+  /** @type {EasingFunction} */
+  bounceInOut: (t) =>
+    t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2,
+});
+
+/**
+ * The timing shared by tweens and their groups: the delay, the repeats, the yoyo,
+ * the callbacks and the promise.
+ *
+ * It's driven by `seek`, which renders it at a time from its start, delay included,
+ * so it can be moved backwards too, e.g. by a yoyo-ing group or when a replay is restored.
+ *
+ * It's awaitable, `await` resolves with `true` once it completes, or `false` if it's cancelled.
+ *
+ * @abstract
+ */
+export class TweenBase {
+  /**
+   * The time it was last rendered at, `-1` before the first `seek`
+   */
+  time = -1;
+  isStarted = false;
+  isComplete = false;
+  isCancelled = false;
+  /**
+   * The current play, from `0`
+   */
+  play = 0;
+
+  /**
+   * @param {TweenTimingOptions} options
+   */
+  constructor(options) {
+    this.delay = options.delay ?? 0;
+    this.repeat = options.repeat ?? 0;
+    this.yoyo = options.yoyo ?? false;
+    this.onStart = options.onStart;
+    this.onUpdate = options.onUpdate;
+    this.onRepeat = options.onRepeat;
+    this.onComplete = options.onComplete;
+
+    /** @type {(isComplete: boolean) => void} */
+    this.resolveFinished = () => {};
+    /** @type {Promise<boolean>} */
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  /**
+   * The length of one play, in seconds.
+   *
+   * @abstract
+   * @returns {number}
+   */
+  getDuration() {
+    throw new Error(`[${this.constructor.name}] getDuration isn't implemented`);
+  }
+
+  /**
+   * The length of the delay and every play, `Infinity` when it repeats forever.
+   */
+  getTotalDuration() {
+    return this.delay + this.getDuration() * (this.repeat + 1);
+  }
+
+  /**
+   * Called once, right before it's first rendered, e.g. to read the start values.
+   */
+  begin() {}
+
+  /**
+   * Applies the state at `time` seconds into a play.
+   *
+   * @abstract
+   * @param {number} _time
+   */
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  render(_time) {
+    throw new Error(`[${this.constructor.name}] render isn't implemented`);
+  }
+
+  /**
+   * @param {number} time - Seconds since it was added, delay included.
+   * @returns {number} The seconds past its end, `0` until it completes.
+   */
+  seek(time) {
+    this.time = time;
+    const activeTime = time - this.delay;
+    if (activeTime < 0 && !this.isStarted) {
+      return 0;
+    }
+
+    if (!this.isStarted) {
+      this.isStarted = true;
+      this.begin();
+      this.onStart?.();
+    }
+
+    const duration = this.getDuration();
+    const plays = this.repeat + 1;
+    const totalActiveTime = duration * plays;
+
+    if (activeTime >= totalActiveTime) {
+      // A yoyo with an even number of plays ends backwards, at the start
+      const endsReversed = this.yoyo && plays % 2 === 0;
+      this.play = plays - 1;
+      this.render(endsReversed ? 0 : duration);
+      this.onUpdate?.(1);
+
+      if (!this.isComplete) {
+        this.isComplete = true;
+        this.onComplete?.();
+        this.resolveFinished(true);
+      }
+      return activeTime - totalActiveTime;
+    }
+
+    this.isComplete = false;
+    const play =
+      duration > 0 ? Math.floor(Math.max(activeTime, 0) / duration) : 0;
+    if (play > this.play) {
+      this.onRepeat?.(play);
+    }
+    this.play = play;
+
+    const playTime = clamp(activeTime - play * duration, 0, duration);
+    const isReversed = this.yoyo && play % 2 === 1;
+    this.render(isReversed ? duration - playTime : playTime);
+    this.onUpdate?.(duration > 0 ? playTime / duration : 1);
+    return 0;
+  }
+
+  /**
+   * @param {number} dt - Elapsed time in seconds.
+   * @returns {number} The seconds past its end, `0` until it completes.
+   */
+  update(dt) {
+    if (this.isDone) {
+      return dt;
+    }
+    return this.seek(Math.max(this.time, 0) + dt);
+  }
+
+  get isDone() {
+    return this.isComplete || this.isCancelled;
+  }
+
+  /**
+   * Stops it where it is, its `onComplete` isn't called and it resolves with `false`.
+   */
+  cancel() {
+    if (this.isDone) {
+      return;
+    }
+    this.isCancelled = true;
+    this.resolveFinished(false);
+  }
+
+  /**
+   * Jumps to its end, unless it repeats forever.
+   */
+  finish() {
+    const totalDuration = this.getTotalDuration();
+    if (this.isDone || totalDuration === Infinity) {
+      return;
+    }
+    this.seek(totalDuration);
+  }
+
+  /**
+   * Makes it awaitable.
+   *
+   * @template [TResult1=boolean]
+   * @template [TResult2=never]
+   * @param {((isComplete: boolean) => TResult1 | PromiseLike<TResult1>) | null} [onFulfilled]
+   * @param {((reason: any) => TResult2 | PromiseLike<TResult2>) | null} [onRejected]
+   * @returns {Promise<TResult1 | TResult2>}
+   */
+  then(onFulfilled, onRejected) {
+    return this.finished.then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Moves number properties of a target to values, over a duration.
+ *
+ * @template {object} T
+ */
+export class Tween extends TweenBase {
+  /**
+   * @param {T} target
+   * @param {TweenValues<T>} to
+   * @param {TweenOptions<T>} options
+   */
+  constructor(target, to, options) {
+    super(options);
+    this.target = target;
+    this.to = /** @type {Record<string, number>} */ (to);
+    this.duration = options.duration;
+    this.easing = options.easing ?? EASINGS.linear;
+    this.keys = Object.keys(to);
+    /** @type {Record<string, number>} */
+    this.from = { ...options.from };
+  }
+
+  getDuration() {
+    return this.duration;
+  }
+
+  begin() {
+    const values = /** @type {Record<string, number>} */ (this.target);
+    for (const key of this.keys) {
+      this.from[key] ??= values[key];
+    }
+  }
+
+  /**
+   * @param {number} time
+   */
+  render(time) {
+    const values = /** @type {Record<string, number>} */ (this.target);
+    const progress = this.easing(this.duration > 0 ? time / this.duration : 1);
+    for (const key of this.keys) {
+      values[key] = lerp(this.from[key], this.to[key], progress);
+    }
+  }
+}
+
+/**
+ * Plays tweens, or other groups, one after the other.
+ * Each starts from where the previous left the target, so they can animate the same properties.
+ *
+ * Its children can't repeat forever, they're only rendered by the group.
+ */
+export class TweenSequence extends TweenBase {
+  lastRenderTime = 0;
+
+  /**
+   * @param {TweenBase[]} children
+   * @param {TweenTimingOptions} [options]
+   */
+  constructor(children, options = {}) {
+    super(options);
+    this.children = children;
+  }
+
+  getDuration() {
+    let duration = 0;
+    for (const child of this.children) {
+      duration += child.getTotalDuration();
+    }
+    return duration;
+  }
+
+  /**
+   * @param {number} time
+   */
+  render(time) {
+    /** @type {number[]} */
+    const offsets = [];
+    let offset = 0;
+    for (const child of this.children) {
+      offsets.push(offset);
+      offset += child.getTotalDuration();
+    }
+
+    // Moving back, the later children are rewound first, so the earlier ones have the last word
+    const isBackwards = time < this.lastRenderTime;
+    this.lastRenderTime = time;
+    for (let i = 0; i < this.children.length; i++) {
+      const index = isBackwards ? this.children.length - 1 - i : i;
+      seekChild(this.children[index], time - offsets[index]);
+    }
+  }
+}
+
+/**
+ * Plays tweens, or other groups, at the same time, it lasts as long as the longest.
+ *
+ * Its children can't repeat forever, they're only rendered by the group.
+ */
+export class TweenParallel extends TweenBase {
+  /**
+   * @param {TweenBase[]} children
+   * @param {TweenTimingOptions} [options]
+   */
+  constructor(children, options = {}) {
+    super(options);
+    this.children = children;
+  }
+
+  getDuration() {
+    let duration = 0;
+    for (const child of this.children) {
+      duration = Math.max(duration, child.getTotalDuration());
+    }
+    return duration;
+  }
+
+  /**
+   * @param {number} time
+   */
+  render(time) {
+    for (const child of this.children) {
+      seekChild(child, time);
+    }
+  }
+}
+
+/**
+ * Seeks a group's child, clamped to its length, unless it's not reached yet or already there.
+ *
+ * @param {TweenBase} child
+ * @param {number} time - Seconds since the child's start in the group.
+ */
+function seekChild(child, time) {
+  if (time < 0 && child.time < 0) {
+    return;
+  }
+
+  const childTime = clamp(time, 0, child.getTotalDuration());
+  if (childTime !== child.time) {
+    child.seek(childTime);
+  }
+}
+
+/**
+ * Runs tweens on game time, so they pause and slow down with the loop,
+ * and cancels them with the screen.
+ *
+ * @example
+ * ```js
+ * const tweens = new TweenManager({ cleanupManager });
+ * tweens.attach(gameLoop);
+ *
+ * await tweens.tween(player, { x: 200 }, { duration: 0.5, easing: EASINGS.quadOut });
+ * tweens.sequence([
+ *   new Tween(door, { y: -40 }, { duration: 1 }),
+ *   new Tween(door, { alpha: 0 }, { duration: 0.3, delay: 0.2 }),
+ * ]);
+ * tweens.tween(coin, { scale: 1.2 }, { duration: 0.25, yoyo: true, repeat: Infinity });
+ * ```
+ */
+export class TweenManager {
+  /** @type {Set<TweenBase>} */
+  tweens = new Set();
+
+  /**
+   * @param {{
+   *  cleanupManager?: CleanupManager; // Cancels the running tweens and detaches it from the loop with the screen
+   * }} [options]
+   */
+  constructor(options = {}) {
+    this.cleanupManager = options.cleanupManager;
+    this.cleanupManager?.register(() => this.cancelAll());
+  }
+
+  /**
+   * @template {TweenBase} TTween
+   * @param {TTween} tween - Not started, and not in a group or another manager.
+   * @returns {TTween}
+   */
+  add(tween) {
+    this.tweens.add(tween);
+    return tween;
+  }
+
+  /**
+   * @template {object} T
+   * @param {T} target
+   * @param {TweenValues<T>} to
+   * @param {TweenOptions<T>} options
+   */
+  tween(target, to, options) {
+    return this.add(new Tween(target, to, options));
+  }
+
+  /**
+   * @param {TweenBase[]} children
+   * @param {TweenTimingOptions} [options]
+   */
+  sequence(children, options) {
+    return this.add(new TweenSequence(children, options));
+  }
+
+  /**
+   * @param {TweenBase[]} children
+   * @param {TweenTimingOptions} [options]
+   */
+  parallel(children, options) {
+    return this.add(new TweenParallel(children, options));
+  }
+
+  /**
+   * Cancels every running tween on `target`.
+   *
+   * @param {object} target
+   */
+  cancelTweensOf(target) {
+    for (const tween of this.tweens) {
+      if (tween instanceof Tween && tween.target === target) {
+        tween.cancel();
+        this.tweens.delete(tween);
+      }
+    }
+  }
+
+  cancelAll() {
+    for (const tween of this.tweens) {
+      tween.cancel();
+    }
+    this.tweens.clear();
+  }
+
+  /**
+   * Advances the tweens in the order they were added, and drops the done ones.
+   *
+   * @param {number} dt - Elapsed time in seconds.
+   */
+  update(dt) {
+    for (const tween of this.tweens) {
+      tween.update(dt);
+      if (tween.isDone) {
+        this.tweens.delete(tween);
+      }
+    }
+  }
+
+  /**
+   * Runs `update` in the loop's `update` phase.
+   *
+   * @param {GameLoop} gameLoop
+   * @returns {() => void} Detaches the manager from the loop.
+   */
+  attach(gameLoop) {
+    return gameLoop.addSystem("update", (dt) => this.update(dt), {
+      cleanupManager: this.cleanupManager,
+    });
+  }
+}
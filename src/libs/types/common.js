@@ -13,14 +13,51 @@
  *  type: 'audio',
  *  src: string,
  * }} TLoadAudio
- * @typedef {TLoadImage | TLoadAudio} TLoadAsset
+ * @typedef {{
+ *  type: 'json',
+ *  src: string,
+ * }} TLoadJson
+ * @typedef {{
+ *  type: 'text',
+ *  src: string,
+ * }} TLoadText
+ * @typedef {{
+ *  type: 'font',
+ *  src: string,
+ *  family: string,
+ *  descriptors?: FontFaceDescriptors,
+ * }} TLoadFont
+ * @typedef {{
+ *  type: 'atlas',
+ *  src: string,
+ *  image?: string,
+ * }} TLoadAtlas - A sprite atlas JSON descriptor, its `image` defaults to the descriptor `meta.image`, both relative to `src`.
+ * @typedef {TLoadImage | TLoadAudio | TLoadJson | TLoadText | TLoadFont | TLoadAtlas} TLoadAsset
+ */
+
+/**
+ * @typedef {{
+ *  data: unknown,
+ *  image: HTMLImageElement,
+ * }} TLoadedAtlas
+ *
+ * @typedef {{
+ *  image: HTMLImageElement,
+ *  audio: HTMLAudioElement,
+ *  json: unknown,
+ *  text: string,
+ *  font: FontFace,
+ *  atlas: TLoadedAtlas,
+ * }} TLoadedAssetTypeMap
+ *
+ * @typedef {TLoadedAssetTypeMap[TLoadAsset['type']]} TLoadedAsset
  */
 
 /**
  * @template {TLoadAsset[]} TArr
- * @template {(HTMLImageElement | HTMLAudioElement)[]} [TTuple=[]]
+ * @template {TLoadedAsset[]} [TTuple=[]]
  *
- * @typedef {TArr['length'] extends 0 ? TTuple : TArr extends readonly [infer TItem, ...infer Rest extends TLoadAsset[]] ? TItem extends TLoadImage ? TElementTypeMapperForAssets<Rest, [...TTuple, HTMLImageElement]> : TItem extends TLoadAudio ? TElementTypeMapperForAssets<Rest, [...TTuple, HTMLAudioElement]> : never : never} TElementTypeMapperForAssets
+ * @typedef {TArr['length'] extends 0 ? TTuple : TArr extends readonly [infer TItem, ...infer Rest extends TLoadAsset[]] ? TItem extends TLoadAsset ? TElementTypeMapperForAssets<Rest, [...TTuple, TLoadedAssetTypeMap[TItem['type']]]> : never : never} TElementTypeMapperForAssets
  */
 
 export default {};
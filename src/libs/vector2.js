@@ -0,0 +1,281 @@
+/**
+ * Anything with an `x` and a `y`, e.g. an entity, a pointer, or a `Vector2`.
+ * @typedef {{ x: number; y: number }} Vector2Like
+ */
+
+/**
+ * A mutable 2D vector.
+ *
+ * The methods change the vector in place and return it, so they chain without allocating,
+ * and take any `Vector2Like`, so they work with the `x` / `y` fields entities already have.
+ * `clone` is the only one that allocates.
+ *
+ * @example
+ * ```js
+ * const velocity = new Vector2(input.getActionAxis("move-left", "move-right"), 0);
+ * velocity.normalize().scale(speed * dt);
+ * player.position.add(velocity);
+ *
+ * const toTarget = new Vector2().copy(target).sub(player.position);
+ * if (toTarget.lengthSq() < range * range) bite();
+ * ```
+ */
+export class Vector2 {
+  /**
+   * @param {number} [x=0]
+   * @param {number} [y=0]
+   */
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * @param {number} angle - In radians, from the positive x axis, clockwise on a canvas.
+   * @param {number} [length=1]
+   */
+  static fromAngle(angle, length = 1) {
+    return new Vector2(Math.cos(angle) * length, Math.sin(angle) * length);
+  }
+
+  /** @param {readonly [number, number]} tuple */
+  static fromArray(tuple) {
+    return new Vector2(tuple[0], tuple[1]);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  set(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  /** @param {Vector2Like} v */
+  copy(v) {
+    this.x = v.x;
+    this.y = v.y;
+    return this;
+  }
+
+  clone() {
+    return new Vector2(this.x, this.y);
+  }
+
+  /** @param {Vector2Like} v */
+  add(v) {
+    this.x += v.x;
+    this.y += v.y;
+    return this;
+  }
+
+  /** @param {Vector2Like} v */
+  sub(v) {
+    this.x -= v.x;
+    this.y -= v.y;
+    return this;
+  }
+
+  /**
+   * @param {number} scalar
+   */
+  scale(scalar) {
+    this.x *= scalar;
+    this.y *= scalar;
+    return this;
+  }
+
+  /**
+   * Adds `v * scalar`, e.g. `position.addScaled(velocity, dt)`.
+   *
+   * @param {Vector2Like} v
+   * @param {number} scalar
+   */
+  addScaled(v, scalar) {
+    this.x += v.x * scalar;
+    this.y += v.y * scalar;
+    return this;
+  }
+
+  negate() {
+    this.x = -this.x;
+    this.y = -this.y;
+    return this;
+  }
+
+  /**
+   * Turns it 90° counterclockwise _(clockwise on a canvas, where y goes down)_, e.g. a normal of an edge.
+   */
+  perp() {
+    const x = this.x;
+    this.x = -this.y;
+    this.y = x;
+    return this;
+  }
+
+  /** @param {Vector2Like} v */
+  dot(v) {
+    return this.x * v.x + this.y * v.y;
+  }
+
+  /**
+   * The z of the 3D cross product, positive when `v` is clockwise from this vector on a canvas.
+   *
+   * @param {Vector2Like} v
+   */
+  cross(v) {
+    return this.x * v.y - this.y * v.x;
+  }
+
+  length() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+
+  /** Cheaper than `length`, for comparisons. */
+  lengthSq() {
+    return this.x * this.x + this.y * this.y;
+  }
+
+  /** @param {Vector2Like} v */
+  distance(v) {
+    return Math.sqrt(this.distanceSq(v));
+  }
+
+  /** @param {Vector2Like} v */
+  distanceSq(v) {
+    const dx = this.x - v.x;
+    const dy = this.y - v.y;
+    return dx * dx + dy * dy;
+  }
+
+  /**
+   * Makes it 1 long, the zero vector stays zero.
+   */
+  normalize() {
+    const length = this.length();
+    if (length > 0) {
+      this.x /= length;
+      this.y /= length;
+    }
+    return this;
+  }
+
+  /**
+   * @param {number} max
+   */
+  limit(max) {
+    const lengthSq = this.lengthSq();
+    if (lengthSq > max * max) {
+      this.scale(max / Math.sqrt(lengthSq));
+    }
+    return this;
+  }
+
+  /**
+   * @param {number} angle - In radians.
+   * @param {Vector2Like} [origin] - The point it's rotated around, `(0, 0)` by default.
+   */
+  rotate(angle, origin) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const ox = origin?.x ?? 0;
+    const oy = origin?.y ?? 0;
+    const x = this.x - ox;
+    const y = this.y - oy;
+    this.x = ox + x * cos - y * sin;
+    this.y = oy + x * sin + y * cos;
+    return this;
+  }
+
+  /**
+   * @param {Vector2Like} v
+   * @param {number} t - `0` keeps this vector, `1` gives `v`.
+   */
+  lerp(v, t) {
+    this.x += (v.x - this.x) * t;
+    this.y += (v.y - this.y) * t;
+    return this;
+  }
+
+  /**
+   * @returns {number} In radians, from the positive x axis, in the range `[-π, π]`.
+   */
+  angle() {
+    return Math.atan2(this.y, this.x);
+  }
+
+  /**
+   * @param {Vector2Like} v
+   * @returns {number} The angle from this point to `v`, in radians.
+   */
+  angleTo(v) {
+    return Math.atan2(v.y - this.y, v.x - this.x);
+  }
+
+  /**
+   * @param {Vector2Like} v
+   * @param {number} [epsilon=0]
+   */
+  equals(v, epsilon = 0) {
+    return (
+      Math.abs(this.x - v.x) <= epsilon && Math.abs(this.y - v.y) <= epsilon
+    );
+  }
+
+  /** @returns {[number, number]} */
+  toArray() {
+    return [this.x, this.y];
+  }
+}
+
+/**
+ * Hands out scratch vectors for the math of a frame, and takes them all back at its end,
+ * so per-frame code doesn't allocate and leave garbage behind.
+ *
+ * A vector from the pool must not be kept after `releaseAll`, `copy` it into an owned one instead.
+ *
+ * @example
+ * ```js
+ * const vectorPool = new Vector2Pool();
+ * gameLoop.addSystem("update", () => vectorPool.releaseAll(), {
+ *   priority: SYSTEM_PRIORITY.AFTER,
+ * });
+ *
+ * // In an `update`
+ * const toPlayer = vectorPool.get().copy(player).sub(enemy);
+ * ```
+ */
+export class Vector2Pool {
+  /** @type {Vector2[]} */
+  vectors = [];
+  /** How many of `vectors` are handed out. */
+  used = 0;
+
+  /**
+   * @param {number} [initialSize=32] - The vectors created right away, it grows as needed.
+   */
+  constructor(initialSize = 32) {
+    for (let i = 0; i < initialSize; i++) {
+      this.vectors.push(new Vector2());
+    }
+  }
+
+  /**
+   * @param {number} [x=0]
+   * @param {number} [y=0]
+   */
+  get(x = 0, y = 0) {
+    if (this.used === this.vectors.length) {
+      this.vectors.push(new Vector2());
+    }
+
+    return this.vectors[this.used++].set(x, y);
+  }
+
+  /** Takes every vector back, they're handed out again by the next `get` calls. */
+  releaseAll() {
+    this.used = 0;
+  }
+}
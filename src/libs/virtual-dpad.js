@@ -0,0 +1,106 @@
+/**
+ * @import { CleanupManager } from "#libs/cleanup.js";
+ * @import { InputButtonId, InputManager } from "#libs/input.js";
+ */
+
+/** @typedef {"up" | "right" | "down" | "left"} VirtualDpadDirection */
+
+/**
+ * The button ids held by the D-pad, bind them to actions like any key.
+ * @type {Readonly<Record<VirtualDpadDirection, InputButtonId>>}
+ */
+export const VIRTUAL_DPAD_BUTTON_IDS = Object.freeze({
+  up: "DpadUp",
+  right: "DpadRight",
+  down: "DpadDown",
+  left: "DpadLeft",
+});
+
+/** @type {Record<VirtualDpadDirection, { label: string; area: string }>} */
+const DPAD_BUTTONS = {
+  up: { label: "↑", area: "col-start-2 row-start-1" },
+  left: { label: "←", area: "col-start-1 row-start-2" },
+  right: { label: "→", area: "col-start-3 row-start-2" },
+  down: { label: "↓", area: "col-start-2 row-start-3" },
+};
+
+/**
+ * An on-screen D-pad that holds its `VIRTUAL_DPAD_BUTTON_IDS` on an `InputManager`,
+ * for touch screens where there is no keyboard.
+ *
+ * A button is held while a pointer is down on it, and each is independent,
+ * so two fingers can hold a diagonal.
+ * It's only shown on coarse pointers _(touch screens)_, unless `alwaysVisible` is set.
+ *
+ * @param {{
+ *   input: InputManager;
+ *   cleanupManager: CleanupManager;
+ *   container: HTMLElement;
+ *   alwaysVisible?: boolean;
+ * }} options
+ */
+export function createVirtualDpad(options) {
+  const { input, cleanupManager } = options;
+
+  const dpad = document.createElement("div");
+  dpad.className = `${options.alwaysVisible ? "grid" : "hidden pointer-coarse:grid"} grid-cols-3 grid-rows-3 gap-1 mx-auto w-fit select-none touch-none`;
+  dpad.setAttribute("role", "group");
+  dpad.setAttribute("aria-label", "Directional pad");
+
+  for (const [direction, { label, area }] of Object.entries(DPAD_BUTTONS)) {
+    const buttonId =
+      VIRTUAL_DPAD_BUTTON_IDS[/** @type {VirtualDpadDirection} */ (direction)];
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.setAttribute("aria-label", direction);
+    button.className = `${area} size-14 rounded-lg text-2xl bg-gray-200 dark:bg-gray-800 border border-solid border-gray-300 dark:border-gray-700 data-[held]:bg-gray-400 dark:data-[held]:bg-gray-600`;
+    dpad.appendChild(button);
+
+    const hold = () => {
+      button.dataset.held = "";
+      input.press(buttonId);
+    };
+    const letGo = () => {
+      delete button.dataset.held;
+      input.release(buttonId);
+    };
+
+    cleanupManager.registerEventListener({
+      elem: button,
+      type: "pointerdown",
+      listener: (e) => {
+        // Keeps the press going when the finger slides off the button
+        button.setPointerCapture(e.pointerId);
+        hold();
+      },
+    });
+    for (const type of /** @type {const} */ ([
+      "pointerup",
+      "pointercancel",
+      "lostpointercapture",
+    ])) {
+      cleanupManager.registerEventListener({
+        elem: button,
+        type,
+        listener: letGo,
+      });
+    }
+    // A long press would open the context menu on some touch screens
+    cleanupManager.registerEventListener({
+      elem: button,
+      type: "contextmenu",
+      listener: (e) => {
+        e.preventDefault();
+      },
+    });
+  }
+
+  options.container.appendChild(dpad);
+  cleanupManager.register(() => {
+    dpad.remove();
+  });
+
+  return { element: dpad };
+}
@@ -33,7 +33,10 @@ export default defineConfig(async (config) => {
     // Use `glob` to find all files in the `src/games` directory
     const filesPaths = await Promise.all([
       glob("./src/games/**/*.*"),
-      glob("./src/libs/**/*.*"),
+      // The Node tests and their fixtures aren't part of the site
+      glob("./src/libs/**/*.*", {
+        ignore: ["./src/libs/**/*.test.js", "./src/libs/fixtures/**"],
+      }),
       glob("./src/assets/**/*.*"),
     ]).then((values) => {
       const filesPaths: string[] = [];